@@ -0,0 +1,232 @@
+/**
+ * 单流解压（gzip、bzip2、xz）
+ * 
+ * tar.gz、tar.bz2、tar.xz需要先整体解压出tar包。解压过程中实时检查
+ * 输出大小，超过解压总大小或压缩比限制时立即终止（防止压缩炸弹）。
+ * 流式模式下gzip和xz直接从文件解压到临时文件，不在内存中保留完整内容。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { constants: bufferConstants } = require('buffer');
+const { ArchiveLimitError } = require('../errors');
+
+const gunzipAsync = promisify(zlib.gunzip);
+
+/**
+ * 每个tar条目除内容外占用的空间（头部块、填充和可能的扩展头）
+ */
+const TAR_ENTRY_OVERHEAD = 3 * 512;
+
+/**
+ * 解压输出的写入块大小
+ */
+const OUTPUT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * 计算允许的最大输出大小
+ * @param {Number} inputSize - 压缩数据的字节数
+ * @param {Object} limits - 资源限制
+ * @returns {Object} { maxOutput, limit } limit为决定最大值的限制名称
+ */
+function getOutputLimit(inputSize, limits) {
+    const totalLimit = (limits.maxTotalUncompressedSize || Infinity) +
+        (limits.maxEntries || 0) * TAR_ENTRY_OVERHEAD;
+    const ratioLimit = limits.maxCompressionRatio
+        ? Math.max(limits.ratioCheckThreshold || 0, inputSize * limits.maxCompressionRatio)
+        : Infinity;
+    
+    return ratioLimit < totalLimit
+        ? { maxOutput: ratioLimit, limit: 'maxCompressionRatio' }
+        : { maxOutput: totalLimit, limit: 'maxTotalUncompressedSize' };
+}
+
+/**
+ * 创建超出限制的错误
+ * @param {Object} outputLimit - getOutputLimit的结果
+ * @param {Object} limits - 资源限制
+ * @returns {ArchiveLimitError} 错误
+ */
+function createLimitError(outputLimit, limits) {
+    if (outputLimit.limit === 'maxCompressionRatio') {
+        return new ArchiveLimitError(
+            `压缩比超过限制: > ${limits.maxCompressionRatio}:1`,
+            'maxCompressionRatio',
+            { max: limits.maxCompressionRatio }
+        );
+    }
+    
+    return new ArchiveLimitError(
+        `解压总大小超过限制: > ${limits.maxTotalUncompressedSize} 字节`,
+        'maxTotalUncompressedSize',
+        { max: limits.maxTotalUncompressedSize }
+    );
+}
+
+/**
+ * 解压gzip（支持多个连续的gzip成员）
+ * @param {Buffer} input - 压缩数据
+ * @param {Object} limits - 资源限制
+ * @returns {Promise<Buffer>} 解压结果
+ */
+async function gunzip(input, limits = {}) {
+    const outputLimit = getOutputLimit(input.length, limits);
+    
+    try {
+        return await gunzipAsync(input, {
+            maxOutputLength: Math.min(outputLimit.maxOutput, bufferConstants.MAX_LENGTH)
+        });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw createLimitError(outputLimit, limits);
+        }
+        throw new Error(`gzip解压失败: ${error.message}`);
+    }
+}
+
+/**
+ * 解压bzip2
+ * @param {Buffer} input - 压缩数据
+ * @param {Object} limits - 资源限制
+ * @returns {Promise<Buffer>} 解压结果
+ */
+async function bunzip2(input, limits = {}) {
+    // 仅在需要时加载解压库
+    const Bunzip = require('seek-bzip');
+    const outputLimit = getOutputLimit(input.length, limits);
+    
+    const chunks = [];
+    let chunk = Buffer.allocUnsafe(OUTPUT_CHUNK_SIZE);
+    let position = 0;
+    let total = 0;
+    
+    const output = {
+        writeByte: byte => {
+            if (++total > outputLimit.maxOutput) {
+                throw createLimitError(outputLimit, limits);
+            }
+            if (position === chunk.length) {
+                chunks.push(chunk);
+                chunk = Buffer.allocUnsafe(OUTPUT_CHUNK_SIZE);
+                position = 0;
+            }
+            chunk[position++] = byte;
+        }
+    };
+    
+    try {
+        Bunzip.decode(input, output, true);
+    } catch (error) {
+        if (error instanceof ArchiveLimitError) {
+            throw error;
+        }
+        throw new Error(`bzip2解压失败: ${error.message}`);
+    }
+    
+    chunks.push(chunk.subarray(0, position));
+    return Buffer.concat(chunks, total);
+}
+
+/**
+ * 解压xz
+ * @param {Buffer} input - 压缩数据
+ * @param {Object} limits - 资源限制
+ * @returns {Promise<Buffer>} 解压结果
+ */
+async function unxz(input, limits = {}) {
+    // 仅在需要时加载解压库（WebAssembly实现，无需本地编译）
+    const { XzReadableStream } = require('xz-decompress');
+    const outputLimit = getOutputLimit(input.length, limits);
+    
+    const reader = new XzReadableStream(new Blob([input]).stream()).getReader();
+    const chunks = [];
+    let total = 0;
+    
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            
+            total += value.length;
+            if (total > outputLimit.maxOutput) {
+                await reader.cancel();
+                throw createLimitError(outputLimit, limits);
+            }
+            chunks.push(Buffer.from(value));
+        }
+    } catch (error) {
+        if (error instanceof ArchiveLimitError) {
+            throw error;
+        }
+        throw new Error(`xz解压失败: ${error.message}`);
+    }
+    
+    return Buffer.concat(chunks, total);
+}
+
+/**
+ * 创建统计输出字节数的转换流，超过限制时以ArchiveLimitError终止
+ * @param {Object} outputLimit - getOutputLimit的结果
+ * @param {Object} limits - 资源限制
+ * @returns {Transform} 转换流
+ */
+function createOutputCounter(outputLimit, limits) {
+    let total = 0;
+    
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            total += chunk.length;
+            if (total > outputLimit.maxOutput) {
+                return callback(createLimitError(outputLimit, limits));
+            }
+            callback(null, chunk);
+        }
+    });
+}
+
+/**
+ * 将压缩文件流式解压到目标文件
+ * @param {String} format - 压缩格式（gzip、xz）
+ * @param {String} inputPath - 压缩文件路径
+ * @param {String} outputPath - 解压结果的写入路径
+ * @param {Object} limits - 资源限制
+ * @returns {Promise<void>}
+ */
+async function decompressFile(format, inputPath, outputPath, limits = {}) {
+    const { size } = await fs.promises.stat(inputPath);
+    const outputLimit = getOutputLimit(size, limits);
+    
+    let source;
+    if (format === 'gzip') {
+        source = [fs.createReadStream(inputPath), zlib.createGunzip()];
+    } else if (format === 'xz') {
+        const { XzReadableStream } = require('xz-decompress');
+        source = [Readable.fromWeb(new XzReadableStream(Readable.toWeb(fs.createReadStream(inputPath))))];
+    } else {
+        throw new Error(`不支持流式解压的格式: ${format}`);
+    }
+    
+    try {
+        await pipeline(...source, createOutputCounter(outputLimit, limits), fs.createWriteStream(outputPath));
+    } catch (error) {
+        if (error instanceof ArchiveLimitError) {
+            throw error;
+        }
+        throw new Error(`${format}解压失败: ${error.message}`);
+    }
+}
+
+module.exports = {
+    gunzip,
+    bunzip2,
+    unxz,
+    decompressFile
+};
@@ -0,0 +1,247 @@
+/**
+ * 压缩包读取器注册表
+ * 
+ * 根据文件头的魔数（而不是扩展名）识别压缩包格式，并交给对应的读取器。
+ * openArchive读取内存中的压缩包；openArchiveFile直接读取文件（流式模式），
+ * ZIP和tar只在内存中保留条目列表，gzip、xz先流式解压到临时tar文件。
+ * 所有读取器返回统一的条目列表，ZipProcessor只通过条目接口解压文件：
+ * 
+ *   {
+ *     path,            // 压缩包中记录的原始路径
+ *     type,            // file | directory | symlink | link | other
+ *     size,            // 声明的解压后大小（未知时为null）
+ *     compressedSize,  // 压缩后大小（tar.gz等按整个数据流的压缩比估算，未知时为0）
+ *     mode,            // 权限位（未知时为null）
+ *     lastModified,    // 修改时间
+ *     stream()         // 返回条目内容的数据流（data/end/error事件）
+ *   }
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WorkflowError } = require('../errors');
+const { Logger } = require('../logger');
+const { readZip, readZipFile } = require('./zip-reader');
+const { readTar, readTarFile, isTarHeader } = require('./tar-reader');
+const { gunzip, bunzip2, unxz, decompressFile } = require('./decompress');
+const { readSevenZip } = require('./seven-zip-reader');
+const { readRar } = require('./rar-reader');
+
+/**
+ * 各格式的文件头魔数
+ */
+const SIGNATURES = [
+    { format: 'zip', offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04] },
+    { format: 'zip', offset: 0, bytes: [0x50, 0x4b, 0x05, 0x06] }, // 空ZIP
+    { format: 'zip', offset: 0, bytes: [0x50, 0x4b, 0x07, 0x08] }, // 分卷标记
+    { format: 'gzip', offset: 0, bytes: [0x1f, 0x8b] },
+    { format: 'bzip2', offset: 0, bytes: [0x42, 0x5a, 0x68] }, // BZh
+    { format: 'xz', offset: 0, bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+    { format: '7z', offset: 0, bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+    { format: 'rar', offset: 0, bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] } // Rar!（RAR4和RAR5）
+];
+
+/**
+ * 压缩格式及其解压函数（内容必须是tar包）
+ */
+const COMPRESSIONS = {
+    gzip: { format: 'tar.gz', decompress: gunzip },
+    bzip2: { format: 'tar.bz2', decompress: bunzip2 },
+    xz: { format: 'tar.xz', decompress: unxz }
+};
+
+/**
+ * 归档格式的读取器
+ */
+const READERS = {
+    zip: readZip,
+    tar: readTar,
+    '7z': readSevenZip,
+    rar: readRar
+};
+
+/**
+ * 可以直接从文件流式解压的压缩格式
+ */
+const STREAMING_COMPRESSIONS = ['gzip', 'xz'];
+
+/**
+ * 识别格式需要读取的文件头字节数（tar头部块）
+ */
+const HEADER_SIZE = 512;
+
+/**
+ * 支持的格式（用于提示信息）
+ */
+const SUPPORTED_FORMATS = ['zip', 'tar', 'tar.gz', 'tar.bz2', 'tar.xz', '7z', 'rar'];
+
+/**
+ * 支持的文件扩展名（ZipProcessor.validateFile的默认白名单）
+ */
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.gz', '.tgz', '.bz2', '.tbz', '.tbz2', '.xz', '.txz', '.7z', '.rar'];
+
+/**
+ * 根据文件头识别格式
+ * @param {Buffer} buffer - 文件内容
+ * @returns {String|null} zip、tar、gzip、bzip2、xz、7z、rar，无法识别时返回null
+ */
+function detectFormat(buffer) {
+    const signature = SIGNATURES.find(({ offset, bytes }) =>
+        buffer.length >= offset + bytes.length &&
+        bytes.every((byte, index) => buffer[offset + index] === byte)
+    );
+    
+    if (signature) {
+        return signature.format;
+    }
+    
+    return isTarHeader(buffer) ? 'tar' : null;
+}
+
+/**
+ * 打开压缩包，返回格式和条目列表
+ * gzip、bzip2、xz先整体解压（受解压总大小和压缩比限制），内容必须是tar包
+ * @param {Buffer} buffer - 文件内容
+ * @param {Object} limits - 资源限制（maxEntries、maxEntrySize、maxTotalUncompressedSize、maxCompressionRatio）
+ * @returns {Promise<Object>} { format, entries }
+ */
+async function openArchive(buffer, limits = {}) {
+    const detected = requireFormat(buffer);
+    const compression = COMPRESSIONS[detected];
+    
+    if (compression) {
+        const tarBuffer = await compression.decompress(buffer, limits);
+        requireTar(tarBuffer, detected);
+        
+        return {
+            format: compression.format,
+            entries: estimateCompressedSizes(await readTar(tarBuffer, limits), buffer.length, tarBuffer.length)
+        };
+    }
+    
+    return { format: detected, entries: await READERS[detected](buffer, limits) };
+}
+
+/**
+ * 直接从文件打开压缩包（流式模式），返回格式、条目列表和close()
+ * ZIP、tar和tar.gz、tar.xz不把压缩包读入内存；tar.bz2、7z、RAR的解压库
+ * 只支持内存数据，仍整体读入后解压
+ * @param {String} filePath - 压缩包路径
+ * @param {Object} limits - 资源限制
+ * @param {Object} options - 可选配置
+ * @param {String} options.tempDir - 存放解压出的临时tar文件的目录
+ * @param {Logger} options.logger - 日志记录器
+ * @returns {Promise<Object>} { format, entries, close }
+ */
+async function openArchiveFile(filePath, limits = {}, options = {}) {
+    const detected = requireFormat(await readHeader(filePath));
+    
+    if (detected === 'zip') {
+        const zip = await readZipFile(filePath, limits);
+        return { format: detected, entries: zip.entries, close: zip.close };
+    }
+    
+    if (detected === 'tar') {
+        return { format: detected, entries: await readTarFile(filePath, limits), close: async () => {} };
+    }
+    
+    if (STREAMING_COMPRESSIONS.includes(detected)) {
+        const tarPath = path.join(options.tempDir, `archive-${process.pid}-${Date.now()}.tar`);
+        const close = () => fs.promises.rm(tarPath, { force: true });
+        
+        try {
+            await decompressFile(detected, filePath, tarPath, limits);
+            requireTar(await readHeader(tarPath), detected);
+            
+            const [archiveStat, tarStat] = await Promise.all([fs.promises.stat(filePath), fs.promises.stat(tarPath)]);
+            const entries = estimateCompressedSizes(await readTarFile(tarPath, limits), archiveStat.size, tarStat.size);
+            
+            return { format: COMPRESSIONS[detected].format, entries: entries, close: close };
+        } catch (error) {
+            await close();
+            throw error;
+        }
+    }
+    
+    (options.logger || new Logger()).warn(`${detected}格式不支持流式读取，将整体读入内存`);
+    return { ...await openArchive(await fs.promises.readFile(filePath), limits), close: async () => {} };
+}
+
+/**
+ * tar条目本身没有压缩大小，按整个数据流的压缩比分摊压缩包大小
+ * 使ZipProcessor的压缩比检查和统计对tar.gz、tar.bz2、tar.xz与ZIP一致
+ * （解压阶段已按整个数据流检查过压缩比）
+ * @param {Array} entries - tar条目列表
+ * @param {Number} compressedSize - 压缩包大小
+ * @param {Number} tarSize - 解压出的tar包大小
+ * @returns {Array} 条目列表
+ */
+function estimateCompressedSizes(entries, compressedSize, tarSize) {
+    const ratio = tarSize > 0 ? compressedSize / tarSize : 0;
+    
+    entries.forEach(entry => {
+        entry.compressedSize = Math.round((entry.size || 0) * ratio);
+    });
+    
+    return entries;
+}
+
+/**
+ * 读取文件头用于识别格式
+ * @param {String} filePath - 文件路径
+ * @returns {Promise<Buffer>} 文件开头的字节
+ */
+async function readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    
+    try {
+        const buffer = Buffer.alloc(HEADER_SIZE);
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 识别格式，无法识别时抛出错误
+ * @param {Buffer} header - 文件内容或文件头
+ * @returns {String} 格式
+ */
+function requireFormat(header) {
+    const detected = detectFormat(header);
+    
+    if (!detected) {
+        throw new WorkflowError(
+            `无法识别的压缩包格式（支持: ${SUPPORTED_FORMATS.join(', ')}）`,
+            'UNSUPPORTED_ARCHIVE'
+        );
+    }
+    
+    return detected;
+}
+
+/**
+ * 确认解压出的内容是tar包
+ * @param {Buffer} header - 解压后的内容或文件头
+ * @param {String} compression - 压缩格式
+ */
+function requireTar(header, compression) {
+    if (!isTarHeader(header)) {
+        throw new WorkflowError(
+            `${compression}压缩的内容不是tar包，只支持 ${COMPRESSIONS[compression].format} 格式`,
+            'UNSUPPORTED_ARCHIVE'
+        );
+    }
+}
+
+module.exports = {
+    detectFormat,
+    openArchive,
+    openArchiveFile,
+    SUPPORTED_FORMATS,
+    ARCHIVE_EXTENSIONS
+};
@@ -0,0 +1,112 @@
+/**
+ * 读取器中的资源限制检查
+ * 
+ * 读取器在生成条目列表时检查条目数量，超过限制立即终止，不先读完整个目录。
+ * 7z和RAR只能整体解压到内存中，解压前先按文件头中声明的大小检查限制，
+ * 解压时再按实际写出的字节数检查（声明的大小可以伪造）。
+ * 实际解压出的内容仍会在ZipProcessor中按实际字节数再次检查。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { ArchiveLimitError } = require('../errors');
+
+/**
+ * 检查条目数量（与ZipProcessor一致，只计算文件，不计算目录）
+ * @param {Number} count - 已读取的文件条目数量
+ * @param {Object} limits - 资源限制（maxEntries）
+ */
+function checkEntryCount(count, limits = {}) {
+    if (limits.maxEntries && count > limits.maxEntries) {
+        throw new ArchiveLimitError(
+            `压缩包条目数量超过限制: > ${limits.maxEntries}`,
+            'maxEntries',
+            { actual: count, max: limits.maxEntries }
+        );
+    }
+}
+
+/**
+ * 检查条目数量、单个文件大小和解压总大小
+ * @param {Array} files - 文件条目（path、size）
+ * @param {Object} limits - 资源限制（maxEntries、maxEntrySize、maxTotalUncompressedSize）
+ */
+function checkDeclaredSizes(files, limits = {}) {
+    checkEntryCount(files.length, limits);
+    
+    let totalSize = 0;
+    
+    files.forEach(file => {
+        totalSize += file.size;
+        
+        if (limits.maxEntrySize && file.size > limits.maxEntrySize) {
+            throw new ArchiveLimitError(
+                `单个文件解压后大小超过限制: ${file.path} > ${limits.maxEntrySize} 字节`,
+                'maxEntrySize',
+                { actual: file.size, max: limits.maxEntrySize, path: file.path }
+            );
+        }
+    });
+    
+    if (limits.maxTotalUncompressedSize && totalSize > limits.maxTotalUncompressedSize) {
+        throw new ArchiveLimitError(
+            `解压总大小超过限制: > ${limits.maxTotalUncompressedSize} 字节`,
+            'maxTotalUncompressedSize',
+            { actual: totalSize, max: limits.maxTotalUncompressedSize }
+        );
+    }
+}
+
+/**
+ * 创建解压输出计数器，按实际写出的字节数检查单个文件大小、解压总大小和
+ * 整个压缩包的压缩比（输出超过ratioCheckThreshold后才检查压缩比）
+ * @param {Number} inputSize - 压缩包大小
+ * @param {Object} limits - 资源限制（maxEntrySize、maxTotalUncompressedSize、maxCompressionRatio、ratioCheckThreshold）
+ * @returns {Object} add(path, bytes)，超过限制时抛出ArchiveLimitError
+ */
+function createOutputCounter(inputSize, limits = {}) {
+    const ratioLimit = limits.maxCompressionRatio
+        ? Math.max(limits.ratioCheckThreshold || 0, inputSize * limits.maxCompressionRatio)
+        : Infinity;
+    const entrySizes = new Map();
+    let totalSize = 0;
+    
+    return {
+        add(entryPath, bytes) {
+            const entrySize = (entrySizes.get(entryPath) || 0) + bytes;
+            entrySizes.set(entryPath, entrySize);
+            totalSize += bytes;
+            
+            if (limits.maxEntrySize && entrySize > limits.maxEntrySize) {
+                throw new ArchiveLimitError(
+                    `单个文件解压后大小超过限制: ${entryPath} > ${limits.maxEntrySize} 字节`,
+                    'maxEntrySize',
+                    { actual: entrySize, max: limits.maxEntrySize, path: entryPath }
+                );
+            }
+            
+            if (limits.maxTotalUncompressedSize && totalSize > limits.maxTotalUncompressedSize) {
+                throw new ArchiveLimitError(
+                    `解压总大小超过限制: > ${limits.maxTotalUncompressedSize} 字节`,
+                    'maxTotalUncompressedSize',
+                    { actual: totalSize, max: limits.maxTotalUncompressedSize }
+                );
+            }
+            
+            if (totalSize > ratioLimit) {
+                throw new ArchiveLimitError(
+                    `压缩比超过限制: > ${limits.maxCompressionRatio}:1`,
+                    'maxCompressionRatio',
+                    { max: limits.maxCompressionRatio }
+                );
+            }
+        }
+    };
+}
+
+module.exports = {
+    checkEntryCount,
+    checkDeclaredSizes,
+    createOutputCounter
+};
@@ -0,0 +1,99 @@
+/**
+ * RAR读取器
+ * 
+ * 使用node-unrar-js（unrar的WebAssembly版本）在内存中解压RAR4和RAR5压缩包。
+ * 解压前先读取文件头，按声明的大小检查资源限制；解压时再按实际写出的字节数检查，
+ * 超过限制立即终止。不支持加密和分卷压缩包。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { Readable } = require('stream');
+const { ArchiveLimitError } = require('../errors');
+const { checkDeclaredSizes, createOutputCounter } = require('./limits');
+
+/**
+ * 读取RAR条目列表
+ * @param {Buffer} buffer - RAR文件内容
+ * @param {Object} limits - 资源限制（maxEntries、maxEntrySize、maxTotalUncompressedSize、maxCompressionRatio）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function readRar(buffer, limits = {}) {
+    // 仅在需要时加载（WebAssembly模块较大）
+    const { createExtractorFromData } = require('node-unrar-js');
+    
+    const data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+    const entries = [];
+    let limitError = null;
+    
+    try {
+        const extractor = await createExtractorFromData({ data: data });
+        const headers = Array.from(extractor.getFileList().fileHeaders);
+        
+        if (headers.some(header => header.flags.encrypted)) {
+            throw new Error('不支持加密的RAR压缩包');
+        }
+        
+        checkDeclaredSizes(
+            headers
+                .filter(header => !header.flags.directory)
+                .map(header => ({ path: header.name, size: header.unpSize })),
+            limits
+        );
+        
+        // 声明的大小可以伪造：解压时unrar通过create、write写出每个文件，按实际字节数计数，
+        // 超过限制时写入失败（存储方式的文件写入失败时unrar不报错，每个文件解压后再检查）
+        const counter = createOutputCounter(buffer.length, limits);
+        const create = extractor.create.bind(extractor);
+        const write = extractor.write.bind(extractor);
+        let currentFile = null;
+        
+        extractor.create = fileName => {
+            currentFile = fileName;
+            return create(fileName);
+        };
+        extractor.write = (fd, pointer, size) => {
+            try {
+                counter.add(currentFile, size);
+            } catch (error) {
+                limitError = error;
+                return false;
+            }
+            return write(fd, pointer, size);
+        };
+        
+        for (const file of extractor.extract().files) {
+            if (limitError) {
+                throw limitError;
+            }
+            
+            const header = file.fileHeader;
+            const content = Buffer.from(file.extraction || []);
+            
+            entries.push({
+                path: header.name,
+                type: header.flags.directory ? 'directory' : 'file',
+                size: header.unpSize,
+                compressedSize: header.packSize,
+                mode: null,
+                lastModified: header.time ? new Date(header.time) : new Date(),
+                stream: () => Readable.from([content])
+            });
+        }
+    } catch (error) {
+        if (limitError) {
+            throw limitError;
+        }
+        if (error instanceof ArchiveLimitError) {
+            throw error;
+        }
+        throw new Error(`RAR解压失败: ${error.message}`);
+    }
+    
+    return entries;
+}
+
+module.exports = {
+    readRar
+};
@@ -0,0 +1,164 @@
+/**
+ * 7z读取器
+ * 
+ * 使用7-Zip的WebAssembly版本（7z-wasm）在内存文件系统中解压。
+ * 解压前先读取条目列表，按声明的大小检查资源限制；解压时再按实际写入
+ * 内存文件系统的字节数检查，超过限制立即终止。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { Readable } = require('stream');
+const { checkDeclaredSizes, createOutputCounter } = require('./limits');
+
+/**
+ * 内存文件系统中的压缩包和解压目录
+ */
+const ARCHIVE_PATH = '/archive.7z';
+const OUTPUT_DIR = '/output';
+
+/**
+ * 超过限制时写入失败返回的错误码（ENOSPC），7z随即终止解压
+ */
+const ERRNO_NO_SPACE = 51;
+
+/**
+ * 将ls风格的权限字符串（-rwxr-xr-x）转换为权限位
+ * @param {String} permissions - 权限字符串
+ * @returns {Number|null} 权限位
+ */
+function parsePermissions(permissions) {
+    if (!permissions || permissions.length !== 10) {
+        return null;
+    }
+    
+    return permissions.substring(1).split('').reduce(
+        (mode, flag, index) => flag === '-' ? mode : mode | (1 << (8 - index)),
+        0
+    );
+}
+
+/**
+ * 解析 `7z l -slt` 输出的条目列表
+ * @param {Array<String>} lines - 输出行
+ * @returns {Array<Object>} 条目属性（Path、Size、Attributes等）
+ */
+function parseListing(lines) {
+    const items = [];
+    let current = null;
+    
+    lines.forEach(line => {
+        const match = line.match(/^([A-Za-z ]+) = (.*)$/);
+        
+        if (!match) {
+            current = null;
+            return;
+        }
+        
+        if (match[1] === 'Path') {
+            current = {};
+            items.push(current);
+        }
+        
+        if (current) {
+            current[match[1]] = match[2];
+        }
+    });
+    
+    return items;
+}
+
+/**
+ * 读取7z条目列表
+ * @param {Buffer} buffer - 7z文件内容
+ * @param {Object} limits - 资源限制（maxEntries、maxEntrySize、maxTotalUncompressedSize、maxCompressionRatio）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function readSevenZip(buffer, limits = {}) {
+    // 仅在需要时加载（WebAssembly模块较大）
+    const SevenZip = require('7z-wasm');
+    
+    const output = [];
+    const sevenZip = await SevenZip({
+        print: line => output.push(line),
+        printErr: line => output.push(line)
+    });
+    
+    const run = args => {
+        output.length = 0;
+        // 7z-wasm把退出码写入process.exitCode（写入失败时7z的异常会直接从callMain抛出），
+        // 解压失败不应改变整个进程的退出码
+        const processExitCode = process.exitCode;
+        let exitCode;
+        try {
+            exitCode = sevenZip.callMain(['-bsp0', '-bso1', '-y', ...args]);
+        } finally {
+            process.exitCode = processExitCode;
+        }
+        
+        if (exitCode !== 0) {
+            const message = output.filter(line => /error|ERROR/.test(line)).join('; ');
+            throw new Error(`7z解压失败: ${message || `退出码 ${exitCode}`}`);
+        }
+        return output.slice();
+    };
+    
+    sevenZip.FS.writeFile(ARCHIVE_PATH, buffer);
+    
+    // 按声明的大小检查限制，避免在内存文件系统中解压出过大的内容
+    const items = parseListing(run(['l', '-slt', '-ba', ARCHIVE_PATH]));
+    checkDeclaredSizes(
+        items
+            .filter(item => !(item.Attributes || '').startsWith('D'))
+            .map(item => ({ path: item.Path, size: Number(item.Size) || 0 })),
+        limits
+    );
+    
+    // 声明的大小可以伪造：按实际写入解压目录的字节数计数，超过限制时写入失败
+    const counter = createOutputCounter(buffer.length, limits);
+    const write = sevenZip.FS.write;
+    let limitError = null;
+    
+    sevenZip.FS.write = (stream, data, offset, length, position, canOwn) => {
+        if (stream.path && stream.path.startsWith(`${OUTPUT_DIR}/`)) {
+            try {
+                counter.add(stream.path.substring(OUTPUT_DIR.length + 1), length);
+            } catch (error) {
+                limitError = limitError || error;
+                throw new sevenZip.FS.ErrnoError(ERRNO_NO_SPACE);
+            }
+        }
+        return write(stream, data, offset, length, position, canOwn);
+    };
+    
+    try {
+        run(['x', ARCHIVE_PATH, `-o${OUTPUT_DIR}`]);
+    } catch (error) {
+        throw limitError || error;
+    }
+    
+    return items.map(item => {
+        const [flags, permissions = ''] = (item.Attributes || '').split(' ');
+        let type = 'file';
+        if (flags.startsWith('D')) {
+            type = 'directory';
+        } else if (permissions.startsWith('l')) {
+            type = 'symlink';
+        }
+        
+        return {
+            path: item.Path,
+            type: type,
+            size: Number(item.Size) || 0,
+            compressedSize: Number(item['Packed Size']) || 0,
+            mode: parsePermissions(permissions),
+            lastModified: item.Modified ? new Date(`${item.Modified.replace(' ', 'T')}Z`) : new Date(),
+            stream: () => Readable.from([Buffer.from(sevenZip.FS.readFile(`${OUTPUT_DIR}/${item.Path}`))])
+        };
+    });
+}
+
+module.exports = {
+    readSevenZip
+};
@@ -0,0 +1,254 @@
+/**
+ * tar读取器
+ * 
+ * 解析POSIX ustar格式的tar包，支持GNU长文件名（L/K）和pax扩展头（x）。
+ * 符号链接、硬链接和设备文件作为非普通文件条目返回，由调用方拒绝。
+ * 既可以读取内存中的tar包，也可以直接从文件读取（只在内存中保留头部）。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const { Readable } = require('stream');
+const { checkEntryCount } = require('./limits');
+
+/**
+ * tar块大小
+ */
+const BLOCK_SIZE = 512;
+
+/**
+ * 扩展头（pax、GNU长文件名）的最大字节数
+ */
+const MAX_EXTENDED_HEADER_SIZE = 1024 * 1024;
+
+/**
+ * 条目类型标志
+ */
+const ENTRY_TYPES = {
+    '0': 'file',
+    '\0': 'file',
+    '7': 'file', // 连续文件，按普通文件处理
+    '1': 'link',
+    '2': 'symlink',
+    '5': 'directory'
+};
+
+/**
+ * 读取以NUL结尾的字符串字段
+ * @param {Buffer} block - 头部块
+ * @param {Number} offset - 起始位置
+ * @param {Number} length - 字段长度
+ * @returns {String} 字段值
+ */
+function readString(block, offset, length) {
+    const field = block.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end >= 0 ? end : field.length).toString('utf8');
+}
+
+/**
+ * 读取数字字段（八进制文本，或GNU扩展的base-256二进制）
+ * @param {Buffer} block - 头部块
+ * @param {Number} offset - 起始位置
+ * @param {Number} length - 字段长度
+ * @returns {Number} 字段值
+ */
+function readNumber(block, offset, length) {
+    if (block[offset] & 0x80) {
+        let value = block[offset] & 0x7f;
+        for (let i = 1; i < length; i++) {
+            value = value * 256 + block[offset + i];
+        }
+        return value;
+    }
+    
+    const text = readString(block, offset, length).trim();
+    return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * 校验头部块的校验和（校验和字段本身按空格计算）
+ * @param {Buffer} block - 头部块
+ * @returns {Boolean} 是否有效
+ */
+function verifyChecksum(block) {
+    let sum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    }
+    return sum === readNumber(block, 148, 8);
+}
+
+/**
+ * 判断内容是否以tar头部开始（ustar魔数或有效的校验和）
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Boolean} 是否为tar包
+ */
+function isTarHeader(buffer) {
+    if (buffer.length < BLOCK_SIZE) {
+        return false;
+    }
+    
+    const block = buffer.subarray(0, BLOCK_SIZE);
+    
+    if (block.toString('latin1', 257, 262) === 'ustar') {
+        return true;
+    }
+    
+    // 旧式v7 tar没有魔数，只能依靠校验和判断
+    return block.some(byte => byte !== 0) && verifyChecksum(block);
+}
+
+/**
+ * 解析pax扩展头（"长度 键=值\n"记录）
+ * @param {Buffer} data - 扩展头内容
+ * @returns {Object} 键值对
+ */
+function parsePaxHeaders(data) {
+    const headers = {};
+    let offset = 0;
+    
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.toString('utf8', offset, space), 10);
+        
+        if (space < 0 || !length) {
+            break;
+        }
+        
+        const record = data.toString('utf8', space + 1, offset + length - 1);
+        const separator = record.indexOf('=');
+        headers[record.substring(0, separator)] = record.substring(separator + 1);
+        offset += length;
+    }
+    
+    return headers;
+}
+
+/**
+ * 解析tar条目列表，文件条目超过maxEntries时立即终止
+ * @param {Object} source - 数据来源（length、read(offset, length)、stream(offset, length)）
+ * @param {Object} limits - 资源限制（maxEntries）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function parseTar(source, limits = {}) {
+    const entries = [];
+    let fileCount = 0;
+    let offset = 0;
+    let pax = {};
+    let longName = null;
+    
+    while (offset + BLOCK_SIZE <= source.length) {
+        const block = await source.read(offset, BLOCK_SIZE);
+        
+        // 全零块表示归档结束
+        if (block.every(byte => byte === 0)) {
+            break;
+        }
+        
+        if (!verifyChecksum(block)) {
+            throw new Error(`tar头部校验失败（偏移 ${offset}），压缩包可能已损坏`);
+        }
+        
+        const typeFlag = String.fromCharCode(block[156]);
+        const size = pax.size !== undefined ? Number(pax.size) : readNumber(block, 124, 12);
+        const dataStart = offset + BLOCK_SIZE;
+        
+        if (dataStart + size > source.length) {
+            throw new Error('tar包不完整，条目内容被截断');
+        }
+        
+        if ((typeFlag === 'x' || typeFlag === 'L') && size > MAX_EXTENDED_HEADER_SIZE) {
+            throw new Error(`tar扩展头过大（偏移 ${offset}）: ${size} 字节`);
+        }
+        
+        offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+        
+        // 扩展头作用于下一个条目
+        if (typeFlag === 'x') {
+            pax = parsePaxHeaders(await source.read(dataStart, size));
+            continue;
+        }
+        if (typeFlag === 'L') {
+            const data = await source.read(dataStart, size);
+            longName = readString(data, 0, data.length);
+            continue;
+        }
+        if (typeFlag === 'g' || typeFlag === 'K') {
+            continue;
+        }
+        
+        const prefix = block.toString('latin1', 257, 262) === 'ustar' ? readString(block, 345, 155) : '';
+        const name = readString(block, 0, 100);
+        const mtime = pax.mtime !== undefined ? Number(pax.mtime) : readNumber(block, 136, 12);
+        
+        if (typeFlag !== '5') {
+            checkEntryCount(++fileCount, limits);
+        }
+        
+        entries.push({
+            path: pax.path || longName || (prefix ? `${prefix}/${name}` : name),
+            type: ENTRY_TYPES[typeFlag] || 'other',
+            size: size,
+            compressedSize: 0,
+            mode: readNumber(block, 100, 8) & 0o7777,
+            lastModified: new Date(mtime * 1000),
+            stream: () => source.stream(dataStart, size)
+        });
+        
+        pax = {};
+        longName = null;
+    }
+    
+    return entries;
+}
+
+/**
+ * 读取tar条目列表
+ * @param {Buffer} buffer - tar包内容
+ * @param {Object} limits - 资源限制（maxEntries）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function readTar(buffer, limits = {}) {
+    return parseTar({
+        length: buffer.length,
+        read: async (offset, length) => buffer.subarray(offset, offset + length),
+        stream: (offset, length) => Readable.from([buffer.subarray(offset, offset + length)])
+    }, limits);
+}
+
+/**
+ * 从文件读取tar条目列表（只读取头部，条目内容在读取时才从文件流式读出）
+ * @param {String} filePath - tar文件路径
+ * @param {Object} limits - 资源限制（maxEntries）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function readTarFile(filePath, limits = {}) {
+    const handle = await fs.promises.open(filePath, 'r');
+    
+    try {
+        const { size } = await handle.stat();
+        
+        return await parseTar({
+            length: size,
+            read: async (offset, length) => {
+                const buffer = Buffer.alloc(length);
+                await handle.read(buffer, 0, length, offset);
+                return buffer;
+            },
+            stream: (offset, length) => length > 0
+                ? fs.createReadStream(filePath, { start: offset, end: offset + length - 1 })
+                : Readable.from([])
+        }, limits);
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    readTar,
+    readTarFile,
+    isTarHeader
+};
@@ -0,0 +1,121 @@
+/**
+ * ZIP读取器
+ * 
+ * 使用yauzl读取中央目录：内存中的ZIP从Buffer读取；流式模式下直接从文件读取，
+ * 不把整个压缩包读入内存。条目内容都在读取时才流式解压，
+ * 由ZipProcessor在解压过程中检查资源限制。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { PassThrough } = require('stream');
+const yauzl = require('yauzl');
+const { checkEntryCount } = require('./limits');
+
+/**
+ * Unix文件类型位（外部属性的高16位中）
+ */
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * 根据目录标记和Unix属性判断条目类型
+ * 符号链接的内容是链接目标，与tar、7z读取器一样作为symlink条目返回，由调用方拒绝
+ * @param {Boolean} isDirectory - 是否为目录
+ * @param {Number} attributes - Unix属性（类型位和权限位）
+ * @returns {String} file、directory或symlink
+ */
+function getEntryType(isDirectory, attributes) {
+    if (isDirectory) {
+        return 'directory';
+    }
+    
+    return (attributes & S_IFMT) === S_IFLNK ? 'symlink' : 'file';
+}
+
+/**
+ * 读取ZIP条目列表
+ * @param {Buffer} buffer - ZIP文件内容
+ * @param {Object} limits - 资源限制（maxEntries）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function readZip(buffer, limits = {}) {
+    const zipFile = await yauzl.fromBufferPromise(buffer, { autoClose: false, decodeStrings: false });
+    
+    // 内存中的压缩包没有需要关闭的文件
+    return readEntries(zipFile, limits);
+}
+
+/**
+ * 从文件读取ZIP条目列表（只读取中央目录，条目内容在读取时才从文件解压）
+ * 全部条目读取完成后由调用方调用close()关闭文件
+ * @param {String} filePath - ZIP文件路径
+ * @param {Object} limits - 资源限制（maxEntries）
+ * @returns {Promise<Object>} { entries, close }
+ */
+async function readZipFile(filePath, limits = {}) {
+    const zipFile = await yauzl.openPromise(filePath, { autoClose: false, decodeStrings: false });
+    
+    try {
+        return { entries: await readEntries(zipFile, limits), close: () => zipFile.close() };
+    } catch (error) {
+        zipFile.close();
+        throw error;
+    }
+}
+
+/**
+ * 逐条读取中央目录，文件条目超过maxEntries时立即终止
+ * 不让yauzl校验文件名：不安全的路径由调用方逐条拒绝，而不是终止整个压缩包
+ * @param {ZipFile} zipFile - yauzl打开的压缩包（lazyEntries、decodeStrings: false）
+ * @param {Object} limits - 资源限制（maxEntries）
+ * @returns {Promise<Array>} 条目列表
+ */
+async function readEntries(zipFile, limits) {
+    const entries = [];
+    let fileCount = 0;
+    
+    for await (const zipEntry of zipFile.eachEntry()) {
+        const entryPath = yauzl.getFileNameLowLevel(
+            zipEntry.generalPurposeBitFlag,
+            zipEntry.fileNameRaw,
+            zipEntry.extraFields,
+            false
+        );
+        const attributes = zipEntry.externalFileAttributes >>> 16;
+        const type = getEntryType(entryPath.endsWith('/'), attributes);
+        
+        if (type !== 'directory') {
+            checkEntryCount(++fileCount, limits);
+        }
+        
+        entries.push({
+            path: entryPath,
+            type: type,
+            size: zipEntry.uncompressedSize,
+            compressedSize: zipEntry.compressedSize,
+            mode: attributes ? attributes & 0o7777 : null,
+            lastModified: zipEntry.getLastModDate(),
+            stream: () => {
+                // yauzl异步打开数据流，先返回占位流以便调用方立即挂载事件
+                const output = new PassThrough();
+                zipFile.openReadStream(zipEntry, (error, input) => {
+                    if (error) {
+                        output.destroy(error);
+                        return;
+                    }
+                    input.on('error', streamError => output.destroy(streamError)).pipe(output);
+                });
+                return output;
+            }
+        });
+    }
+    
+    return entries;
+}
+
+module.exports = {
+    readZip,
+    readZipFile
+};
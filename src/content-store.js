@@ -0,0 +1,218 @@
+/**
+ * 文件内容暂存区（流式处理）
+ * 
+ * 流式模式下解压出的文件内容不保存在内存中，而是边解压边写入临时目录，
+ * 同时计算校验和、git blob SHA和LFS对象ID。文件对象只保留contentFile路径，
+ * 上传时按批次读取内容，内存占用与压缩包大小无关。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+/**
+ * 临时目录名前缀
+ */
+const DIRECTORY_PREFIX = 'n8n-archive-';
+
+/**
+ * 单个条目的写入器：写入暂存文件并计算哈希
+ */
+class EntryWriter {
+    /**
+     * @param {String} filePath - 暂存文件路径
+     * @param {Number|null} declaredSize - 条目声明的大小（用于提前写入git blob头）
+     */
+    constructor(filePath, declaredSize) {
+        this.filePath = filePath;
+        this.declaredSize = declaredSize;
+        this.size = 0;
+        this.output = fs.createWriteStream(filePath);
+        this.md5 = crypto.createHash('md5');
+        this.sha256 = crypto.createHash('sha256');
+        this.sha1 = Number.isInteger(declaredSize)
+            ? crypto.createHash('sha1').update(`blob ${declaredSize}\0`)
+            : null;
+    }
+
+    /**
+     * 写入一块内容
+     * @param {Buffer} chunk - 内容块
+     * @returns {Boolean} false表示需要等待drain事件再继续写入
+     */
+    write(chunk) {
+        this.size += chunk.length;
+        this.md5.update(chunk);
+        this.sha256.update(chunk);
+        if (this.sha1) {
+            this.sha1.update(chunk);
+        }
+        return this.output.write(chunk);
+    }
+
+    /**
+     * 注册一次性事件（drain）
+     * @param {String} event - 事件名
+     * @param {Function} listener - 回调
+     */
+    once(event, listener) {
+        this.output.once(event, listener);
+    }
+
+    /**
+     * 完成写入
+     * @returns {Promise<Object>} contentFile、size、checksum（MD5）、blobSha、sha256
+     */
+    async finish() {
+        await new Promise((resolve, reject) => {
+            this.output.once('error', reject);
+            this.output.end(resolve);
+        });
+        
+        // 声明的大小缺失或与实际不符时，需要按实际大小重新计算blob SHA
+        const blobSha = this.sha1 && this.size === this.declaredSize
+            ? this.sha1.digest('hex')
+            : await hashBlobFile(this.filePath, this.size);
+        
+        return {
+            contentFile: this.filePath,
+            size: this.size,
+            checksum: this.md5.digest('hex'),
+            blobSha: blobSha,
+            sha256: this.sha256.digest('hex')
+        };
+    }
+
+    /**
+     * 放弃写入并删除暂存文件
+     * @returns {Promise<void>}
+     */
+    async abort() {
+        this.output.destroy();
+        await fs.promises.rm(this.filePath, { force: true });
+    }
+}
+
+/**
+ * 暂存区，每次工作流处理使用一个独立的临时目录
+ */
+class ContentStore {
+    /**
+     * @param {String} directory - 暂存目录（已存在）
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.fileCount = 0;
+    }
+
+    /**
+     * 在指定目录（默认系统临时目录）下创建暂存区
+     * @param {String} baseDir - 父目录
+     * @returns {Promise<ContentStore>} 暂存区
+     */
+    static async create(baseDir = null) {
+        const parent = baseDir || os.tmpdir();
+        await fs.promises.mkdir(parent, { recursive: true });
+        
+        return new ContentStore(await fs.promises.mkdtemp(path.join(parent, DIRECTORY_PREFIX)));
+    }
+
+    /**
+     * 为一个条目创建写入器
+     * @param {Number|null} declaredSize - 条目声明的大小
+     * @returns {EntryWriter} 写入器
+     */
+    createWriter(declaredSize = null) {
+        this.fileCount++;
+        return new EntryWriter(path.join(this.directory, `${this.fileCount}.blob`), declaredSize);
+    }
+
+    /**
+     * 删除暂存目录及其中的所有文件
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        await fs.promises.rm(this.directory, { recursive: true, force: true });
+    }
+}
+
+/**
+ * 从暂存文件流式计算git blob SHA
+ * @param {String} filePath - 文件路径
+ * @param {Number} size - 文件大小
+ * @returns {Promise<String>} blob SHA
+ */
+async function hashBlobFile(filePath, size) {
+    const hash = crypto.createHash('sha1').update(`blob ${size}\0`);
+    
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    
+    return hash.digest('hex');
+}
+
+/**
+ * 读取文件内容（内容在内存中时直接解码，否则从暂存文件读取）
+ * @param {Object} file - 文件对象（content或contentFile）
+ * @returns {Promise<Buffer>} 文件内容
+ */
+async function readFileContent(file) {
+    if (file.content !== undefined) {
+        return Buffer.from(file.content || '', 'base64');
+    }
+    
+    return fs.promises.readFile(file.contentFile);
+}
+
+/**
+ * 同步读取文件内容，只用于大小有上限的场景（如敏感信息扫描）
+ * @param {Object} file - 文件对象（content或contentFile）
+ * @returns {Buffer} 文件内容
+ */
+function readFileContentSync(file) {
+    if (file.content !== undefined) {
+        return Buffer.from(file.content || '', 'base64');
+    }
+    
+    return fs.readFileSync(file.contentFile);
+}
+
+/**
+ * 创建文件内容的可读流（大文件上传时不整体读入内存）
+ * @param {Object} file - 文件对象（content或contentFile）
+ * @returns {Readable} 内容流
+ */
+function createContentStream(file) {
+    if (file.content !== undefined) {
+        return Readable.from([Buffer.from(file.content || '', 'base64')]);
+    }
+    
+    return fs.createReadStream(file.contentFile);
+}
+
+/**
+ * 返回带base64内容的文件对象，供上传API使用（不修改原对象）
+ * @param {Object} file - 文件对象
+ * @returns {Promise<Object>} 带content的文件对象
+ */
+async function withFileContent(file) {
+    if (file.content !== undefined) {
+        return file;
+    }
+    
+    return { ...file, content: (await readFileContent(file)).toString('base64') };
+}
+
+module.exports = {
+    ContentStore,
+    createContentStream,
+    readFileContent,
+    readFileContentSync,
+    withFileContent
+};
@@ -0,0 +1,61 @@
+/**
+ * 工作流错误类型
+ * 
+ * 带有错误代码的错误类，便于n8n工作流和调用方
+ * 根据 `code` 字段路由到不同的处理分支。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+/**
+ * 带错误代码的工作流错误
+ */
+class WorkflowError extends Error {
+    /**
+     * @param {String} message - 错误描述
+     * @param {String} code - 错误代码
+     * @param {Object} details - 详细信息
+     */
+    constructor(message, code, details = {}) {
+        super(message);
+        this.name = 'WorkflowError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * 压缩包超出资源限制（疑似压缩炸弹）
+ */
+class ArchiveLimitError extends WorkflowError {
+    /**
+     * @param {String} message - 错误描述
+     * @param {String} limit - 触发的限制名称
+     * @param {Object} details - 详细信息（实际值、限制值、条目路径等）
+     */
+    constructor(message, limit, details = {}) {
+        super(message, 'ARCHIVE_LIMIT_EXCEEDED', { limit, ...details });
+        this.name = 'ArchiveLimitError';
+        this.limit = limit;
+    }
+}
+
+/**
+ * 任务已被取消（队列中的任务在下一个检查点终止）
+ */
+class JobCancelledError extends WorkflowError {
+    /**
+     * @param {String} message - 错误描述
+     */
+    constructor(message = '任务已取消') {
+        super(message, 'JOB_CANCELLED');
+        this.name = 'JobCancelledError';
+    }
+}
+
+module.exports = {
+    WorkflowError,
+    ArchiveLimitError,
+    JobCancelledError
+};
@@ -0,0 +1,29 @@
+/**
+ * Git对象工具函数
+ * 
+ * 计算与git完全一致的对象哈希，
+ * 用于和仓库中已有的文件进行比较。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 计算git blob对象的SHA-1（与 `git hash-object` 结果一致）
+ * @param {Buffer|String} content - 文件内容（字符串视为base64）
+ * @returns {String} 40位十六进制SHA-1
+ */
+function calculateBlobSha(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64');
+    
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
+
+module.exports = {
+    calculateBlobSha
+};
@@ -8,126 +8,115 @@
  * @version 1.0.0
  */
 
+const { encodeRepoPath } = require('./path-safety');
+const { withFileContent } = require('./content-store');
+const GitProvider = require('./providers/git-provider');
+const { createBatches } = require('./providers/upload-plan');
+const { GitHubAppAuth } = require('./github-app-auth');
+
+/**
+ * 仓库可见性（internal仅适用于企业组织）
+ */
+const REPOSITORY_VISIBILITIES = ['public', 'private', 'internal'];
+
+/**
+ * 团队对仓库的权限级别
+ */
+const TEAM_PERMISSIONS = ['pull', 'triage', 'push', 'maintain', 'admin'];
+
 /**
  * GitHub操作代理类
  */
-class GitHubAgent {
+class GitHubAgent extends GitProvider {
+    /**
+     * @param {Object} config - 配置
+     * @param {String} config.githubToken - GitHub访问令牌（配置了App认证时作为备用）
+     * @param {Object|GitHubAppAuth} config.appAuth - GitHub App认证（appId、privateKey、installationId）
+     * @param {String} config.baseUrl - GitHub Enterprise Server地址（如 https://github.example.com）
+     * @param {String} config.apiBaseUrl - REST API地址（默认https://api.github.com，GHES为{baseUrl}/api/v3）
+     * @param {String} config.uploadUrl - 上传API地址（默认https://uploads.github.com，GHES为{baseUrl}/api/uploads）
+     * @param {String} config.lfsServerUrl - LFS服务地址（默认https://github.com或GHES地址）
+     */
     constructor(config) {
-        this.githubToken = config.githubToken;
+        super({ ...config, token: config.githubToken || config.token });
+        this.githubToken = this.token;
         this.mcpServerUrl = config.mcpServerUrl;
-        this.owner = config.owner;
-        this.maxRetries = config.maxRetries || 3;
-        this.retryDelay = config.retryDelay || 1000;
-        this.batchSize = config.batchSize || 10;
-        
-        // API速率限制配置
-        this.rateLimitDelay = config.rateLimitDelay || 100;
-        this.lastRequestTime = 0;
+        this.displayName = 'GitHub';
+        
+        // 配置了GHES地址时，API、上传和LFS地址默认都从该地址推导
+        const serverUrl = config.baseUrl ? config.baseUrl.replace(/\/+$/, '') : null;
+        
+        this.apiBaseUrl = (config.apiBaseUrl || (serverUrl ? `${serverUrl}/api/v3` : 'https://api.github.com'))
+            .replace(/\/+$/, '');
+        this.uploadUrl = (config.uploadUrl || (serverUrl ? `${serverUrl}/api/uploads` : 'https://uploads.github.com'))
+            .replace(/\/+$/, '');
+        
+        // Git LFS服务地址，仓库的LFS端点为 {lfsServerUrl}/{owner}/{repo}.git/info/lfs
+        this.lfsServerUrl = config.lfsServerUrl || serverUrl || 'https://github.com';
+        
+        // 配置了App时优先使用安装令牌，个人访问令牌作为备用
+        this.appAuth = null;
+        if (config.appAuth instanceof GitHubAppAuth) {
+            this.appAuth = config.appAuth;
+        } else if (config.appAuth && config.appAuth.appId) {
+            this.appAuth = new GitHubAppAuth({
+                ...config.appAuth,
+                apiBaseUrl: this.apiBaseUrl,
+                dispatcher: this.dispatcher,
+                logger: this.logger,
+                metrics: this.metrics
+            });
+        }
+        
+        this.authMethod = this.appAuth ? 'app' : 'token';
+        this.fallbackOwners = new Set();
     }
 
     /**
-     * 主要处理方法：创建仓库并上传文件
-     * @param {String} folderName - 文件夹名称
-     * @param {Array} extractedFiles - 提取的文件列表
-     * @param {Object} options - 可选配置
-     * @returns {Promise<Object>} 处理结果
+     * 获取仓库信息
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {Promise<Object|null>} 仓库信息，不存在时返回null
      */
-    async createRepositoryAndUploadFiles(folderName, extractedFiles, options = {}) {
-        const startTime = Date.now();
-        
+    async getRepository(owner, repoName) {
         try {
-            console.log(`🚀 开始为文件夹 "${folderName}" 创建GitHub仓库并上传文件...`);
-            console.log(`📊 待处理文件数量: ${extractedFiles.length}`);
-            
-            // 验证输入参数
-            this.validateInput(folderName, extractedFiles);
-            
-            // 步骤1: 创建GitHub仓库
-            const repoData = await this.createRepository(folderName, options);
-            console.log(`✅ 成功创建仓库: ${repoData.html_url}`);
-            
-            // 等待仓库初始化完成
-            await this.waitForRepositoryReady(this.owner, folderName);
-            
-            // 步骤2: 批量上传文件
-            const uploadResults = await this.uploadFilesToRepository(
-                this.owner, 
-                folderName, 
-                extractedFiles,
-                options
-            );
-            
-            // 步骤3: 创建README文件
-            if (options.createReadme !== false) {
-                await this.createReadmeFile(this.owner, folderName, extractedFiles);
-            }
-            
-            // 计算处理时间
-            const processingTime = Date.now() - startTime;
-            
-            const result = {
-                success: true,
-                repository: repoData,
-                uploadResults: uploadResults,
-                processingTime: processingTime,
-                message: `成功创建仓库 ${folderName} 并上传 ${uploadResults.successCount} 个文件`,
-                timestamp: new Date().toISOString()
-            };
-            
-            console.log(`🎉 处理完成! 耗时: ${processingTime}ms`);
-            return result;
-            
+            return await this.makeGitHubApiCall('GET', `/repos/${owner}/${repoName}`);
         } catch (error) {
-            console.error(`❌ 处理失败: ${error.message}`);
-            
-            return {
-                success: false,
-                error: error.message,
-                folderName: folderName,
-                fileCount: extractedFiles.length,
-                processingTime: Date.now() - startTime,
-                timestamp: new Date().toISOString()
-            };
-        }
-    }
-
-    /**
-     * 验证输入参数
-     * @param {String} folderName - 文件夹名称
-     * @param {Array} extractedFiles - 文件列表
-     */
-    validateInput(folderName, extractedFiles) {
-        if (!folderName || typeof folderName !== 'string') {
-            throw new Error('文件夹名称不能为空');
-        }
-        
-        if (!Array.isArray(extractedFiles) || extractedFiles.length === 0) {
-            throw new Error('文件列表不能为空');
-        }
-        
-        // 验证GitHub仓库名称规则
-        if (!/^[a-zA-Z0-9._-]+$/.test(folderName)) {
-            throw new Error('仓库名称包含无效字符');
-        }
-        
-        if (folderName.length > 100) {
-            throw new Error('仓库名称过长（最大100字符）');
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
         }
     }
 
     /**
      * 创建GitHub仓库
+     * 指定organization时通过 POST /orgs/{org}/repos 在组织下创建，否则创建在令牌所属用户下
      * @param {String} repoName - 仓库名称
      * @param {Object} options - 可选配置
      * @returns {Promise<Object>} 仓库信息
      */
     async createRepository(repoName, options = {}) {
-        console.log(`📝 创建GitHub仓库: ${repoName}`);
+        this.logger.info(`📝 创建GitHub仓库: ${repoName}`);
+        
+        // 强制私有（如敏感信息扫描要求）优先于配置的可见性
+        const visibility = options.private ? 'private' : (options.visibility || 'public');
+        
+        if (!REPOSITORY_VISIBILITIES.includes(visibility)) {
+            throw new Error(`无效的仓库可见性: ${visibility}`);
+        }
+        
+        const organization = this.getOrganization(options);
+        
+        if (visibility === 'internal' && !organization) {
+            throw new Error('internal可见性只适用于组织仓库');
+        }
         
         const repoConfig = {
             name: repoName,
             description: options.description || `自动创建的仓库，来源于ZIP文件: ${repoName}`,
-            private: options.private || false,
+            homepage: options.homepage || undefined,
+            private: visibility !== 'public',
             auto_init: true,
             gitignore_template: options.gitignoreTemplate || null,
             license_template: options.licenseTemplate || null,
@@ -137,146 +126,152 @@ class GitHubAgent {
             delete_branch_on_merge: true
         };
         
+        if (organization) {
+            repoConfig.visibility = visibility;
+            return await this.makeGitHubApiCall('POST', `/orgs/${organization}/repos`, repoConfig);
+        }
+        
         return await this.makeGitHubApiCall('POST', '/user/repos', repoConfig);
     }
 
     /**
-     * 等待仓库准备就绪
+     * 为新建仓库设置默认分支名称、主题和团队权限
+     * 各项设置独立执行，失败时记录错误并继续
      * @param {String} owner - 仓库所有者
      * @param {String} repoName - 仓库名称
-     * @returns {Promise<void>}
+     * @param {Object} repository - 仓库信息
+     * @param {Object} options - 可选配置（defaultBranch、topics、teams、organization）
+     * @returns {Promise<Object>} 更新后的仓库信息和设置失败的列表
      */
-    async waitForRepositoryReady(owner, repoName, maxWaitTime = 30000) {
-        console.log(`⏳ 等待仓库初始化完成...`);
+    async applyRepositorySettings(owner, repoName, repository, options = {}) {
+        const errors = [];
+        let updated = repository;
         
-        const startTime = Date.now();
-        
-        while (Date.now() - startTime < maxWaitTime) {
+        const apply = async (setting, operation) => {
             try {
-                await this.makeGitHubApiCall('GET', `/repos/${owner}/${repoName}`);
-                console.log(`✅ 仓库已准备就绪`);
-                return;
+                await this.executeWithRetry(setting, operation);
             } catch (error) {
-                if (error.status === 404) {
-                    // 仓库还未完全创建，继续等待
-                    await this.delay(1000);
+                this.logger.warn(`仓库设置失败 (${setting}): ${error.message}`);
+                errors.push({ setting: setting, error: error.message });
+            }
+        };
+        
+        // 初始化提交已创建默认分支，通过重命名修改其名称
+        const currentBranch = repository.default_branch || 'main';
+        if (options.defaultBranch && options.defaultBranch !== currentBranch) {
+            await apply('defaultBranch', async () => {
+                await this.makeGitHubApiCall(
+                    'POST',
+                    `/repos/${owner}/${repoName}/branches/${encodeURIComponent(currentBranch)}/rename`,
+                    { new_name: options.defaultBranch }
+                );
+                updated = { ...updated, default_branch: options.defaultBranch };
+                this.logger.info(`🌿 默认分支已设置为 ${options.defaultBranch}`);
+            });
+        }
+        
+        if (options.topics && options.topics.length > 0) {
+            await apply('topics', async () => {
+                const response = await this.makeGitHubApiCall(
+                    'PUT',
+                    `/repos/${owner}/${repoName}/topics`,
+                    { names: options.topics.map(topic => topic.toLowerCase()) }
+                );
+                updated = { ...updated, topics: response.names };
+                this.logger.info(`🏷️  已设置主题: ${response.names.join(', ')}`);
+            });
+        }
+        
+        const teams = options.teams || [];
+        const organization = this.getOrganization(options);
+        if (teams.length > 0 && !organization) {
+            this.logger.warn('团队权限只适用于组织仓库，已跳过');
+        } else {
+            for (const team of teams) {
+                // 只给出团队名称时授予只读权限
+                const { slug, permission = 'pull' } = typeof team === 'string' ? { slug: team } : team;
+                
+                if (!TEAM_PERMISSIONS.includes(permission)) {
+                    errors.push({ setting: `team:${slug}`, error: `无效的团队权限: ${permission}` });
                     continue;
                 }
-                throw error;
+                
+                await apply(`team:${slug}`, async () => {
+                    await this.makeGitHubApiCall(
+                        'PUT',
+                        `/orgs/${organization}/teams/${slug}/repos/${owner}/${repoName}`,
+                        { permission: permission }
+                    );
+                    this.logger.info(`👥 团队 ${slug} 权限: ${permission}`);
+                });
             }
         }
         
-        throw new Error('等待仓库初始化超时');
+        return { repository: updated, errors };
     }
 
     /**
-     * 批量上传文件到仓库
-     * @param {String} owner - 仓库所有者
-     * @param {String} repoName - 仓库名称
-     * @param {Array} files - 文件列表
+     * 获取仓库所属的组织，个人仓库返回null
+     * 安装令牌不能创建个人仓库，App认证时配置的所有者按组织处理
      * @param {Object} options - 可选配置
-     * @returns {Promise<Object>} 上传结果
+     * @returns {String|null} 组织名称
      */
-    async uploadFilesToRepository(owner, repoName, files, options = {}) {
-        console.log(`📤 开始批量上传 ${files.length} 个文件...`);
-        
-        const results = {
-            successCount: 0,
-            failedCount: 0,
-            skippedCount: 0,
-            details: [],
-            totalSize: 0
-        };
-        
-        // 过滤和排序文件
-        const filteredFiles = this.filterAndSortFiles(files, options);
-        
-        // 分批处理文件
-        const batches = this.createBatches(filteredFiles, this.batchSize);
-        
-        for (let i = 0; i < batches.length; i++) {
-            const batch = batches[i];
-            console.log(`📦 处理批次 ${i + 1}/${batches.length} (${batch.length} 个文件)`);
-            
-            await this.processBatch(owner, repoName, batch, results, options);
-            
-            // 批次间延迟，避免API速率限制
-            if (i < batches.length - 1) {
-                await this.delay(this.rateLimitDelay);
-            }
-        }
-        
-        console.log(`📊 上传完成: 成功 ${results.successCount}, 失败 ${results.failedCount}, 跳过 ${results.skippedCount}`);
-        return results;
+    getOrganization(options = {}) {
+        return options.organization || (this.appAuth ? this.owner : null);
     }
 
     /**
-     * 处理文件批次
+     * 获取分支的完整文件树
      * @param {String} owner - 仓库所有者
      * @param {String} repoName - 仓库名称
-     * @param {Array} batch - 文件批次
-     * @param {Object} results - 结果对象
-     * @param {Object} options - 可选配置
+     * @param {String} branch - 分支名称
+     * @returns {Promise<Array>} 文件条目列表（path、sha、size）
      */
-    async processBatch(owner, repoName, batch, results, options) {
-        const promises = batch.map(file => 
-            this.uploadSingleFileWithRetry(owner, repoName, file, options)
-                .then(result => ({ file, result, success: true }))
-                .catch(error => ({ file, error, success: false }))
-        );
-        
-        const batchResults = await Promise.all(promises);
-        
-        batchResults.forEach(({ file, result, error, success }) => {
-            if (success) {
-                results.successCount++;
-                results.totalSize += file.size || 0;
-                results.details.push({
-                    path: file.path,
-                    status: 'success',
-                    size: file.size
-                });
-                console.log(`  ✅ ${file.path}`);
-            } else {
-                results.failedCount++;
-                results.details.push({
-                    path: file.path,
-                    status: 'failed',
-                    error: error.message
-                });
-                console.error(`  ❌ ${file.path}: ${error.message}`);
+    async getRepositoryTree(owner, repoName, branch) {
+        try {
+            const tree = await this.makeGitHubApiCall(
+                'GET',
+                `/repos/${owner}/${repoName}/git/trees/${encodeRepoPath(branch)}?recursive=1`
+            );
+            
+            if (tree.truncated) {
+                this.logger.warn(`仓库文件树过大，GitHub返回的结果已截断`);
             }
-        });
+            
+            return tree.tree
+                .filter(entry => entry.type === 'blob')
+                .map(entry => ({ path: entry.path, sha: entry.sha, size: entry.size }));
+        } catch (error) {
+            // 404: 分支不存在；409: 仓库为空
+            if (error.status === 404 || error.status === 409) {
+                return [];
+            }
+            throw error;
+        }
     }
 
     /**
-     * 带重试机制的单文件上传
+     * 基于已有分支创建新分支
      * @param {String} owner - 仓库所有者
      * @param {String} repoName - 仓库名称
-     * @param {Object} file - 文件对象
-     * @param {Object} options - 可选配置
-     * @returns {Promise<Object>} 上传结果
+     * @param {String} branch - 新分支名称
+     * @param {String} baseBranch - 基础分支名称
+     * @returns {Promise<Object>} 创建的引用
      */
-    async uploadSingleFileWithRetry(owner, repoName, file, options = {}) {
-        let lastError;
+    async createBranch(owner, repoName, branch, baseBranch) {
+        const head = await this.getBranchHead(owner, repoName, baseBranch);
         
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                return await this.uploadSingleFile(owner, repoName, file, options);
-            } catch (error) {
-                lastError = error;
-                
-                if (attempt < this.maxRetries) {
-                    const delay = this.retryDelay * Math.pow(2, attempt - 1); // 指数退避
-                    console.log(`⚠️  重试 ${attempt}/${this.maxRetries} - ${file.path} (${delay}ms后重试)`);
-                    await this.delay(delay);
-                } else {
-                    console.error(`🚫 放弃重试 - ${file.path}: ${error.message}`);
-                }
-            }
+        if (!head) {
+            throw new Error(`基础分支不存在或仓库为空: ${baseBranch}`);
         }
         
-        throw lastError;
+        this.logger.info(`🌿 创建分支 ${branch} (基于 ${baseBranch})`);
+        
+        return await this.makeGitHubApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/git/refs`,
+            { ref: `refs/heads/${branch}`, sha: head.commitSha }
+        );
     }
 
     /**
@@ -288,9 +283,6 @@ class GitHubAgent {
      * @returns {Promise<Object>} 上传结果
      */
     async uploadSingleFile(owner, repoName, file, options = {}) {
-        // 速率限制控制
-        await this.enforceRateLimit();
-        
         const commitMessage = options.commitMessage || `Add ${file.name}`;
         const branch = options.branch || 'main';
         
@@ -300,17 +292,23 @@ class GitHubAgent {
             branch: branch
         };
         
-        // 检查文件是否已存在
-        if (options.checkExisting !== false) {
+        // 检查文件是否已存在（已获取仓库文件树时直接使用其中的sha）
+        if (options.remoteShas) {
+            const existingSha = options.remoteShas.get(file.path);
+            if (existingSha) {
+                fileData.sha = existingSha;
+                this.logger.debug(`🔄 更新现有文件: ${file.path}`);
+            }
+        } else if (options.checkExisting !== false) {
             try {
                 const existingFile = await this.makeGitHubApiCall(
                     'GET', 
-                    `/repos/${owner}/${repoName}/contents/${file.path}`
+                    `/repos/${owner}/${repoName}/contents/${encodeRepoPath(file.path)}`
                 );
                 
                 if (existingFile.sha) {
                     fileData.sha = existingFile.sha;
-                    console.log(`🔄 更新现有文件: ${file.path}`);
+                    this.logger.debug(`🔄 更新现有文件: ${file.path}`);
                 }
             } catch (error) {
                 if (error.status !== 404) {
@@ -322,287 +320,290 @@ class GitHubAgent {
         
         return await this.makeGitHubApiCall(
             'PUT',
-            `/repos/${owner}/${repoName}/contents/${file.path}`,
+            `/repos/${owner}/${repoName}/contents/${encodeRepoPath(file.path)}`,
             fileData
         );
     }
 
     /**
-     * 创建README文件
+     * 通过Contents API删除文件
      * @param {String} owner - 仓库所有者
      * @param {String} repoName - 仓库名称
-     * @param {Array} files - 文件列表
-     * @returns {Promise<Object>} 创建结果
+     * @param {Object} entry - 文件树条目（path、sha）
+     * @param {Object} options - 可选配置（branch、message）
+     * @returns {Promise<Object>} 删除结果
      */
-    async createReadmeFile(owner, repoName, files) {
-        console.log(`📄 创建README文件...`);
-        
-        const readme = this.generateReadmeContent(repoName, files);
-        const readmeContent = Buffer.from(readme).toString('base64');
-        
-        const readmeFile = {
-            path: 'README.md',
-            name: 'README.md',
-            content: readmeContent,
-            size: readme.length
-        };
-        
-        return await this.uploadSingleFile(owner, repoName, readmeFile, {
-            commitMessage: 'Add README.md',
-            checkExisting: true
-        });
+    async deleteFile(owner, repoName, entry, options = {}) {
+        return await this.makeGitHubApiCall(
+            'DELETE',
+            `/repos/${owner}/${repoName}/contents/${encodeRepoPath(entry.path)}`,
+            {
+                message: options.message || `Remove ${entry.path.split('/').pop()}`,
+                sha: entry.sha,
+                branch: options.branch || 'main'
+            }
+        );
     }
 
     /**
-     * 生成README内容
+     * 通过Git Data API将文件变更作为单个提交推送
+     * 先创建blob，再基于分支当前的树创建新树和提交，最后移动分支引用
+     * @param {String} owner - 仓库所有者
      * @param {String} repoName - 仓库名称
-     * @param {Array} files - 文件列表
-     * @returns {String} README内容
+     * @param {Object} changes - 变更（branch、message、files、deletions、onProgress）
+     * @returns {Promise<Object>} 提交信息（sha、url）
      */
-    generateReadmeContent(repoName, files) {
-        const stats = this.calculateFileStatistics(files);
-        const timestamp = new Date().toISOString();
+    async commitFiles(owner, repoName, changes) {
+        const branch = changes.branch || 'main';
+        const deletions = changes.deletions || [];
         
-        return `# ${repoName}
-
-> 此仓库由n8n自动化工作流自动创建
-
-## 📊 仓库统计
-
-- **文件总数**: ${stats.totalFiles}
-- **总大小**: ${this.formatFileSize(stats.totalSize)}
-- **创建时间**: ${timestamp}
-- **文件类型**: ${Object.keys(stats.fileTypes).length} 种
-
-## 📁 文件类型分布
-
-${Object.entries(stats.fileTypes)
-    .sort(([,a], [,b]) => b - a)
-    .map(([type, count]) => `- **${type}**: ${count} 个文件`)
-    .join('\n')}
-
-## 📂 目录结构
-
-\`\`\`
-${this.generateDirectoryTree(files)}
-\`\`\`
-
-## 🔧 生成信息
-
-- **工作流**: n8n ZIP to GitHub
-- **处理器**: AI Agent v1.0.0
-- **源文件**: ${repoName}.zip
-
----
-
-*此文件由自动化工具生成，请谨慎修改*
-`;
-    }
-
-    /**
-     * 计算文件统计信息
-     * @param {Array} files - 文件列表
-     * @returns {Object} 统计信息
-     */
-    calculateFileStatistics(files) {
-        const stats = {
-            totalFiles: files.length,
-            totalSize: 0,
-            fileTypes: {},
-            directories: new Set()
-        };
+        // 步骤1: 为每个文件创建blob
+        const blobResults = await this.createBlobs(owner, repoName, changes.files, changes);
+        const failedBlobs = blobResults.filter(item => !item.success);
         
-        files.forEach(file => {
-            stats.totalSize += file.size || 0;
-            
-            const extension = file.name.substring(file.name.lastIndexOf('.') + 1).toLowerCase();
-            stats.fileTypes[extension] = (stats.fileTypes[extension] || 0) + 1;
-            
-            if (file.directory) {
-                stats.directories.add(file.directory);
+        if (failedBlobs.length > 0) {
+            const error = new Error(`${failedBlobs.length} 个文件的blob创建失败`);
+            error.fileErrors = new Map(failedBlobs.map(item => [item.file.path, item.error.message]));
+            throw error;
+        }
+        
+        // 步骤2: 基于分支当前提交创建新树
+        const head = await this.getBranchHead(owner, repoName, branch);
+        const tree = await this.makeGitHubApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/git/trees`,
+            {
+                base_tree: head ? head.treeSha : undefined,
+                tree: blobResults.map(({ file, sha }) => ({
+                    path: file.path,
+                    // 保留压缩包中的可执行权限
+                    mode: file.mode & 0o111 ? '100755' : '100644',
+                    type: 'blob',
+                    sha: sha
+                })).concat(deletions.map(entry => ({
+                    // sha为null表示从树中删除该文件
+                    path: entry.path,
+                    mode: '100644',
+                    type: 'blob',
+                    sha: null
+                })))
             }
-        });
+        );
         
-        return stats;
+        // 步骤3: 创建提交
+        const commit = await this.makeGitHubApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/git/commits`,
+            {
+                message: changes.message,
+                tree: tree.sha,
+                parents: head ? [head.commitSha] : []
+            }
+        );
+        
+        // 步骤4: 移动分支引用（空仓库则创建分支）
+        if (head) {
+            await this.makeGitHubApiCall(
+                'PATCH',
+                `/repos/${owner}/${repoName}/git/refs/heads/${encodeRepoPath(branch)}`,
+                { sha: commit.sha, force: false }
+            );
+        } else {
+            await this.makeGitHubApiCall(
+                'POST',
+                `/repos/${owner}/${repoName}/git/refs`,
+                { ref: `refs/heads/${branch}`, sha: commit.sha }
+            );
+        }
+        
+        return {
+            sha: commit.sha,
+            url: commit.html_url
+        };
     }
 
     /**
-     * 生成目录树
+     * 批量创建Git blob
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
      * @param {Array} files - 文件列表
-     * @returns {String} 目录树字符串
+     * @param {Object} options - 可选配置（onProgress）
+     * @returns {Promise<Array>} 每个文件的blob创建结果
      */
-    generateDirectoryTree(files) {
-        const tree = {};
+    async createBlobs(owner, repoName, files, options = {}) {
+        const blobResults = [];
+        const batches = createBatches(files, this.batchSize);
         
-        files.forEach(file => {
-            const parts = file.path.split('/');
-            let current = tree;
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            this.logger.info(`📦 创建blob批次 ${i + 1}/${batches.length} (${batch.length} 个文件)`);
             
-            parts.forEach((part, index) => {
-                if (!current[part]) {
-                    current[part] = index === parts.length - 1 ? null : {};
-                }
-                if (current[part]) {
-                    current = current[part];
-                }
-            });
-        });
+            const batchResults = await Promise.all(batch.map(file =>
+                this.executeWithRetry(file.path, async () => this.makeGitHubApiCall(
+                    'POST',
+                    `/repos/${owner}/${repoName}/git/blobs`,
+                    { content: (await withFileContent(file)).content, encoding: 'base64' }
+                ), options)
+                    .then(blob => ({ file, sha: blob.sha, success: true }))
+                    .catch(error => ({ file, error, success: false }))
+            ));
+            
+            blobResults.push(...batchResults);
+            
+            if (i < batches.length - 1) {
+                await this.delay(this.rateLimitDelay);
+            }
+        }
         
-        return this.renderTree(tree, '', true);
+        return blobResults;
     }
 
     /**
-     * 渲染目录树
-     * @param {Object} tree - 目录树对象
-     * @param {String} prefix - 前缀
-     * @param {Boolean} isLast - 是否最后一个
-     * @returns {String} 渲染结果
+     * 获取分支当前的提交和树
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {String} branch - 分支名称
+     * @returns {Promise<Object|null>} 分支头信息，空仓库或分支不存在时返回null
      */
-    renderTree(tree, prefix = '', isLast = true) {
-        let result = '';
-        const entries = Object.entries(tree);
-        
-        entries.forEach(([name, children], index) => {
-            const isLastEntry = index === entries.length - 1;
-            const currentPrefix = prefix + (isLast ? '└── ' : '├── ');
-            const nextPrefix = prefix + (isLast ? '    ' : '│   ');
-            
-            result += currentPrefix + name + '\n';
+    async getBranchHead(owner, repoName, branch) {
+        try {
+            const ref = await this.makeGitHubApiCall(
+                'GET',
+                `/repos/${owner}/${repoName}/git/ref/heads/${encodeRepoPath(branch)}`
+            );
+            const commit = await this.makeGitHubApiCall(
+                'GET',
+                `/repos/${owner}/${repoName}/git/commits/${ref.object.sha}`
+            );
             
-            if (children && typeof children === 'object') {
-                result += this.renderTree(children, nextPrefix, isLastEntry);
+            return {
+                commitSha: commit.sha,
+                treeSha: commit.tree.sha
+            };
+        } catch (error) {
+            // 404: 分支不存在；409: 仓库为空
+            if (error.status === 404 || error.status === 409) {
+                return null;
             }
-        });
-        
-        return result;
+            throw error;
+        }
     }
 
     /**
-     * 过滤和排序文件
-     * @param {Array} files - 原始文件列表
-     * @param {Object} options - 过滤选项
-     * @returns {Array} 过滤后的文件列表
+     * 创建拉取请求
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} request - 请求内容（title、body、head、base）
+     * @returns {Promise<Object>} 拉取请求编号和URL
      */
-    filterAndSortFiles(files, options = {}) {
-        let filtered = files;
-        
-        // 大小过滤
-        if (options.maxFileSize) {
-            filtered = filtered.filter(file => 
-                (file.size || 0) <= options.maxFileSize
-            );
-        }
-        
-        // 文件类型过滤
-        if (options.allowedExtensions) {
-            filtered = filtered.filter(file => {
-                const ext = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
-                return options.allowedExtensions.includes(ext);
-            });
-        }
-        
-        // 排序：先按目录，再按文件名
-        filtered.sort((a, b) => {
-            if (a.directory !== b.directory) {
-                return a.directory.localeCompare(b.directory);
+    async createPullRequest(owner, repoName, request) {
+        const pullRequest = await this.makeGitHubApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/pulls`,
+            {
+                title: request.title,
+                head: request.head,
+                base: request.base,
+                body: request.body
             }
-            return a.name.localeCompare(b.name);
-        });
+        );
         
-        return filtered;
+        return {
+            number: pullRequest.number,
+            url: pullRequest.html_url
+        };
     }
 
     /**
-     * 创建文件批次
-     * @param {Array} files - 文件列表
-     * @param {Number} batchSize - 批次大小
-     * @returns {Array} 批次数组
+     * 获取仓库的Git LFS服务地址
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {String} LFS服务地址
      */
-    createBatches(files, batchSize) {
-        const batches = [];
-        for (let i = 0; i < files.length; i += batchSize) {
-            batches.push(files.slice(i, i + batchSize));
-        }
-        return batches;
+    getLfsEndpoint(owner, repoName) {
+        return `${this.lfsServerUrl.replace(/\/+$/, '')}/${owner}/${repoName}.git/info/lfs`;
     }
 
     /**
-     * 执行GitHub API调用
-     * @param {String} method - HTTP方法
-     * @param {String} endpoint - API端点
-     * @param {Object} data - 请求数据
-     * @returns {Promise<Object>} API响应
+     * 验证访问令牌并返回当前用户
+     * App认证时验证App私钥和所有者的安装令牌（安装令牌无法访问 /user）
+     * @returns {Promise<Object>} 当前用户或App信息
      */
-    async makeGitHubApiCall(method, endpoint, data = null) {
-        await this.enforceRateLimit();
-        
-        const url = `https://api.github.com${endpoint}`;
-        const options = {
-            method: method,
-            headers: {
-                'Authorization': `Bearer ${this.githubToken}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'Content-Type': 'application/json',
-                'User-Agent': 'n8n-github-agent/1.0.0'
-            }
-        };
-        
-        if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
-            options.body = JSON.stringify(data);
+    async verifyConnection() {
+        if (!this.appAuth) {
+            return await this.makeGitHubApiCall('GET', '/user');
         }
         
-        const response = await fetch(url, options);
+        const app = await this.appAuth.getApp();
         
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            const error = new Error(
-                errorData.message || 
-                `GitHub API调用失败: ${response.status} ${response.statusText}`
-            );
-            error.status = response.status;
-            error.response = errorData;
-            throw error;
+        if (this.owner) {
+            await this.appAuth.getInstallationToken(this.owner);
         }
         
-        return await response.json();
+        return { ...app, login: app.slug, authMethod: 'app' };
     }
 
     /**
-     * 强制执行API速率限制
+     * 获取访问所有者仓库使用的令牌
+     * App认证失败且配置了个人访问令牌时回退到个人访问令牌
+     * @param {String} owner - 仓库所有者
+     * @returns {Promise<String>} 访问令牌
      */
-    async enforceRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.rateLimitDelay) {
-            await this.delay(this.rateLimitDelay - timeSinceLastRequest);
+    async getAccessToken(owner) {
+        if (!this.appAuth) {
+            return this.githubToken;
         }
         
-        this.lastRequestTime = Date.now();
+        try {
+            return await this.appAuth.getInstallationToken(owner || this.owner);
+        } catch (error) {
+            if (!this.githubToken) {
+                throw error;
+            }
+            
+            // 每个所有者只提示一次
+            if (!this.fallbackOwners.has(owner)) {
+                this.fallbackOwners.add(owner);
+                this.logger.warn(`GitHub App认证失败 (${owner}): ${error.message}，改用个人访问令牌`);
+            }
+            return this.githubToken;
+        }
     }
 
     /**
-     * 延迟函数
-     * @param {Number} ms - 延迟毫秒数
-     * @returns {Promise<void>}
+     * 判断错误是否可以重试
+     * 同一分支上的并发提交会使Contents API返回409，重试即可成功
+     * @param {Error} error - 错误
+     * @returns {Boolean} 是否可以重试
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    isRetryableError(error) {
+        return error.status === 409 || super.isRetryableError(error);
     }
 
     /**
-     * 格式化文件大小
-     * @param {Number} bytes - 字节数
-     * @returns {String} 格式化后的大小
+     * 执行GitHub API调用
+     * @param {String} method - HTTP方法
+     * @param {String} endpoint - API端点
+     * @param {Object} data - 请求数据
+     * @returns {Promise<Object>} API响应
      */
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
+    async makeGitHubApiCall(method, endpoint, data = null) {
+        const token = await this.getAccessToken(this.getEndpointOwner(endpoint));
         
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        return await this.sendRequest(method, `${this.apiBaseUrl}${endpoint}`, data, {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/vnd.github.v3+json'
+        });
+    }
+
+    /**
+     * 从API端点中解析仓库所有者（/repos/{owner}/...、/orgs/{org}/...），无法解析时为配置的所有者
+     * @param {String} endpoint - API端点
+     * @returns {String} 仓库所有者
+     */
+    getEndpointOwner(endpoint) {
+        const match = endpoint.match(/^\/(?:repos|orgs)\/([^/?]+)/);
+        return match ? match[1] : this.owner;
     }
 }
 
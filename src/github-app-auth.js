@@ -0,0 +1,243 @@
+/**
+ * GitHub App认证
+ * 
+ * 使用App ID和私钥签发JWT，换取各仓库所有者（组织或用户）的安装令牌，
+ * 并在令牌过期前自动刷新。安装令牌有效期为1小时，不依赖个人账户。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Logger } = require('./logger');
+const { WorkflowMetrics } = require('./metrics');
+
+/**
+ * JWT有效期（秒），GitHub允许的最长时间为10分钟
+ */
+const JWT_LIFETIME = 9 * 60;
+
+/**
+ * 签发时间向前偏移（秒），容忍与GitHub服务器之间的时钟误差
+ */
+const CLOCK_SKEW = 60;
+
+/**
+ * 安装令牌剩余有效期低于该值（毫秒）时提前刷新
+ */
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Base64URL编码
+ * @param {String|Buffer} value - 原始内容
+ * @returns {String} 编码结果
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * 读取App私钥
+ * 环境变量中的私钥常以字面量\n表示换行，读取时还原
+ * @param {String|Buffer} privateKey - PEM内容或私钥文件路径
+ * @returns {String} PEM内容
+ */
+function loadPrivateKey(privateKey) {
+    if (!privateKey) {
+        throw new Error('GitHub App认证需要配置私钥（privateKey）');
+    }
+    
+    const content = Buffer.isBuffer(privateKey) ? privateKey.toString('utf8') : String(privateKey);
+    
+    if (content.includes('-----BEGIN')) {
+        return content.replace(/\\n/g, '\n');
+    }
+    
+    try {
+        return fs.readFileSync(content, 'utf8');
+    } catch (error) {
+        throw new Error(`无法读取GitHub App私钥文件 ${content}: ${error.message}`);
+    }
+}
+
+/**
+ * GitHub App认证类
+ */
+class GitHubAppAuth {
+    /**
+     * @param {Object} options - 配置
+     * @param {String|Number} options.appId - GitHub App ID
+     * @param {String} options.privateKey - App私钥（PEM内容或文件路径）
+     * @param {String|Number} options.installationId - 固定的安装ID（不配置时按仓库所有者查找）
+     * @param {String} options.apiBaseUrl - REST API地址（默认https://api.github.com）
+     * @param {Object} options.dispatcher - fetch连接调度器（自定义CA证书或代理）
+     * @param {Logger} options.logger - 日志记录器
+     * @param {WorkflowMetrics} options.metrics - 指标（记录API请求）
+     */
+    constructor(options = {}) {
+        if (!options.appId) {
+            throw new Error('GitHub App认证需要配置App ID（appId）');
+        }
+        
+        this.appId = String(options.appId);
+        this.privateKey = loadPrivateKey(options.privateKey);
+        this.installationId = options.installationId ? String(options.installationId) : null;
+        this.apiBaseUrl = (options.apiBaseUrl || 'https://api.github.com').replace(/\/+$/, '');
+        this.dispatcher = options.dispatcher;
+        this.logger = options.logger || new Logger();
+        this.metrics = options.metrics || new WorkflowMetrics();
+        
+        // 按所有者缓存的安装ID和安装令牌
+        this.installations = new Map();
+        this.tokens = new Map();
+    }
+
+    /**
+     * 签发App身份的JWT（RS256）
+     * @returns {String} JWT
+     */
+    createJwt() {
+        const now = Math.floor(Date.now() / 1000);
+        const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+        const payload = base64url(JSON.stringify({
+            iat: now - CLOCK_SKEW,
+            exp: now + JWT_LIFETIME,
+            iss: this.appId
+        }));
+        
+        const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), this.privateKey);
+        
+        return `${header}.${payload}.${base64url(signature)}`;
+    }
+
+    /**
+     * 获取所有者的安装令牌，缓存的令牌即将过期时重新申请
+     * 同一所有者的并发请求共享同一次申请
+     * @param {String} owner - 仓库所有者（组织或用户）
+     * @returns {Promise<String>} 安装令牌
+     */
+    async getInstallationToken(owner) {
+        const cached = this.tokens.get(owner);
+        
+        if (cached && cached.pending) {
+            return (await cached.pending).token;
+        }
+        
+        if (cached && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN) {
+            return cached.token;
+        }
+        
+        const pending = this.createInstallationToken(owner);
+        this.tokens.set(owner, { pending });
+        
+        try {
+            const token = await pending;
+            this.tokens.set(owner, token);
+            return token.token;
+        } catch (error) {
+            this.tokens.delete(owner);
+            throw error;
+        }
+    }
+
+    /**
+     * 申请新的安装令牌
+     * @param {String} owner - 仓库所有者
+     * @returns {Promise<Object>} 令牌及过期时间
+     */
+    async createInstallationToken(owner) {
+        const installationId = await this.getInstallationId(owner);
+        const response = await this.request('POST', `/app/installations/${installationId}/access_tokens`);
+        
+        this.logger.info(`🔑 已获取GitHub App安装令牌 (${owner})`);
+        
+        return {
+            token: response.token,
+            expiresAt: new Date(response.expires_at).getTime()
+        };
+    }
+
+    /**
+     * 查找App在所有者下的安装ID（先按组织，再按用户）
+     * @param {String} owner - 仓库所有者
+     * @returns {Promise<String>} 安装ID
+     */
+    async getInstallationId(owner) {
+        if (this.installationId) {
+            return this.installationId;
+        }
+        
+        if (this.installations.has(owner)) {
+            return this.installations.get(owner);
+        }
+        
+        let installation;
+        try {
+            installation = await this.request('GET', `/orgs/${owner}/installation`);
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+            
+            try {
+                installation = await this.request('GET', `/users/${owner}/installation`);
+            } catch (userError) {
+                if (userError.status === 404) {
+                    throw new Error(`GitHub App未安装到 ${owner}`);
+                }
+                throw userError;
+            }
+        }
+        
+        const installationId = String(installation.id);
+        this.installations.set(owner, installationId);
+        return installationId;
+    }
+
+    /**
+     * 获取App信息（验证App ID和私钥）
+     * @returns {Promise<Object>} App信息
+     */
+    async getApp() {
+        return await this.request('GET', '/app');
+    }
+
+    /**
+     * 以App身份（JWT）发送API请求
+     * @param {String} method - HTTP方法
+     * @param {String} endpoint - API端点
+     * @returns {Promise<Object>} 响应数据
+     */
+    async request(method, endpoint) {
+        const url = `${this.apiBaseUrl}${endpoint}`;
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Authorization': `Bearer ${this.createJwt()}`,
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'n8n-github-agent/1.0.0'
+            },
+            dispatcher: this.dispatcher
+        });
+        this.metrics.recordApiRequest('GitHub', method, url, response.status);
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(
+                errorData.message ||
+                `GitHub App认证失败: ${response.status} ${response.statusText}`
+            );
+            error.status = response.status;
+            error.response = errorData;
+            throw error;
+        }
+        
+        return await response.json();
+    }
+}
+
+module.exports = {
+    GitHubAppAuth,
+    loadPrivateKey
+};
@@ -0,0 +1,171 @@
+/**
+ * HTTP连接配置
+ * 
+ * 为fetch创建自定义的连接调度器（dispatcher），用于信任企业内部CA签发的
+ * 证书（如GitHub Enterprise Server）或通过HTTP(S)代理访问API。
+ * NO_PROXY中列出的主机（如内部的GitHub Enterprise）直接连接，不经过代理。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+
+/**
+ * PEM证书内容的起始标记
+ */
+const PEM_HEADER = '-----BEGIN CERTIFICATE-----';
+
+/**
+ * 读取CA证书包
+ * @param {String|Buffer} caBundle - PEM内容或证书文件路径
+ * @returns {String|null} PEM内容，未配置时返回null
+ */
+function loadCaBundle(caBundle) {
+    if (!caBundle) {
+        return null;
+    }
+    
+    const content = Buffer.isBuffer(caBundle) ? caBundle.toString('utf8') : String(caBundle);
+    
+    if (content.includes(PEM_HEADER)) {
+        return content;
+    }
+    
+    try {
+        return fs.readFileSync(content, 'utf8');
+    } catch (error) {
+        throw new Error(`无法读取CA证书文件 ${content}: ${error.message}`);
+    }
+}
+
+/**
+ * 解析NO_PROXY列表（逗号或空格分隔，支持 host、.domain、host:port 和 *）
+ * @param {String|Array} noProxy - 不经过代理的主机列表
+ * @returns {Array} 规则列表（hostname、port）
+ */
+function parseNoProxy(noProxy) {
+    const entries = Array.isArray(noProxy) ? noProxy : String(noProxy || '').split(/[\s,]+/);
+    
+    return entries
+        .map(entry => entry.trim().toLowerCase())
+        .filter(Boolean)
+        .map(entry => {
+            // IPv6地址写在方括号中，端口在方括号之后
+            const match = entry.match(/^\[([^\]]+)\](?::(\d+))?$/) || entry.match(/^([^:]+)(?::(\d+))?$/);
+            if (!match) {
+                return { hostname: entry, port: null };
+            }
+            
+            return {
+                hostname: match[1].replace(/^\*?\./, '.'),
+                port: match[2] ? Number(match[2]) : null
+            };
+        });
+}
+
+/**
+ * 判断请求地址是否不经过代理
+ * 规则 example.com 和 .example.com 都匹配 example.com 及其所有子域名
+ * @param {String|URL} origin - 请求地址
+ * @param {Array} rules - parseNoProxy返回的规则
+ * @returns {Boolean} 是否直接连接
+ */
+function shouldBypassProxy(origin, rules) {
+    const url = new URL(origin);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+    
+    return rules.some(rule => {
+        if (rule.hostname === '*') {
+            return true;
+        }
+        
+        if (rule.port && rule.port !== port) {
+            return false;
+        }
+        
+        const domain = rule.hostname.replace(/^\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    });
+}
+
+/**
+ * 创建fetch使用的连接调度器
+ * 自定义CA证书追加在系统内置的根证书之后，公共站点仍可正常访问
+ * @param {Object} options - 连接配置
+ * @param {String|Buffer} options.caBundle - CA证书（PEM内容或文件路径）
+ * @param {String} options.proxy - 代理地址（如 http://proxy.example.com:8080）
+ * @param {String|Array} options.noProxy - 不经过代理的主机（NO_PROXY格式）
+ * @returns {Object|undefined} dispatcher，无需自定义连接时返回undefined
+ */
+function createDispatcher(options = {}) {
+    const ca = loadCaBundle(options.caBundle);
+    const proxy = options.proxy;
+    
+    if (!ca && !proxy) {
+        return undefined;
+    }
+    
+    // 仅在需要时加载undici，默认配置下直接使用内置fetch
+    const { Agent, ProxyAgent, Dispatcher } = require('undici');
+    const tlsOptions = ca ? { ca: [...tls.rootCertificates, ca] } : undefined;
+    const agent = new Agent({ connect: tlsOptions });
+    
+    if (!proxy) {
+        return agent;
+    }
+    
+    const proxyAgent = new ProxyAgent({
+        uri: proxy,
+        requestTls: tlsOptions,
+        proxyTls: tlsOptions
+    });
+    const rules = parseNoProxy(options.noProxy);
+    
+    if (rules.length === 0) {
+        return proxyAgent;
+    }
+    
+    /**
+     * 按NO_PROXY规则为每个请求选择直接连接或代理
+     */
+    class NoProxyDispatcher extends Dispatcher {
+        dispatch(dispatchOptions, handler) {
+            const target = shouldBypassProxy(dispatchOptions.origin, rules) ? agent : proxyAgent;
+            return target.dispatch(dispatchOptions, handler);
+        }
+        
+        async close() {
+            await Promise.all([agent.close(), proxyAgent.close()]);
+        }
+        
+        async destroy(error) {
+            await Promise.all([agent.destroy(error), proxyAgent.destroy(error)]);
+        }
+    }
+    
+    return new NoProxyDispatcher();
+}
+
+/**
+ * 发送流式请求体
+ * Node 20内置的fetch在请求完成前会保留已发送的请求体片段，流式上传的内存占用
+ * 随请求体大小增长；undici包中的fetch边读边发送，不保留已发送的内容
+ * @param {String} url - 请求地址
+ * @param {Object} options - fetch选项（body为可读流或异步迭代器）
+ * @returns {Promise<Response>} 响应
+ */
+function streamingFetch(url, options) {
+    const { fetch } = require('undici');
+    return fetch(url, { ...options, duplex: 'half' });
+}
+
+module.exports = {
+    createDispatcher,
+    loadCaBundle,
+    parseNoProxy,
+    shouldBypassProxy,
+    streamingFetch
+};
@@ -0,0 +1,248 @@
+/**
+ * 忽略规则匹配器
+ * 
+ * 按照git的.gitignore语义（包括嵌套目录、否定规则和仅目录规则）
+ * 判断解压后的文件是否应被排除，同时支持内置默认规则和用户自定义规则。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+/**
+ * 内置默认忽略规则：依赖目录、缓存和操作系统生成的文件
+ */
+const DEFAULT_IGNORE_PATTERNS = [
+    'node_modules/',
+    '__pycache__/',
+    '*.py[cod]',
+    '.DS_Store',
+    'Thumbs.db',
+    'desktop.ini',
+    '__MACOSX/'
+];
+
+/**
+ * 忽略规则匹配器类
+ */
+class IgnoreMatcher {
+    /**
+     * @param {Object} options - 配置
+     * @param {Boolean} options.useDefaults - 是否启用内置默认规则
+     * @param {Array} options.patterns - 用户自定义的glob规则（相对仓库根目录）
+     */
+    constructor(options = {}) {
+        // 优先级由低到高：内置规则 → .gitignore（浅层到深层）→ 用户规则，后匹配的规则生效
+        this.defaultRules = options.useDefaults !== false
+            ? this.compileRules(DEFAULT_IGNORE_PATTERNS, '', 'default')
+            : [];
+        this.gitignoreRules = [];
+        this.userRules = this.compileRules(options.patterns || [], '', 'user');
+    }
+
+    /**
+     * 从文件列表中加载所有.gitignore文件
+     * @param {Array} files - 解压后的文件列表（content为base64）
+     * @returns {IgnoreMatcher} 当前实例
+     */
+    loadGitignoreFiles(files) {
+        files
+            .filter(file => file.name === '.gitignore')
+            // 目录越浅越先加载，深层目录的规则优先级更高
+            .sort((a, b) => a.path.split('/').length - b.path.split('/').length)
+            .forEach(file => {
+                const baseDir = file.path.substring(0, file.path.lastIndexOf('/') + 1);
+                const content = Buffer.from(file.content || '', 'base64').toString('utf8');
+                
+                this.gitignoreRules.push(...this.compileRules(content.split(/\r?\n/), baseDir, file.path));
+            });
+        
+        return this;
+    }
+
+    /**
+     * 批量编译规则
+     * @param {Array} lines - 规则文本列表
+     * @param {String} baseDir - 规则所在目录（以/结尾，根目录为空字符串）
+     * @param {String} source - 规则来源（default、user或.gitignore路径）
+     * @returns {Array} 编译后的规则
+     */
+    compileRules(lines, baseDir, source) {
+        return lines
+            .map((line, index) => this.compileRule(line, baseDir, source, index + 1))
+            .filter(rule => rule !== null);
+    }
+
+    /**
+     * 判断文件是否被忽略
+     * 父目录被忽略时其下的文件一律忽略（与git一致，否定规则无法重新包含）
+     * @param {String} filePath - 文件相对路径
+     * @returns {Object|null} 匹配的忽略规则（pattern、source、line），未忽略时返回null
+     */
+    match(filePath) {
+        const segments = filePath.split('/');
+        
+        for (let i = 1; i <= segments.length; i++) {
+            const candidate = segments.slice(0, i).join('/');
+            const isDirectory = i < segments.length;
+            const rule = this.findLastMatchingRule(candidate, isDirectory);
+            
+            if (rule && !rule.negate) {
+                return {
+                    pattern: rule.pattern,
+                    source: rule.source,
+                    line: rule.line
+                };
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * 查找对路径生效的最后一条规则
+     * @param {String} candidate - 文件或目录路径
+     * @param {Boolean} isDirectory - 是否为目录
+     * @returns {Object|null} 规则
+     */
+    findLastMatchingRule(candidate, isDirectory) {
+        const allRules = this.defaultRules.concat(this.gitignoreRules, this.userRules);
+        let matched = null;
+        
+        for (const rule of allRules) {
+            if (rule.directoryOnly && !isDirectory) {
+                continue;
+            }
+            
+            // .gitignore只作用于其所在目录及子目录
+            if (!candidate.startsWith(rule.baseDir)) {
+                continue;
+            }
+            
+            if (rule.regex.test(candidate.substring(rule.baseDir.length))) {
+                matched = rule;
+            }
+        }
+        
+        return matched;
+    }
+
+    /**
+     * 将一行gitignore规则编译为正则
+     * @param {String} line - 规则文本
+     * @param {String} baseDir - 规则所在目录
+     * @param {String} source - 规则来源
+     * @param {Number} lineNumber - 行号
+     * @returns {Object|null} 编译后的规则，空行和注释返回null
+     */
+    compileRule(line, baseDir, source, lineNumber) {
+        // 去除未转义的行尾空格
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        
+        if (pattern === '' || pattern.startsWith('#')) {
+            return null;
+        }
+        
+        const original = pattern;
+        let negate = false;
+        
+        if (pattern.startsWith('!')) {
+            negate = true;
+            pattern = pattern.substring(1);
+        } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+            pattern = pattern.substring(1);
+        }
+        
+        const directoryOnly = pattern.endsWith('/');
+        if (directoryOnly) {
+            pattern = pattern.replace(/\/+$/, '');
+        }
+        
+        // 包含/的规则相对于.gitignore所在目录，否则匹配任意层级
+        const anchored = pattern.includes('/');
+        pattern = pattern.replace(/^\//, '');
+        
+        if (pattern === '') {
+            return null;
+        }
+        
+        const body = this.globToRegex(pattern);
+        
+        return {
+            pattern: original,
+            source: source,
+            line: lineNumber,
+            baseDir: baseDir,
+            negate: negate,
+            directoryOnly: directoryOnly,
+            regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`)
+        };
+    }
+
+    /**
+     * 将glob转换为正则表达式片段
+     * @param {String} glob - glob规则
+     * @returns {String} 正则表达式片段
+     */
+    globToRegex(glob) {
+        let regex = '';
+        let i = 0;
+        
+        while (i < glob.length) {
+            const char = glob[i];
+            
+            if (char === '*' && glob[i + 1] === '*') {
+                const atStart = i === 0 || glob[i - 1] === '/';
+                const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+                
+                if (atStart && atEnd) {
+                    if (i + 2 === glob.length) {
+                        // 结尾的 /** 匹配目录下的所有内容
+                        regex += '.*';
+                    } else {
+                        // **/ 匹配零个或多个目录
+                        regex += '(?:.*/)?';
+                        i++;
+                    }
+                    i += 2;
+                    continue;
+                }
+                
+                regex += '[^/]*';
+                i += 2;
+                continue;
+            }
+            
+            if (char === '*') {
+                regex += '[^/]*';
+            } else if (char === '?') {
+                regex += '[^/]';
+            } else if (char === '[') {
+                const end = glob.indexOf(']', i + 2);
+                if (end === -1) {
+                    regex += '\\[';
+                } else {
+                    let set = glob.substring(i + 1, end).replace(/\\/g, '\\\\');
+                    if (set.startsWith('!')) {
+                        set = '^' + set.substring(1);
+                    }
+                    regex += `[${set}]`;
+                    i = end;
+                }
+            } else if (char === '\\' && i + 1 < glob.length) {
+                regex += glob[i + 1].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+                i++;
+            } else {
+                regex += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            }
+            
+            i++;
+        }
+        
+        return regex;
+    }
+}
+
+module.exports = {
+    IgnoreMatcher,
+    DEFAULT_IGNORE_PATTERNS
+};
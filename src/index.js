@@ -9,130 +9,664 @@
  */
 
 const ZipProcessor = require('./unzip-code');
+const { ARCHIVE_EXTENSIONS } = require('./archives');
 const GitHubAgent = require('./github-agent');
+const {
+    createProvider,
+    GitProvider,
+    GitLabProvider,
+    GiteaProvider
+} = require('./providers');
+const { partitionIgnoredFiles } = require('./providers/upload-plan');
+const SecretScanner = require('./secret-scanner');
+const { GitHubAppAuth } = require('./github-app-auth');
+const { JobJournal, FileJournalStore, MemoryJournalStore } = require('./job-journal');
+const { ContentStore } = require('./content-store');
+const MemoryMonitor = require('./memory-monitor');
+const { WorkflowServer } = require('./server');
+const { JobQueue, FileQueueStore, MemoryQueueStore } = require('./job-queue');
+const { WorkflowError, JobCancelledError } = require('./errors');
+const { PROGRESS_EVENTS, ProgressBar, createProgressEvent } = require('./progress');
+const { Logger, runWithLogContext, getLogContext } = require('./logger');
+const { WorkflowMetrics, MetricsRegistry, METRICS_CONTENT_TYPE } = require('./metrics');
+const EventEmitter = require('events');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
 
 /**
  * 主工作流控制器类
+ * 通过'progress'事件转发解压、上传和工作流的进度事件（附带jobId）
  */
-class WorkflowController {
+class WorkflowController extends EventEmitter {
     constructor(config = {}) {
+        super();
         this.config = {
-            // ZIP处理配置
+            // 压缩包处理配置
             maxFileSize: config.maxFileSize || 100 * 1024 * 1024, // 100MB
-            allowedExtensions: config.allowedExtensions || ['.zip'],
+            allowedExtensions: config.allowedExtensions || ARCHIVE_EXTENSIONS,
+            archiveLimits: config.archiveLimits || {}, // 解压资源限制（maxEntries、maxEntrySize等）
+            stripRootDirectory: config.stripRootDirectory || 'never', // 'auto' | 'always' | 'never'
+            pathPrefix: config.pathPrefix || '', // 映射到目标仓库的子目录
+            streaming: config.streaming !== undefined ? config.streaming : process.env.WORKFLOW_STREAMING === 'true', // 流式处理：直接从文件解压，文件内容暂存到磁盘
+            spoolDir: config.spoolDir || process.env.WORKFLOW_SPOOL_DIR, // 暂存目录（默认系统临时目录）
+            
+            // 代码托管平台配置
+            provider: config.provider || process.env.GIT_PROVIDER || 'github', // 'github' | 'gitlab' | 'gitea'
+            providerUrl: config.providerUrl || process.env.GIT_PROVIDER_URL, // 自建实例地址（GitLab、Gitea）
+            caBundle: config.caBundle || process.env.GIT_CA_BUNDLE, // 自建实例的CA证书（PEM内容或文件路径）
+            proxy: config.proxy || process.env.HTTPS_PROXY || process.env.HTTP_PROXY, // HTTP(S)代理地址
+            noProxy: config.noProxy || process.env.NO_PROXY || process.env.no_proxy, // 不经过代理的主机
             
             // GitHub配置
             githubToken: config.githubToken || process.env.GITHUB_TOKEN,
+            githubAppId: config.githubAppId || process.env.GITHUB_APP_ID, // GitHub App ID（配置后优先使用App认证）
+            githubAppPrivateKey: config.githubAppPrivateKey || process.env.GITHUB_APP_PRIVATE_KEY, // App私钥（PEM内容或文件路径）
+            githubAppInstallationId: config.githubAppInstallationId || process.env.GITHUB_APP_INSTALLATION_ID, // 固定的安装ID（默认按所有者查找）
             githubOwner: config.githubOwner || process.env.GITHUB_OWNER,
+            githubEnterpriseUrl: config.githubEnterpriseUrl || process.env.GITHUB_ENTERPRISE_URL, // GitHub Enterprise Server地址
+            githubApiUrl: config.githubApiUrl || process.env.GITHUB_API_URL, // REST API地址（默认https://api.github.com）
+            githubUploadUrl: config.githubUploadUrl || process.env.GITHUB_UPLOAD_URL, // 上传API地址（默认https://uploads.github.com）
+            organization: config.organization || process.env.GITHUB_ORGANIZATION, // 在组织下创建仓库
+            repositorySettings: config.repositorySettings || {}, // 新建仓库的设置（visibility、homepage、topics、teams、defaultBranch）
+            
+            // 其他平台的访问令牌和所有者（用户、组织或组）
+            gitToken: config.gitToken || process.env.GIT_TOKEN,
+            gitOwner: config.gitOwner || process.env.GIT_OWNER,
             
             // 通用配置
             batchSize: config.batchSize || 10,
             maxRetries: config.maxRetries || 3,
             rateLimitDelay: config.rateLimitDelay || 200,
+            maxConcurrency: config.maxConcurrency || 4, // 最大并发API请求数
+            commitMode: config.commitMode || 'per-file', // 'per-file' | 'atomic'
+            targetMode: config.targetMode || 'create', // 'create' | 'existing' | 'create-or-update'
+            sync: config.sync || false, // 删除仓库中已不在ZIP里的文件
+            protectedPaths: config.protectedPaths, // 同步模式下保留的路径
+            pullRequest: config.pullRequest || false, // 推送到新分支并创建拉取请求
+            ignorePatterns: config.ignorePatterns || [], // 额外的忽略规则（gitignore语法）
+            lfs: config.lfs || null, // Git LFS配置（patterns、threshold），null表示不使用LFS
+            lfsServerUrl: config.lfsServerUrl, // LFS服务地址（默认https://github.com）
+            
+            // 敏感信息扫描配置
+            secretPolicy: config.secretPolicy || 'block', // 'block' | 'drop' | 'private' | 'off'
+            secretScanAllowlist: config.secretScanAllowlist || [], // 不扫描的文件路径
+            
+            // 任务日志配置（断点续传），未配置时不记录
+            journalDir: config.journalDir || process.env.WORKFLOW_JOURNAL_DIR, // 日志目录
+            journalStore: config.journalStore, // 自定义存储（实现save、load、list、remove）
             
             // 调试模式
-            debug: config.debug || false
+            debug: config.debug || false,
+            
+            // 日志配置
+            logger: config.logger, // 自定义日志记录器（实现debug、info、warn、error）
+            logLevel: config.logLevel || process.env.WORKFLOW_LOG_LEVEL || (config.debug ? 'debug' : 'info'), // 'debug' | 'info' | 'warn' | 'error' | 'silent'
+            logFormat: config.logFormat || process.env.WORKFLOW_LOG_FORMAT || 'text', // 'text' | 'json'（JSON行）
+            silent: config.silent || false, // 静默模式（作为库使用时不输出日志）
+            
+            // Prometheus指标（默认每个控制器单独统计）
+            metrics: config.metrics // 共用的WorkflowMetrics实例
         };
         
+        // 所有组件共用的日志记录器，配置的访问令牌不会出现在日志中
+        this.logger = this.config.logger || new Logger({
+            level: this.config.logLevel,
+            format: this.config.logFormat,
+            silent: this.config.silent,
+            secrets: [this.config.githubToken, this.config.gitToken]
+        });
+        this.metrics = this.config.metrics || new WorkflowMetrics();
+        
         // 初始化处理器
         this.zipProcessor = new ZipProcessor({
             maxFileSize: this.config.maxFileSize,
             allowedExtensions: this.config.allowedExtensions,
-            encoding: 'base64'
+            encoding: 'base64',
+            stripRootDirectory: this.config.stripRootDirectory,
+            pathPrefix: this.config.pathPrefix,
+            logger: this.logger,
+            metrics: this.metrics,
+            ...this.config.archiveLimits
         });
         
-        this.githubAgent = new GitHubAgent({
-            githubToken: this.config.githubToken,
-            owner: this.config.githubOwner,
+        this.gitProvider = this.createGitProvider();
+        
+        const journalStore = this.config.journalStore ||
+            (this.config.journalDir ? new FileJournalStore(this.config.journalDir) : null);
+        this.journal = journalStore ? new JobJournal(journalStore) : null;
+    }
+
+    /**
+     * 根据配置创建代码托管平台实例
+     * @returns {GitProvider} 平台实例
+     */
+    createGitProvider() {
+        const isGitHub = this.config.provider === 'github';
+        
+        return createProvider(this.config.provider, {
+            token: isGitHub ? this.config.githubToken : this.config.gitToken,
+            owner: isGitHub ? this.config.githubOwner : this.config.gitOwner,
+            baseUrl: isGitHub ? this.config.githubEnterpriseUrl : this.config.providerUrl,
+            apiBaseUrl: isGitHub ? this.config.githubApiUrl : undefined,
+            uploadUrl: isGitHub ? this.config.githubUploadUrl : undefined,
+            appAuth: isGitHub && this.config.githubAppId ? {
+                appId: this.config.githubAppId,
+                privateKey: this.config.githubAppPrivateKey,
+                installationId: this.config.githubAppInstallationId
+            } : undefined,
+            caBundle: this.config.caBundle,
+            proxy: this.config.proxy,
+            noProxy: this.config.noProxy,
             maxRetries: this.config.maxRetries,
             batchSize: this.config.batchSize,
-            rateLimitDelay: this.config.rateLimitDelay
+            rateLimitDelay: this.config.rateLimitDelay,
+            maxConcurrency: this.config.maxConcurrency,
+            lfsServerUrl: this.config.lfsServerUrl,
+            logger: this.logger,
+            metrics: this.metrics
         });
     }
 
     /**
      * 完整的工作流处理
+     * 处理期间所有组件的日志都附带任务ID和本次处理的关联ID（correlationId）
      * @param {String|Buffer} zipInput - ZIP文件路径或Buffer数据
      * @param {Object} options - 处理选项
      * @returns {Promise<Object>} 处理结果
      */
     async processWorkflow(zipInput, options = {}) {
+        const logContext = {
+            ...getLogContext(),
+            jobId: options.jobId || (options.resumeJob ? options.resumeJob.jobId : null),
+            correlationId: crypto.randomBytes(6).toString('hex')
+        };
+        
+        return runWithLogContext(logContext, () => this.executeWorkflow(zipInput, options, logContext));
+    }
+
+    /**
+     * 执行工作流处理的各个步骤（在日志上下文中运行）
+     * @param {String|Buffer|Object} zipInput - ZIP输入
+     * @param {Object} options - 处理选项
+     * @param {Object} logContext - 日志上下文，创建任务日志后记录任务ID
+     * @returns {Promise<Object>} 处理结果
+     */
+    async executeWorkflow(zipInput, options, logContext) {
         const startTime = Date.now();
+        const memoryMonitor = new MemoryMonitor().start();
+        const streaming = options.streaming !== undefined ? options.streaming : this.config.streaming;
+        let job = null;
+        let contentStore = null;
+        
+        // 解压和上传的进度事件附带jobId后转发给监听者和本次处理的onProgress回调
+        const onProgress = event => {
+            const tagged = { ...event, jobId: logContext.jobId };
+            try {
+                this.emit('progress', tagged);
+                if (options.onProgress) {
+                    options.onProgress(tagged);
+                }
+            } catch (error) {
+                this.log(`⚠️ 进度回调出错: ${error.message}`, 'warn');
+            }
+        };
+        const reportProgress = (type, data) => onProgress(createProgressEvent(type, data));
         
         try {
             this.log('🚀 开始工作流处理...');
             
-            // 步骤1: 处理输入并读取ZIP文件
-            const { zipData, fileName } = await this.prepareZipData(zipInput);
-            this.log(`📁 处理ZIP文件: ${fileName}`);
+            // 步骤1: 处理输入（流式模式下文件路径输入不读入内存）
+            const archivePath = typeof zipInput === 'string' ? zipInput : zipInput && zipInput.path;
+            const source = streaming && archivePath
+                ? await this.prepareArchiveFile(archivePath, zipInput.fileName)
+                : await this.prepareZipData(zipInput);
+            const fileName = source.fileName;
+            this.log(`📁 处理压缩包: ${fileName}`);
             
-            // 步骤2: 解压缩ZIP文件
+            // 记录任务日志（续传时沿用原任务，演练模式不记录）
+            if (this.journal && !options.dryRun) {
+                const sha256 = source.archivePath
+                    ? await this.hashArchiveFile(source.archivePath)
+                    : crypto.createHash('sha256').update(source.zipData).digest('hex');
+                job = await this.startJob(zipInput, sha256, fileName, options);
+                logContext.jobId = job.jobId;
+            }
+            this.checkCancelled(options);
+            reportProgress(PROGRESS_EVENTS.WORKFLOW_STARTED, {
+                fileName: fileName,
+                streaming: Boolean(source.archivePath),
+                dryRun: Boolean(options.dryRun)
+            });
+            
+            // 步骤2: 解压缩压缩包
             this.log('📦 开始解压缩...');
-            const extractResult = await this.zipProcessor.processZipFile(zipData, fileName);
+            if (streaming) {
+                contentStore = await ContentStore.create(this.config.spoolDir);
+                this.log(`💾 流式模式: 文件内容暂存到 ${contentStore.directory}`);
+            }
+            
+            const archiveOptions = {
+                stripRootDirectory: options.stripRootDirectory,
+                pathPrefix: options.pathPrefix,
+                contentStore: contentStore,
+                onProgress: onProgress
+            };
+            const extractResult = source.archivePath
+                ? await this.zipProcessor.processArchiveFile(source.archivePath, fileName, archiveOptions)
+                : await this.zipProcessor.processZipFile(source.zipData, fileName, archiveOptions);
             
             if (!extractResult.success) {
-                throw new Error(`ZIP解压缩失败: ${extractResult.error}`);
+                throw new Error(`压缩包解压缩失败: ${extractResult.error}`);
             }
             
             this.log(`✅ 解压缩完成: ${extractResult.fileCount} 个文件`);
             
-            // 步骤3: 创建GitHub仓库并上传文件
-            this.log('🐙 创建GitHub仓库...');
-            const githubResult = await this.githubAgent.createRepositoryAndUploadFiles(
-                extractResult.folderName,
-                extractResult.extractedFiles,
-                {
-                    private: options.private || false,
-                    createReadme: options.createReadme !== false,
-                    description: options.description || `自动创建的仓库: ${extractResult.folderName}`,
-                    ...options.githubOptions
+            const providerOptions = {
+                ...this.config.repositorySettings,
+                ...options.repositorySettings,
+                organization: options.organization || this.config.organization,
+                private: options.private,
+                createReadme: options.createReadme,
+                description: options.description || `自动创建的仓库: ${extractResult.folderName}`,
+                commitMode: options.commitMode || this.config.commitMode,
+                targetMode: options.targetMode || this.config.targetMode,
+                sync: options.sync !== undefined ? options.sync : this.config.sync,
+                protectedPaths: options.protectedPaths || this.config.protectedPaths,
+                syncPath: extractResult.pathPrefix,
+                pullRequest: options.pullRequest !== undefined ? options.pullRequest : this.config.pullRequest,
+                ignorePatterns: options.ignorePatterns || this.config.ignorePatterns,
+                lfs: options.lfs !== undefined ? options.lfs : this.config.lfs,
+                signal: options.signal,
+                onProgress: onProgress,
+                ...(job ? this.getJournalOptions(job, options) : {}),
+                ...options.githubOptions
+            };
+            
+            // 步骤3: 扫描敏感信息（block策略下发现即终止）
+            // 只扫描实际会推送的文件，被.gitignore和忽略规则排除的文件不会上传
+            this.log('🔐 扫描敏感信息...');
+            const secretScanner = this.createSecretScanner(options);
+            const uploadFiles = partitionIgnoredFiles(extractResult.extractedFiles, providerOptions).kept;
+            const secretScan = secretScanner.scan(uploadFiles);
+            let scanOutcome;
+            try {
+                scanOutcome = secretScanner.applyPolicy(extractResult.extractedFiles, secretScan);
+            } catch (error) {
+                // 演练模式下只记录推送会被阻止，继续生成计划
+                if (!options.dryRun || error.code !== 'SECRETS_DETECTED') {
+                    throw error;
                 }
+                this.log(`⚠️ ${error.message}`, 'warn');
+                scanOutcome = { files: extractResult.extractedFiles, droppedFiles: [], forcePrivate: false };
+                secretScan.blocked = true;
+            }
+            secretScan.droppedFiles = scanOutcome.droppedFiles;
+            secretScan.forcedPrivate = scanOutcome.forcePrivate;
+            this.checkCancelled(options);
+            
+            // 检测到敏感信息时新建的仓库强制私有，现有的公开仓库终止推送
+            if (scanOutcome.forcePrivate) {
+                providerOptions.private = true;
+                providerOptions.requirePrivate = true;
+            }
+            
+            // 演练模式：只生成计划，不创建仓库也不上传
+            if (options.dryRun) {
+                this.log('📝 演练模式: 生成执行计划（只读）...');
+                const plan = await this.gitProvider.planRepositoryUpload(
+                    extractResult.folderName,
+                    scanOutcome.files,
+                    providerOptions
+                );
+                
+                const dryRunResult = {
+                    success: true,
+                    dryRun: true,
+                    memory: memoryMonitor.stop(),
+                    plan: {
+                        fileName: fileName,
+                        folderName: extractResult.folderName,
+                        ...plan,
+                        secrets: {
+                            policy: secretScanner.policy,
+                            findings: secretScan.findings,
+                            blocked: Boolean(secretScan.blocked),
+                            droppedFiles: scanOutcome.droppedFiles,
+                            forcedPrivate: scanOutcome.forcePrivate
+                        }
+                    },
+                    processingTime: Date.now() - startTime,
+                    timestamp: new Date().toISOString()
+                };
+                reportProgress(PROGRESS_EVENTS.WORKFLOW_COMPLETED, {
+                    dryRun: true,
+                    counts: dryRunResult.plan.counts,
+                    processingTime: dryRunResult.processingTime
+                });
+                this.metrics.recordRun('success', dryRunResult.processingTime, true);
+                
+                return dryRunResult;
+            }
+            
+            // 步骤4: 创建仓库并上传文件
+            this.log(`🐙 创建${this.gitProvider.displayName}仓库...`);
+            const githubResult = await this.gitProvider.createRepositoryAndUploadFiles(
+                extractResult.folderName,
+                scanOutcome.files,
+                providerOptions
             );
             
             if (!githubResult.success) {
-                throw new Error(`GitHub处理失败: ${githubResult.error}`);
+                throw new WorkflowError(`${this.gitProvider.displayName}处理失败: ${githubResult.error}`, githubResult.code);
             }
             
-            // 步骤4: 汇总结果
+            // 步骤5: 汇总结果
             const processingTime = Date.now() - startTime;
+            const memory = memoryMonitor.stop();
             const result = {
                 success: true,
+                jobId: job ? job.jobId : null,
                 processingTime: processingTime,
+                memory: memory,
                 extractResult: extractResult,
+                secretScan: secretScan,
                 githubResult: githubResult,
                 summary: {
+                    jobId: job ? job.jobId : null,
                     fileName: fileName,
                     folderName: extractResult.folderName,
                     fileCount: extractResult.fileCount,
                     repositoryUrl: githubResult.repository.html_url,
+                    repositoryCreated: githubResult.repositoryCreated,
                     uploadedFiles: githubResult.uploadResults.successCount,
-                    failedFiles: githubResult.uploadResults.failedCount
+                    failedFiles: githubResult.uploadResults.failedCount,
+                    skippedFiles: githubResult.uploadResults.skippedCount,
+                    deletedFiles: githubResult.uploadResults.deletedCount,
+                    pullRequestUrl: githubResult.pullRequest ? githubResult.pullRequest.url : null,
+                    secretFindings: secretScan.findings.length,
+                    peakMemory: memory.peak
                 },
                 timestamp: new Date().toISOString()
             };
             
             this.log(`🎉 工作流完成! 耗时: ${processingTime}ms`);
             this.log(`📊 结果: ${result.summary.uploadedFiles}/${result.summary.fileCount} 文件成功上传`);
+            this.log(`🧠 内存峰值: ${this.gitProvider.formatFileSize(memory.peak)}（增长 ${this.gitProvider.formatFileSize(memory.growth)}）`);
+            
+            // 有文件上传失败时任务保持未完成状态，可以续传重试
+            if (job) {
+                const failedFiles = result.summary.failedFiles;
+                await this.journal.update(job, {
+                    status: failedFiles > 0 ? 'failed' : 'completed',
+                    folderName: extractResult.folderName,
+                    pullRequest: githubResult.pullRequest,
+                    error: failedFiles > 0 ? `${failedFiles} 个文件上传失败` : null
+                });
+            }
+            reportProgress(PROGRESS_EVENTS.WORKFLOW_COMPLETED, {
+                summary: result.summary,
+                processingTime: processingTime
+            });
+            this.metrics.recordRun(result.summary.failedFiles > 0 ? 'failed' : 'success', processingTime);
             
             return result;
             
         } catch (error) {
             this.log(`❌ 工作流失败: ${error.message}`, 'error');
             
+            if (job) {
+                await this.journal.update(job, {
+                    // 平台实现中的取消以错误代码的形式传回
+                    status: error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed',
+                    error: error.message
+                })
+                    .catch(journalError => this.log(`⚠️ 任务日志写入失败: ${journalError.message}`, 'warn'));
+            }
+            reportProgress(PROGRESS_EVENTS.WORKFLOW_FAILED, {
+                error: error.message,
+                code: error.code
+            });
+            this.metrics.recordRun(
+                error.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed',
+                Date.now() - startTime,
+                Boolean(options.dryRun)
+            );
+            
             return {
                 success: false,
+                jobId: job ? job.jobId : null,
                 error: error.message,
+                code: error.code,
+                details: error.details,
                 processingTime: Date.now() - startTime,
+                memory: memoryMonitor.stop(),
                 timestamp: new Date().toISOString()
             };
+        } finally {
+            if (contentStore) {
+                await contentStore.destroy()
+                    .catch(storeError => this.log(`⚠️ 暂存目录清理失败: ${storeError.message}`, 'warn'));
+            }
+        }
+    }
+
+    /**
+     * 从任务日志继续执行中断的任务，只上传剩余的文件
+     * @param {String} jobId - 任务ID
+     * @param {String|Buffer|Object} zipInput - ZIP输入（任务来自文件路径时可省略）
+     * @param {Object} options - 附加的处理选项（如signal），覆盖任务记录的选项
+     * @returns {Promise<Object>} 处理结果
+     */
+    async resumeWorkflow(jobId, zipInput = null, options = {}) {
+        try {
+            if (!this.journal) {
+                throw new Error('未配置任务日志（journalDir），无法续传');
+            }
+            
+            const job = await this.journal.get(jobId);
+            
+            if (!job) {
+                throw new Error(`任务不存在: ${jobId}`);
+            }
+            
+            if (job.status === 'completed') {
+                this.log(`✅ 任务 ${jobId} 已完成，无需续传`, 'info', { jobId });
+                return { success: true, jobId: jobId, alreadyCompleted: true, job: job };
+            }
+            
+            if (job.status === 'cancelled') {
+                throw new JobCancelledError(`任务 ${jobId} 已取消，不能续传`);
+            }
+            
+            const input = zipInput || (job.source.path ? { path: job.source.path, fileName: job.source.fileName } : null);
+            
+            if (!input) {
+                throw new Error('任务的ZIP来自内存数据，续传时需要重新提供ZIP');
+            }
+            
+            this.log(`⏩ 续传任务 ${jobId}（第 ${job.attempts + 1} 次，已完成 ${this.journal.getCompletedPaths(job).length} 个文件）`, 'info', { jobId });
+            
+            return await this.processWorkflow(input, { ...job.options, ...options, resumeJob: job });
+            
+        } catch (error) {
+            this.log(`❌ 续传失败: ${error.message}`, 'error', { jobId });
+            
+            return {
+                success: false,
+                jobId: jobId,
+                error: error.message,
+                code: error.code,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * 创建或恢复任务日志
+     * 续传时校验ZIP内容与原任务一致，避免把不同的文件当作剩余部分上传
+     * @param {String|Buffer|Object} zipInput - 原始ZIP输入
+     * @param {String} sha256 - ZIP内容（base64编码）的SHA-256
+     * @param {String} fileName - ZIP文件名
+     * @param {Object} options - 处理选项
+     * @returns {Promise<Object>} 任务记录
+     */
+    async startJob(zipInput, sha256, fileName, options) {
+        if (options.resumeJob) {
+            const job = options.resumeJob;
+            
+            if (job.source.sha256 && job.source.sha256 !== sha256) {
+                throw new Error(`ZIP内容与任务 ${job.jobId} 记录的不一致，无法续传`);
+            }
+            
+            return await this.journal.update(job, { status: 'running', attempts: job.attempts + 1 });
+        }
+        
+        // 只保存可序列化的处理选项，续传时原样复用
+        const { resumeJob, jobId, signal, onProgress, ...jobOptions } = options;
+        
+        const job = await this.journal.create({
+            jobId: jobId,
+            source: {
+                fileName: fileName,
+                path: typeof zipInput === 'string'
+                    ? path.resolve(zipInput)
+                    : zipInput && zipInput.path ? path.resolve(zipInput.path) : null,
+                sha256: sha256
+            },
+            options: JSON.parse(JSON.stringify(jobOptions))
+        });
+        
+        this.log(`📒 任务ID: ${job.jobId}`);
+        return job;
+    }
+
+    /**
+     * 生成记录任务进度的上传选项，续传时附加已完成的文件和分支
+     * @param {Object} job - 任务记录
+     * @param {Object} options - 处理选项
+     * @returns {Object} 上传选项
+     */
+    getJournalOptions(job, options) {
+        const journalOptions = {
+            onRepositoryReady: target => this.journal.recordRepository(job, target),
+            onCheckpoint: results => this.journal.recordFiles(job, results)
+        };
+        
+        if (!options.resumeJob) {
+            return journalOptions;
+        }
+        
+        journalOptions.completedPaths = this.journal.getCompletedPaths(job);
+        
+        if (job.repository) {
+            // 仓库已在上次运行中准备好，不再重复创建；README是否生成按仓库是否由该任务创建判断
+            journalOptions.targetMode = 'existing';
+            journalOptions.repositoryCreated = job.repository.created;
+            journalOptions.branch = job.baseBranch;
+            
+            // 目标分支和审阅模式以日志记录为准，与续传时的选项或配置无关
+            journalOptions.pullRequest = job.branch !== job.baseBranch;
+            
+            if (journalOptions.pullRequest) {
+                journalOptions.headBranch = job.branch;
+                journalOptions.resumeBranch = true;
+                journalOptions.existingPullRequest = job.pullRequest;
+            }
+        } else if ((options.targetMode || this.config.targetMode) === 'create') {
+            // 上次运行可能已创建仓库但未来得及记录
+            journalOptions.targetMode = 'create-or-update';
+        }
+        
+        return journalOptions;
+    }
+
+    /**
+     * 任务被取消时终止处理（在各步骤之间检查）
+     * @param {Object} options - 处理选项（signal: AbortSignal）
+     */
+    checkCancelled(options) {
+        if (options.signal && options.signal.aborted) {
+            throw new JobCancelledError();
+        }
+    }
+
+    /**
+     * 将演练计划格式化为便于阅读的表格
+     * @param {Object} plan - processWorkflow演练模式返回的plan
+     * @returns {String} 表格文本
+     */
+    formatPlan(plan) {
+        const repositoryActions = {
+            create: '新建',
+            update: '使用现有仓库',
+            conflict: '已存在（create模式下将失败）',
+            missing: '不存在（existing模式下将失败）'
+        };
+        const fileActions = { create: '新建', update: '更新', skip: '跳过', ignore: '忽略', delete: '删除' };
+        
+        const lines = [
+            '📝 演练计划（未修改任何内容）',
+            '',
+            `仓库:     ${plan.repository.fullName}（${repositoryActions[plan.repository.action]}${plan.repository.private ? '，私有' : ''}）`,
+            `分支:     ${plan.pullRequest ? `${plan.branch} → ${plan.baseBranch}（拉取请求）` : plan.branch}`,
+            `提交模式: ${plan.commitMode}，目标模式: ${plan.targetMode}`,
+            ''
+        ];
+        
+        const pathWidth = Math.max(4, ...plan.files.map(file => file.path.length));
+        lines.push(`操作  ${'路径'.padEnd(pathWidth - 2)}  大小        说明`);
+        lines.push(`----  ${'-'.repeat(pathWidth)}  ----------  ----`);
+        
+        plan.files.forEach(file => {
+            const size = typeof file.size === 'number' ? this.gitProvider.formatFileSize(file.size) : '-';
+            const note = [file.reason, file.rule, file.lfs ? 'LFS' : null].filter(Boolean).join(' ');
+            lines.push(`${fileActions[file.action]}  ${file.path.padEnd(pathWidth)}  ${size.padEnd(10)}  ${note}`);
+        });
+        
+        const counts = plan.counts;
+        lines.push('');
+        lines.push(`合计: 新建 ${counts.create} · 更新 ${counts.update} · 跳过 ${counts.skip} · 忽略 ${counts.ignore} · 删除 ${counts.delete}`);
+        
+        if (plan.secrets.findings.length > 0) {
+            lines.push('');
+            lines.push(`🔐 敏感信息（策略: ${plan.secrets.policy}${plan.secrets.blocked ? '，推送将被阻止' : ''}）:`);
+            plan.secrets.findings.forEach(finding => {
+                lines.push(`  ${finding.path}${finding.line ? `:${finding.line}` : ''}  ${finding.description}`);
+            });
+        }
+        
+        if (plan.warnings.length > 0) {
+            lines.push('');
+            plan.warnings.forEach(warning => lines.push(`⚠️  ${warning}`));
+        }
+        
+        if (plan.readme) {
+            lines.push('');
+            lines.push(`📄 ${plan.readme.path}（${fileActions[plan.readme.action]}）:`);
+            lines.push(plan.readme.content);
         }
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * 创建本次运行使用的敏感信息扫描器
+     * @param {Object} options - 处理选项（可覆盖secretPolicy）
+     * @returns {SecretScanner} 扫描器实例
+     */
+    createSecretScanner(options = {}) {
+        return new SecretScanner({
+            policy: options.secretPolicy || this.config.secretPolicy,
+            allowlist: options.secretScanAllowlist || this.config.secretScanAllowlist,
+            logger: this.logger
+        });
     }
 
     /**
      * 准备ZIP数据
-     * @param {String|Buffer} zipInput - ZIP文件路径或Buffer
+     * @param {String|Buffer|Object} zipInput - ZIP文件路径、Buffer，或 { data, fileName }、{ path, fileName }
      * @returns {Promise<Object>} ZIP数据和文件名
      */
     async prepareZipData(zipInput) {
@@ -147,12 +681,17 @@ class WorkflowController {
             // 如果是Buffer数据
             zipData = zipInput;
             fileName = 'archive.zip'; // 默认文件名
+        } else if (zipInput && zipInput.path) {
+            // 文件路径与文件名分开提供（如HTTP服务保存的上传文件）
+            this.log(`📖 读取文件: ${zipInput.path}`);
+            zipData = await fs.readFile(zipInput.path);
+            fileName = zipInput.fileName || path.basename(zipInput.path);
         } else if (zipInput && zipInput.data && zipInput.fileName) {
             // 如果是包含数据和文件名的对象
             zipData = Buffer.isBuffer(zipInput.data) ? zipInput.data : Buffer.from(zipInput.data, 'base64');
             fileName = zipInput.fileName;
         } else {
-            throw new Error('无效的ZIP输入格式');
+            throw new Error('无效的压缩包输入格式');
         }
         
         // 验证文件
@@ -165,29 +704,66 @@ class WorkflowController {
         return { zipData: base64Data, fileName };
     }
 
+    /**
+     * 准备流式处理的压缩包文件（只校验，不读取内容）
+     * @param {String} archivePath - 压缩包路径
+     * @param {String} fileName - 文件名（默认取路径中的文件名）
+     * @returns {Promise<Object>} 压缩包路径和文件名
+     */
+    async prepareArchiveFile(archivePath, fileName = path.basename(archivePath)) {
+        const stats = await fs.stat(archivePath);
+        
+        this.zipProcessor.validateFile({ name: fileName, size: stats.size });
+        
+        return { archivePath, fileName };
+    }
+
+    /**
+     * 流式计算压缩包的SHA-256，与内存模式一致按base64编码后的内容计算，
+     * 两种模式创建的任务可以互相续传（按3字节对齐分块编码，结果与整体编码相同）
+     * @param {String} archivePath - 压缩包路径
+     * @returns {Promise<String>} 十六进制SHA-256
+     */
+    async hashArchiveFile(archivePath) {
+        const hash = crypto.createHash('sha256');
+        let remainder = Buffer.alloc(0);
+        
+        for await (const chunk of createReadStream(archivePath)) {
+            const data = Buffer.concat([remainder, chunk]);
+            const aligned = data.length - data.length % 3;
+            hash.update(data.toString('base64', 0, aligned));
+            remainder = data.subarray(aligned);
+        }
+        
+        return hash.update(remainder.toString('base64')).digest('hex');
+    }
+
     /**
      * 测试连接性
      * @returns {Promise<Object>} 测试结果
      */
     async testConnections() {
+        const provider = this.config.provider;
+        const displayName = this.gitProvider.displayName;
         const results = {
-            github: false,
+            [provider]: false,
             overall: false,
             errors: []
         };
         
         try {
-            // 测试GitHub连接
-            this.log('🧪 测试GitHub连接...');
-            await this.githubAgent.makeGitHubApiCall('GET', '/user');
-            results.github = true;
-            this.log('✅ GitHub连接正常');
+            // 测试代码托管平台连接
+            this.log(`🧪 测试${displayName}连接...`);
+            const identity = await this.gitProvider.verifyConnection();
+            results[provider] = true;
+            results.authMethod = this.gitProvider.authMethod || 'token';
+            this.log(`✅ ${displayName}连接正常 (${results.authMethod === 'app' ? 'App' : '用户'}: ${identity.login || identity.username || identity.nickname || '-'})`);
         } catch (error) {
-            results.errors.push(`GitHub连接失败: ${error.message}`);
-            this.log(`❌ GitHub连接失败: ${error.message}`, 'error');
+            results.errors.push(`${displayName}连接失败: ${error.message}`);
+            this.log(`❌ ${displayName}连接失败: ${error.message}`, 'error');
         }
         
-        results.overall = results.github;
+        results.overall = results[provider];
         
         return results;
     }
@@ -204,23 +780,42 @@ class WorkflowController {
             config.githubToken = config.githubToken.substring(0, 8) + '...';
         }
         
+        if (config.gitToken) {
+            config.gitToken = config.gitToken.substring(0, 8) + '...';
+        }
+        
+        if (config.githubAppPrivateKey) {
+            config.githubAppPrivateKey = '***';
+        }
+        
+        // 代理地址中可能包含用户名和密码
+        if (config.proxy) {
+            config.proxy = config.proxy.replace(/\/\/[^/@]+@/, '//***@');
+        }
+        
         return config;
     }
 
     /**
-     * 日志记录
+     * 以Prometheus文本格式输出指标（Content-Type为METRICS_CONTENT_TYPE）
+     * @returns {String} 指标文本
+     */
+    getMetrics() {
+        return this.metrics.render();
+    }
+
+    /**
+     * 日志记录（经由共用的日志记录器输出）
      * @param {String} message - 日志消息
-     * @param {String} level - 日志级别
+     * @param {String} level - 日志级别（debug、info、warn、error）
+     * @param {Object} fields - 附加字段（可选，如不在工作流处理中时的jobId）
      */
-    log(message, level = 'info') {
-        if (!this.config.debug && level === 'debug') {
-            return;
+    log(message, level = 'info', fields) {
+        if (fields) {
+            this.logger[level](message, fields);
+        } else {
+            this.logger[level](message);
         }
-        
-        const timestamp = new Date().toISOString();
-        const prefix = level === 'error' ? '❌' : level === 'warn' ? '⚠️' : 'ℹ️';
-        
-        console.log(`${timestamp} ${prefix} ${message}`);
     }
 
     /**
@@ -229,10 +824,40 @@ class WorkflowController {
      */
     setDebugMode(enabled) {
         this.config.debug = enabled;
+        if (typeof this.logger.setLevel === 'function') {
+            this.logger.setLevel(enabled ? 'debug' : 'info');
+        }
         this.log(`调试模式${enabled ? '已启用' : '已禁用'}`);
     }
 }
 
+/**
+ * 读取 --name=value 形式的命令行参数
+ * @param {Array} args - 命令行参数
+ * @param {String} name - 参数名
+ * @returns {String|undefined} 参数值
+ */
+function getOptionValue(args, name) {
+    const arg = args.find(item => item.startsWith(`${name}=`));
+    return arg ? arg.substring(name.length + 1) : undefined;
+}
+
+/**
+ * 使用 --progress 参数时在stderr显示解压和上传进度条
+ * @param {WorkflowController} controller - 工作流控制器
+ * @param {Array} args - 命令行参数
+ */
+function attachProgressBar(controller, args) {
+    if (!args.includes('--progress')) {
+        return;
+    }
+    
+    const progressBar = new ProgressBar({
+        formatSize: bytes => controller.gitProvider.formatFileSize(bytes)
+    });
+    controller.on('progress', event => progressBar.update(event));
+}
+
 // 命令行接口
 if (require.main === module) {
     const args = process.argv.slice(2);
@@ -241,11 +866,29 @@ if (require.main === module) {
         console.log(`
 📋 使用方法:
 `);
-        console.log(`  node index.js <zip文件路径> [选项]
+        console.log(`  node index.js <压缩包路径> [选项]
 `);
         console.log(`示例:`);
         console.log(`  node index.js ./project.zip`);
+        console.log(`  node index.js ./project.tar.gz`);
         console.log(`  node index.js ./project.zip --private`);
+        console.log(`  node index.js ./project.zip --atomic`);
+        console.log(`  node index.js ./project.zip --target=create-or-update`);
+        console.log(`  node index.js ./project.zip --target=existing --sync`);
+        console.log(`  node index.js ./project.zip --target=existing --pull-request`);
+        console.log(`  node index.js ./project.zip --secret-policy=drop`);
+        console.log(`  node index.js ./project-main.zip --strip-root=auto --prefix=vendor/project`);
+        console.log(`  node index.js ./design.zip --lfs --lfs-pattern=*.psd,*.sketch`);
+        console.log(`  node index.js ./project.zip --provider=gitlab`);
+        console.log(`  node index.js ./project.zip --org=my-org --visibility=internal --teams=backend:push,qa --topics=n8n,import`);
+        console.log(`  node index.js ./project.zip --dry-run --target=create-or-update --sync`);
+        console.log(`  node index.js ./project.zip --journal-dir=./.jobs`);
+        console.log(`  node index.js ./large-project.tar.gz --stream --spool-dir=/var/tmp`);
+        console.log(`  node index.js ./project.zip --progress`);
+        console.log(`  node index.js ./project.zip --log-format=json --log-level=warn`);
+        console.log(`  node index.js resume <任务ID> [zip文件路径] --journal-dir=./.jobs`);
+        console.log(`  node index.js batch ./a.zip ./b.tar.gz ./c.zip --concurrency=2`);
+        console.log(`  node index.js serve --port=3000 --journal-dir=./.jobs --queue-dir=./.queue --concurrency=2`);
         console.log(`  node index.js test-connection\n`);
         process.exit(1);
     }
@@ -254,7 +897,11 @@ if (require.main === module) {
     
     if (command === 'test-connection') {
         // 测试连接
-        const controller = new WorkflowController({ debug: true });
+        const controller = new WorkflowController({
+            provider: getOptionValue(args, '--provider'),
+            logFormat: getOptionValue(args, '--log-format'),
+            debug: true
+        });
         controller.testConnections()
             .then(results => {
                 console.log('\n🧪 连接测试结果:');
@@ -265,18 +912,147 @@ if (require.main === module) {
                 console.error('测试失败:', error);
                 process.exit(1);
             });
+    } else if (command === 'serve') {
+        // HTTP服务模式
+        const controller = new WorkflowController({
+            provider: getOptionValue(args, '--provider'),
+            journalDir: getOptionValue(args, '--journal-dir'),
+            spoolDir: getOptionValue(args, '--spool-dir'),
+            streaming: args.includes('--stream') || undefined,
+            logLevel: getOptionValue(args, '--log-level'),
+            logFormat: getOptionValue(args, '--log-format'),
+            debug: args.includes('--debug')
+        });
+        const queue = new JobQueue(controller, {
+            concurrency: Number(getOptionValue(args, '--concurrency') || process.env.WORKFLOW_QUEUE_CONCURRENCY || 1),
+            directory: getOptionValue(args, '--queue-dir') || process.env.WORKFLOW_QUEUE_DIR
+        });
+        const server = new WorkflowServer(controller, {
+            token: process.env.WORKFLOW_SERVICE_TOKEN,
+            queue: queue
+        });
+        const port = Number(getOptionValue(args, '--port') || process.env.WORKFLOW_SERVICE_PORT || 3000);
+        
+        queue.restore()
+            .then(() => server.listen(port, getOptionValue(args, '--host') || process.env.WORKFLOW_SERVICE_HOST))
+            .catch(error => {
+                console.error('服务启动失败:', error);
+                process.exit(1);
+            });
+        
+        ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+            controller.log('🛑 正在停止HTTP服务...');
+            server.close().finally(() => process.exit(0));
+        }));
+    } else if (command === 'batch') {
+        // 通过任务队列处理多个压缩包
+        const controller = new WorkflowController({
+            provider: getOptionValue(args, '--provider'),
+            journalDir: getOptionValue(args, '--journal-dir'),
+            spoolDir: getOptionValue(args, '--spool-dir'),
+            streaming: args.includes('--stream') || undefined,
+            logLevel: getOptionValue(args, '--log-level'),
+            logFormat: getOptionValue(args, '--log-format'),
+            debug: args.includes('--debug')
+        });
+        const queue = new JobQueue(controller, {
+            concurrency: Number(getOptionValue(args, '--concurrency') || process.env.WORKFLOW_QUEUE_CONCURRENCY || 1)
+        });
+        const archivePaths = args.slice(1).filter(arg => !arg.startsWith('--'));
+        const options = {
+            private: args.includes('--private'),
+            targetMode: getOptionValue(args, '--target'),
+            dryRun: args.includes('--dry-run')
+        };
+        
+        Promise.all(archivePaths.map(archivePath => queue.add(archivePath, options)))
+            .then(jobs => Promise.all(jobs.map(job => queue.wait(job.jobId))))
+            .then(jobs => {
+                console.log('\n📊 批量处理结果:');
+                jobs.forEach(job => {
+                    const detail = job.summary ? job.summary.repositoryUrl
+                        : job.plan ? JSON.stringify(job.plan.counts) : job.error || '';
+                    console.log(`  ${job.status.padEnd(9)} ${job.fileName}  ${detail}`);
+                });
+                process.exit(jobs.every(job => job.status === 'completed') ? 0 : 1);
+            })
+            .catch(error => {
+                console.error('批量处理失败:', error);
+                process.exit(1);
+            });
+    } else if (command === 'resume') {
+        // 续传中断的任务
+        const controller = new WorkflowController({
+            provider: getOptionValue(args, '--provider'),
+            journalDir: getOptionValue(args, '--journal-dir'),
+            spoolDir: getOptionValue(args, '--spool-dir'),
+            logLevel: getOptionValue(args, '--log-level'),
+            logFormat: getOptionValue(args, '--log-format'),
+            debug: args.includes('--debug')
+        });
+        const zipPath = args.slice(2).find(arg => !arg.startsWith('--'));
+        attachProgressBar(controller, args);
+        
+        controller.resumeWorkflow(args[1], zipPath)
+            .then(result => {
+                console.log('\n📊 续传结果:');
+                console.log(JSON.stringify(result.summary || result, null, 2));
+                process.exit(result.success ? 0 : 1);
+            })
+            .catch(error => {
+                console.error('续传失败:', error);
+                process.exit(1);
+            });
     } else {
         // 处理ZIP文件
         const zipPath = command;
         const options = {
             private: args.includes('--private'),
+            commitMode: args.includes('--atomic') ? 'atomic' : undefined,
+            targetMode: getOptionValue(args, '--target'),
+            sync: args.includes('--sync') || undefined,
+            pullRequest: args.includes('--pull-request') || undefined,
+            dryRun: args.includes('--dry-run'),
+            streaming: args.includes('--stream') || undefined,
+            secretPolicy: getOptionValue(args, '--secret-policy'),
+            stripRootDirectory: getOptionValue(args, '--strip-root'),
+            pathPrefix: getOptionValue(args, '--prefix'),
+            lfs: args.includes('--lfs') || getOptionValue(args, '--lfs-pattern')
+                ? { patterns: (getOptionValue(args, '--lfs-pattern') || '').split(',').filter(Boolean) }
+                : undefined,
+            organization: getOptionValue(args, '--org'),
+            repositorySettings: {
+                visibility: getOptionValue(args, '--visibility'),
+                homepage: getOptionValue(args, '--homepage'),
+                defaultBranch: getOptionValue(args, '--default-branch'),
+                topics: (getOptionValue(args, '--topics') || '').split(',').filter(Boolean),
+                teams: (getOptionValue(args, '--teams') || '').split(',').filter(Boolean).map(team => {
+                    const [slug, permission] = team.split(':');
+                    return { slug, permission };
+                })
+            },
             debug: args.includes('--debug')
         };
         
-        const controller = new WorkflowController({ debug: options.debug });
+        const controller = new WorkflowController({
+            provider: getOptionValue(args, '--provider'),
+            journalDir: getOptionValue(args, '--journal-dir'),
+            spoolDir: getOptionValue(args, '--spool-dir'),
+            logLevel: getOptionValue(args, '--log-level'),
+            logFormat: getOptionValue(args, '--log-format'),
+            debug: options.debug
+        });
+        attachProgressBar(controller, args);
         
         controller.processWorkflow(zipPath, options)
             .then(result => {
+                if (result.dryRun) {
+                    console.log(`\n${controller.formatPlan(result.plan)}`);
+                    console.log('\n📋 计划（JSON）:');
+                    console.log(JSON.stringify(result.plan, null, 2));
+                    process.exit(0);
+                }
+                
                 console.log('\n📊 处理结果:');
                 console.log(JSON.stringify(result.summary || result, null, 2));
                 process.exit(result.success ? 0 : 1);
@@ -292,5 +1068,28 @@ if (require.main === module) {
 module.exports = {
     WorkflowController,
     ZipProcessor,
-    GitHubAgent
+    GitHubAgent,
+    GitProvider,
+    GitLabProvider,
+    GiteaProvider,
+    createProvider,
+    SecretScanner,
+    GitHubAppAuth,
+    JobJournal,
+    FileJournalStore,
+    MemoryJournalStore,
+    ContentStore,
+    MemoryMonitor,
+    ProgressBar,
+    PROGRESS_EVENTS,
+    Logger,
+    runWithLogContext,
+    getLogContext,
+    WorkflowMetrics,
+    MetricsRegistry,
+    METRICS_CONTENT_TYPE,
+    WorkflowServer,
+    JobQueue,
+    FileQueueStore,
+    MemoryQueueStore
 };
\ No newline at end of file
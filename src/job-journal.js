@@ -0,0 +1,311 @@
+/**
+ * 任务日志（断点续传）
+ * 
+ * 记录每次工作流任务的目标仓库、分支和每个文件的上传状态，
+ * 进程中断后可以根据日志只上传剩余的文件。日志默认以JSON文件
+ * 保存在磁盘上，也可以替换为实现相同接口的其他存储。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * 任务状态（cancelled的任务不再续传）
+ */
+const JOB_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+/**
+ * 视为已完成、续传时不再上传的文件状态
+ */
+const COMPLETED_FILE_STATUSES = ['success', 'skipped'];
+
+/**
+ * 任务ID允许的字符（同时用作文件名）
+ */
+const JOB_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * 基于文件的日志存储，每个任务一个JSON文件
+ */
+class FileJournalStore {
+    /**
+     * @param {String} directory - 日志目录
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * 保存任务（先写临时文件再重命名，避免中断时留下不完整的JSON）
+     * @param {Object} job - 任务记录
+     * @returns {Promise<void>}
+     */
+    async save(job) {
+        await fs.mkdir(this.directory, { recursive: true });
+        
+        const target = this.getJobPath(job.jobId);
+        const temp = `${target}.${process.pid}.tmp`;
+        
+        await fs.writeFile(temp, JSON.stringify(job, null, 2));
+        await fs.rename(temp, target);
+    }
+
+    /**
+     * 读取任务
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<Object|null>} 任务记录，不存在时返回null
+     */
+    async load(jobId) {
+        try {
+            return JSON.parse(await fs.readFile(this.getJobPath(jobId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 列出所有任务
+     * @returns {Promise<Array>} 任务记录列表
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        
+        const jobs = await Promise.all(names
+            .filter(name => name.endsWith('.json'))
+            .map(name => this.load(name.slice(0, -'.json'.length))));
+        
+        return jobs.filter(Boolean);
+    }
+
+    /**
+     * 删除任务
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<void>}
+     */
+    async remove(jobId) {
+        await fs.rm(this.getJobPath(jobId), { force: true });
+    }
+
+    /**
+     * 获取任务文件路径
+     * @param {String} jobId - 任务ID
+     * @returns {String} 文件路径
+     */
+    getJobPath(jobId) {
+        return path.join(this.directory, `${jobId}.json`);
+    }
+}
+
+/**
+ * 内存日志存储（测试或不需要跨进程续传时使用）
+ */
+class MemoryJournalStore {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    /**
+     * 保存任务（保存副本，避免外部修改影响已保存的记录）
+     * @param {Object} job - 任务记录
+     * @returns {Promise<void>}
+     */
+    async save(job) {
+        this.jobs.set(job.jobId, JSON.parse(JSON.stringify(job)));
+    }
+
+    /**
+     * 读取任务
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<Object|null>} 任务记录，不存在时返回null
+     */
+    async load(jobId) {
+        const job = this.jobs.get(jobId);
+        return job ? JSON.parse(JSON.stringify(job)) : null;
+    }
+
+    /**
+     * 列出所有任务
+     * @returns {Promise<Array>} 任务记录列表
+     */
+    async list() {
+        return Array.from(this.jobs.values());
+    }
+
+    /**
+     * 删除任务
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<void>}
+     */
+    async remove(jobId) {
+        this.jobs.delete(jobId);
+    }
+}
+
+/**
+ * 任务日志类
+ */
+class JobJournal {
+    /**
+     * @param {Object} store - 存储（实现save、load、list、remove）
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * 生成任务ID
+     * @returns {String} 任务ID（job-时间戳-随机数）
+     */
+    static generateJobId() {
+        const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        return `job-${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    }
+
+    /**
+     * 创建任务
+     * @param {Object} details - 任务信息
+     * @param {String} details.jobId - 任务ID（不提供时自动生成）
+     * @param {Object} details.source - ZIP来源（fileName、path、sha256、size）
+     * @param {Object} details.options - 处理选项（续传时复用）
+     * @returns {Promise<Object>} 任务记录
+     */
+    async create(details = {}) {
+        const jobId = details.jobId || JobJournal.generateJobId();
+        
+        if (!JOB_ID_PATTERN.test(jobId)) {
+            throw new Error(`无效的任务ID: ${jobId}`);
+        }
+        
+        const now = new Date().toISOString();
+        const job = {
+            jobId: jobId,
+            status: 'running',
+            attempts: 1,
+            createdAt: now,
+            updatedAt: now,
+            source: details.source || {},
+            options: details.options || {},
+            folderName: null,
+            owner: null,
+            repository: null,
+            branch: null,
+            baseBranch: null,
+            pullRequest: null,
+            files: {},
+            error: null
+        };
+        
+        await this.store.save(job);
+        return job;
+    }
+
+    /**
+     * 读取任务
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<Object|null>} 任务记录
+     */
+    async get(jobId) {
+        if (!JOB_ID_PATTERN.test(jobId || '')) {
+            throw new Error(`无效的任务ID: ${jobId}`);
+        }
+        
+        return await this.store.load(jobId);
+    }
+
+    /**
+     * 列出所有任务（按创建时间倒序）
+     * @returns {Promise<Array>} 任务记录列表
+     */
+    async list() {
+        const jobs = await this.store.list();
+        return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * 更新任务并保存
+     * @param {Object} job - 任务记录
+     * @param {Object} changes - 要更新的字段
+     * @returns {Promise<Object>} 任务记录
+     */
+    async update(job, changes = {}) {
+        if (changes.status && !JOB_STATUSES.includes(changes.status)) {
+            throw new Error(`无效的任务状态: ${changes.status}`);
+        }
+        
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        await this.store.save(job);
+        return job;
+    }
+
+    /**
+     * 记录目标仓库和分支
+     * @param {Object} job - 任务记录
+     * @param {Object} target - 仓库信息（owner、repository、branch、baseBranch）
+     * @returns {Promise<Object>} 任务记录
+     */
+    async recordRepository(job, target) {
+        return await this.update(job, {
+            owner: target.owner,
+            repository: {
+                name: target.repository.name,
+                fullName: target.repository.full_name,
+                url: target.repository.html_url,
+                created: target.created
+            },
+            branch: target.branch,
+            baseBranch: target.baseBranch
+        });
+    }
+
+    /**
+     * 根据上传结果记录每个文件的状态
+     * @param {Object} job - 任务记录
+     * @param {Object} results - 上传结果（details）
+     * @returns {Promise<Object>} 任务记录
+     */
+    async recordFiles(job, results) {
+        results.details.forEach(detail => {
+            // 续传时跳过的文件保留上次的状态
+            if (detail.reason === 'resumed') {
+                return;
+            }
+            
+            job.files[detail.path] = detail.error
+                ? { status: detail.status, error: detail.error }
+                : { status: detail.status };
+        });
+        
+        return await this.update(job);
+    }
+
+    /**
+     * 获取已完成（续传时无需再上传）的文件路径
+     * @param {Object} job - 任务记录
+     * @returns {Array<String>} 文件路径列表
+     */
+    getCompletedPaths(job) {
+        return Object.keys(job.files)
+            .filter(filePath => COMPLETED_FILE_STATUSES.includes(job.files[filePath].status));
+    }
+}
+
+module.exports = {
+    JobJournal,
+    FileJournalStore,
+    MemoryJournalStore
+};
@@ -0,0 +1,524 @@
+/**
+ * 任务队列
+ * 
+ * 在同一个WorkflowController中排队执行多个压缩包任务：所有任务共享
+ * 同一个请求调度器（API速率限制），按优先级和提交顺序执行，同时运行的
+ * 任务数由concurrency限制，目标仓库相同的任务依次执行。排队中的任务
+ * 可以保存到磁盘，服务重启后继续执行。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { JobJournal } = require('./job-journal');
+const { WorkflowError } = require('./errors');
+
+/**
+ * 已结束的任务状态
+ */
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * 内存中保留的已结束任务数上限
+ */
+const DEFAULT_MAX_FINISHED_JOBS = 1000;
+
+/**
+ * 只保留任务状态需要的结果字段：processWorkflow的返回值包含解压出的文件（及内容），
+ * 已结束的任务在内存中保留较长时间，不能整个保存
+ * @param {Object} result - processWorkflow或resumeWorkflow的返回值
+ * @returns {Object} 精简后的结果
+ */
+function summarizeResult(result) {
+    return {
+        success: result.success,
+        processingTime: result.processingTime,
+        summary: result.summary || null,
+        plan: result.plan,
+        error: result.error || null,
+        code: result.code,
+        details: result.details
+    };
+}
+
+/**
+ * 基于文件的队列存储：排队中的任务保存在backlog.json，
+ * 内存中的压缩包数据写入inputs目录，使任务在重启后仍可执行
+ */
+class FileQueueStore {
+    /**
+     * @param {String} directory - 队列目录
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * 保存未结束的任务（先写临时文件再重命名，避免中断时留下不完整的JSON）
+     * @param {Array} jobs - 任务列表
+     * @returns {Promise<void>}
+     */
+    async save(jobs) {
+        await fs.mkdir(this.directory, { recursive: true });
+        
+        const target = path.join(this.directory, 'backlog.json');
+        const temp = `${target}.${process.pid}.tmp`;
+        
+        await fs.writeFile(temp, JSON.stringify(jobs, null, 2));
+        await fs.rename(temp, target);
+    }
+
+    /**
+     * 读取上次保存的任务
+     * @returns {Promise<Array>} 任务列表
+     */
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.directory, 'backlog.json'), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 把内存中的压缩包写入队列目录，文件路径输入原样保留
+     * @param {String} jobId - 任务ID
+     * @param {String|Buffer|Object} input - processWorkflow接受的输入
+     * @param {String} fileName - 压缩包文件名
+     * @returns {Promise<Object>} input（可序列化的输入）、stored（是否为写入的副本）
+     */
+    async saveInput(jobId, input, fileName) {
+        if (typeof input === 'string' || input.path) {
+            return { input, stored: false };
+        }
+        
+        const data = Buffer.isBuffer(input) ? input : input.data;
+        const directory = path.join(this.directory, 'inputs');
+        const filePath = path.join(directory, jobId);
+        
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(filePath, Buffer.isBuffer(data) ? data : Buffer.from(data, 'base64'));
+        
+        return { input: { path: filePath, fileName }, stored: true };
+    }
+}
+
+/**
+ * 内存队列存储（不持久化，进程退出后排队中的任务丢失）
+ */
+class MemoryQueueStore {
+    /**
+     * 不保存
+     * @returns {Promise<void>}
+     */
+    async save() {}
+
+    /**
+     * 没有可恢复的任务
+     * @returns {Promise<Array>} 空列表
+     */
+    async load() {
+        return [];
+    }
+
+    /**
+     * 输入保留在内存中
+     * @param {String} jobId - 任务ID
+     * @param {String|Buffer|Object} input - 压缩包输入
+     * @returns {Promise<Object>} input、stored（始终为false）
+     */
+    async saveInput(jobId, input) {
+        return { input, stored: false };
+    }
+}
+
+/**
+ * 工作流任务队列
+ */
+class JobQueue {
+    /**
+     * @param {WorkflowController} controller - 工作流控制器
+     * @param {Object} options - 配置选项
+     * @param {Number} options.concurrency - 同时执行的任务数（默认1）
+     * @param {String} options.directory - 队列目录（配置后排队中的任务在重启后继续执行）
+     * @param {Object} options.store - 自定义存储（实现save、load、saveInput）
+     * @param {Number} options.maxFinishedJobs - 内存中保留的已结束任务数
+     */
+    constructor(controller, options = {}) {
+        this.controller = controller;
+        this.concurrency = options.concurrency || 1;
+        this.store = options.store ||
+            (options.directory ? new FileQueueStore(options.directory) : new MemoryQueueStore());
+        this.maxFinishedJobs = options.maxFinishedJobs || DEFAULT_MAX_FINISHED_JOBS;
+        this.jobs = new Map();
+        this.finishedJobIds = []; // 按结束顺序排列，超过上限时先丢弃最早结束的任务
+        this.sequence = 0;
+        this.running = new Map(); // 任务ID -> AbortController
+        this.lockedRepositories = new Set();
+        this.waiters = new Map();
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * 恢复上次保存的任务并开始执行
+     * 上次运行中断的任务重新排队，配置了任务日志时只上传剩余的文件
+     * @returns {Promise<Number>} 恢复的任务数
+     */
+    async restore() {
+        const saved = await this.store.load();
+        
+        saved.forEach(job => {
+            this.jobs.set(job.jobId, {
+                ...job,
+                status: 'queued',
+                interrupted: job.interrupted || job.status === 'running',
+                startedAt: null,
+                sequence: ++this.sequence
+            });
+        });
+        
+        if (saved.length > 0) {
+            this.controller.log(`📋 恢复 ${saved.length} 个排队中的任务`);
+        }
+        
+        this.schedule();
+        return saved.length;
+    }
+
+    /**
+     * 添加任务
+     * @param {String|Buffer|Object} input - processWorkflow接受的压缩包输入
+     * @param {Object} options - 处理选项（需要可序列化为JSON）
+     * @param {Object} settings - 队列设置
+     * @param {Number} settings.priority - 优先级（越大越先执行，默认0）
+     * @param {String} settings.jobId - 任务ID（不提供时自动生成）
+     * @param {Boolean} settings.removeInput - 任务结束后删除输入文件（如上传的临时文件）
+     * @returns {Promise<Object>} 任务状态
+     */
+    async add(input, options = {}, settings = {}) {
+        const jobId = settings.jobId || JobJournal.generateJobId();
+        
+        if (this.jobs.has(jobId)) {
+            throw new WorkflowError(`任务已存在: ${jobId}`, 'JOB_EXISTS');
+        }
+        
+        const fileName = this.getFileName(input);
+        const source = await this.store.saveInput(jobId, input, fileName);
+        
+        const job = {
+            jobId: jobId,
+            status: 'queued',
+            priority: Number(settings.priority) || 0,
+            fileName: fileName,
+            repository: this.getRepositoryKey(fileName, options),
+            input: source.input,
+            removeInput: Boolean(settings.removeInput) || source.stored,
+            options: JSON.parse(JSON.stringify(options)),
+            attempts: 0,
+            interrupted: false,
+            cancelRequested: false,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            result: null,
+            sequence: ++this.sequence
+        };
+        
+        this.jobs.set(jobId, job);
+        await this.persist();
+        
+        this.controller.log(`📥 任务 ${jobId} 已加入队列: ${fileName}（优先级 ${job.priority}）`, 'info', { jobId });
+        this.schedule();
+        
+        return this.describe(job);
+    }
+
+    /**
+     * 取消任务：排队中的任务直接移出队列，执行中的任务在下一个检查点终止
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<Object>} 任务状态
+     */
+    async cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        
+        if (!job) {
+            throw new WorkflowError(`任务不存在: ${jobId}`, 'NOT_FOUND');
+        }
+        
+        if (FINISHED_STATUSES.includes(job.status)) {
+            throw new WorkflowError(`任务已结束: ${jobId}（${job.status}）`, 'JOB_FINISHED', { status: job.status });
+        }
+        
+        job.cancelRequested = true;
+        
+        if (job.status === 'queued') {
+            job.status = 'cancelled';
+            await this.finish(job);
+        } else {
+            this.running.get(jobId).abort();
+        }
+        
+        this.controller.log(`⏹️ 取消任务 ${jobId}`, 'info', { jobId });
+        return this.describe(job);
+    }
+
+    /**
+     * 获取任务状态
+     * @param {String} jobId - 任务ID
+     * @returns {Object|null} 任务状态
+     */
+    get(jobId) {
+        const job = this.jobs.get(jobId);
+        return job ? this.describe(job) : null;
+    }
+
+    /**
+     * 列出所有任务（排队中的任务按执行顺序在前）
+     * @returns {Array} 任务状态列表
+     */
+    list() {
+        const pending = this.getPendingJobs();
+        const others = [...this.jobs.values()].filter(job => job.status !== 'queued');
+        
+        return pending.concat(others).map(job => this.describe(job));
+    }
+
+    /**
+     * 等待任务结束
+     * @param {String} jobId - 任务ID
+     * @returns {Promise<Object>} 任务状态
+     */
+    wait(jobId) {
+        const job = this.jobs.get(jobId);
+        
+        if (!job) {
+            return Promise.reject(new WorkflowError(`任务不存在: ${jobId}`, 'NOT_FOUND'));
+        }
+        
+        if (FINISHED_STATUSES.includes(job.status)) {
+            return Promise.resolve(this.describe(job));
+        }
+        
+        return new Promise(resolve => {
+            const waiters = this.waiters.get(jobId) || [];
+            waiters.push(resolve);
+            this.waiters.set(jobId, waiters);
+        });
+    }
+
+    /**
+     * 启动可以执行的任务：优先级高的先执行，目标仓库被占用的任务跳过
+     */
+    schedule() {
+        while (this.running.size < this.concurrency) {
+            const next = this.getPendingJobs().find(job => !this.lockedRepositories.has(job.repository));
+            
+            if (!next) {
+                return;
+            }
+            
+            this.run(next);
+        }
+    }
+
+    /**
+     * 执行任务
+     * @param {Object} job - 任务记录
+     * @returns {Promise<void>}
+     */
+    async run(job) {
+        const abortController = new AbortController();
+        this.running.set(job.jobId, abortController);
+        this.lockedRepositories.add(job.repository);
+        
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        job.attempts++;
+        
+        try {
+            await this.persist();
+            
+            this.controller.log(`▶️ 开始执行任务 ${job.jobId}（执行中 ${this.running.size}/${this.concurrency}）`, 'info', { jobId: job.jobId });
+            
+            // 中断过的任务如果已有任务日志则续传，否则重新执行
+            const journalJob = job.interrupted && this.controller.journal
+                ? await this.controller.journal.get(job.jobId)
+                : null;
+            const result = journalJob
+                ? await this.controller.resumeWorkflow(job.jobId, job.input, { signal: abortController.signal })
+                : await this.controller.processWorkflow(job.input, {
+                    ...job.options,
+                    jobId: job.jobId,
+                    signal: abortController.signal
+                });
+            
+            // 与任务日志一致：有文件上传失败时视为失败；取消前已完成的任务仍视为完成
+            // 中断前已被取消的任务续传时返回JOB_CANCELLED，同样视为取消
+            const failedFiles = result.summary ? result.summary.failedFiles : 0;
+            job.result = summarizeResult(result);
+            job.status = result.success && !failedFiles ? 'completed'
+                : abortController.signal.aborted || result.code === 'JOB_CANCELLED' ? 'cancelled' : 'failed';
+        } catch (error) {
+            job.result = { success: false, error: error.message, code: error.code };
+            job.status = abortController.signal.aborted ? 'cancelled' : 'failed';
+        } finally {
+            this.running.delete(job.jobId);
+            this.lockedRepositories.delete(job.repository);
+            await this.finish(job);
+        }
+    }
+
+    /**
+     * 任务结束：删除输入文件并释放输入、通知等待者并启动下一个任务
+     * @param {Object} job - 任务记录
+     * @returns {Promise<void>}
+     */
+    async finish(job) {
+        job.finishedAt = new Date().toISOString();
+        this.finishedJobIds.push(job.jobId);
+        
+        if (job.removeInput) {
+            await fs.rm(typeof job.input === 'string' ? job.input : job.input.path, { force: true })
+                .catch(error => this.controller.log(`⚠️ 任务输入文件清理失败: ${error.message}`, 'warn', { jobId: job.jobId }));
+        }
+        
+        // 已结束的任务最多保留maxFinishedJobs个，不再保留输入（可能是整个压缩包的数据）
+        job.input = null;
+        
+        this.controller.log(`${job.status === 'completed' ? '✅' : job.status === 'cancelled' ? '⏹️' : '❌'} 任务 ${job.jobId} 已结束: ${job.status}`, 'info', { jobId: job.jobId });
+        
+        await this.persist();
+        this.prune();
+        
+        (this.waiters.get(job.jobId) || []).forEach(resolve => resolve(this.describe(job)));
+        this.waiters.delete(job.jobId);
+        
+        this.schedule();
+    }
+
+    /**
+     * 保存未结束的任务（串行写入，避免并发保存互相覆盖）
+     * 保存失败只记录日志，不影响任务执行
+     * @returns {Promise<void>}
+     */
+    persist() {
+        const backlog = [...this.jobs.values()]
+            .filter(job => !FINISHED_STATUSES.includes(job.status))
+            .map(job => ({
+                jobId: job.jobId,
+                status: job.status,
+                priority: job.priority,
+                fileName: job.fileName,
+                repository: job.repository,
+                input: job.input,
+                removeInput: job.removeInput,
+                options: job.options,
+                attempts: job.attempts,
+                interrupted: job.interrupted,
+                createdAt: job.createdAt
+            }));
+        
+        this.saving = this.saving
+            .then(() => this.store.save(backlog))
+            .catch(error => this.controller.log(`⚠️ 队列保存失败: ${error.message}`, 'warn'));
+        
+        return this.saving;
+    }
+
+    /**
+     * 已结束的任务超过上限时，丢弃最早结束的任务
+     */
+    prune() {
+        this.finishedJobIds.splice(0, Math.max(0, this.finishedJobIds.length - this.maxFinishedJobs))
+            .forEach(jobId => this.jobs.delete(jobId));
+    }
+
+    /**
+     * 排队中的任务，按优先级（高在前）和提交顺序排序
+     * @returns {Array} 任务记录列表
+     */
+    getPendingJobs() {
+        return [...this.jobs.values()]
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+    }
+
+    /**
+     * 目标仓库标识，用于避免两个任务同时写入同一个仓库
+     * @param {String} fileName - 压缩包文件名
+     * @param {Object} options - 处理选项
+     * @returns {String} 所有者/仓库名
+     */
+    getRepositoryKey(fileName, options) {
+        const folderName = this.controller.zipProcessor.generateFolderName(fileName);
+        const owner = this.controller.gitProvider.resolveOwner({
+            organization: options.organization || this.controller.config.organization
+        });
+        
+        return `${owner || ''}/${folderName}`.toLowerCase();
+    }
+
+    /**
+     * 获取输入的压缩包文件名（与processWorkflow的规则一致）
+     * @param {String|Buffer|Object} input - 压缩包输入
+     * @returns {String} 文件名
+     */
+    getFileName(input) {
+        if (typeof input === 'string') {
+            return path.basename(input);
+        }
+        
+        if (Buffer.isBuffer(input)) {
+            return 'archive.zip';
+        }
+        
+        if (input && input.path) {
+            return input.fileName || path.basename(input.path);
+        }
+        
+        if (input && input.data && input.fileName) {
+            return input.fileName;
+        }
+        
+        throw new WorkflowError('无效的压缩包输入格式', 'INVALID_REQUEST');
+    }
+
+    /**
+     * 生成任务状态（不包含输入数据）
+     * @param {Object} job - 任务记录
+     * @returns {Object} 任务状态
+     */
+    describe(job) {
+        const result = job.result || {};
+        
+        return {
+            jobId: job.jobId,
+            status: job.status,
+            priority: job.priority,
+            fileName: job.fileName,
+            repository: job.repository,
+            attempts: job.attempts,
+            cancelRequested: job.cancelRequested || false,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            processingTime: result.processingTime,
+            summary: result.summary || null,
+            plan: result.plan,
+            error: result.error || null,
+            code: result.code,
+            details: result.details
+        };
+    }
+}
+
+module.exports = {
+    JobQueue,
+    FileQueueStore,
+    MemoryQueueStore
+};
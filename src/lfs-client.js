@@ -0,0 +1,186 @@
+/**
+ * Git LFS客户端
+ * 
+ * 通过LFS批处理API上传大文件和二进制文件，
+ * 并生成提交到仓库中的指针文件和.gitattributes规则。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const { streamingFetch } = require('./http-agent');
+
+/**
+ * LFS API使用的媒体类型
+ */
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
+
+/**
+ * 单次批处理请求的最大对象数
+ */
+const BATCH_LIMIT = 100;
+
+/**
+ * 计算LFS对象ID（文件内容的SHA-256）
+ * @param {Buffer} buffer - 文件内容
+ * @returns {String} 64位十六进制SHA-256
+ */
+function calculateLfsOid(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * 生成LFS指针文件内容
+ * @param {String} oid - 对象ID
+ * @param {Number} size - 文件大小
+ * @returns {String} 指针文件内容
+ */
+function createLfsPointer(oid, size) {
+    return `version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize ${size}\n`;
+}
+
+/**
+ * 生成.gitattributes中的LFS跟踪规则
+ * @param {String} pattern - 文件匹配规则
+ * @returns {String} 规则行
+ */
+function createLfsAttribute(pattern) {
+    return `${pattern} filter=lfs diff=lfs merge=lfs -text`;
+}
+
+/**
+ * 将文件路径转换为只匹配该文件的.gitattributes规则
+ * @param {String} filePath - 仓库内的相对路径
+ * @returns {String} 锚定到仓库根目录的规则（空格写作[[:space:]]）
+ */
+function escapeAttributePath(filePath) {
+    const escaped = filePath
+        .replace(/[\\*?[\]!#]/g, '\\$&')
+        .replace(/\s/g, '[[:space:]]');
+    
+    return `/${escaped}`;
+}
+
+/**
+ * Git LFS客户端类
+ */
+class LfsClient {
+    /**
+     * @param {Object} options - 配置
+     * @param {String} options.endpoint - LFS服务地址（如 https://github.com/owner/repo.git/info/lfs）
+     * @param {String} options.token - 访问令牌
+     * @param {String} options.username - Basic认证用户名
+     * @param {Object} options.dispatcher - fetch连接调度器（自定义CA证书或代理）
+     */
+    constructor(options = {}) {
+        this.endpoint = options.endpoint.replace(/\/+$/, '');
+        this.token = options.token;
+        this.username = options.username || 'x-access-token';
+        this.dispatcher = options.dispatcher;
+    }
+
+    /**
+     * 请求上传对象，返回服务端为每个对象提供的操作
+     * 服务端已有的对象不包含upload操作
+     * @param {Array} objects - 对象列表（oid、size）
+     * @returns {Promise<Array>} 服务端返回的对象列表
+     */
+    async requestUpload(objects) {
+        const responses = [];
+        
+        for (let i = 0; i < objects.length; i += BATCH_LIMIT) {
+            const batch = objects.slice(i, i + BATCH_LIMIT);
+            const response = await this.request('POST', `${this.endpoint}/objects/batch`, {
+                operation: 'upload',
+                transfers: ['basic'],
+                objects: batch.map(({ oid, size }) => ({ oid, size }))
+            });
+            
+            responses.push(...(response.objects || []));
+        }
+        
+        return responses;
+    }
+
+    /**
+     * 按批处理API返回的操作上传对象内容并校验
+     * @param {Object} object - 对象（oid、size）
+     * @param {Buffer|Readable} body - 文件内容（可读流时边读边上传）
+     * @param {Object} actions - 批处理API返回的操作
+     * @returns {Promise<void>}
+     */
+    async uploadObject(object, body, actions) {
+        const upload = actions.upload;
+        const send = Buffer.isBuffer(body) ? fetch : streamingFetch;
+        const response = await send(upload.href, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': String(object.size),
+                ...(upload.header || {})
+            },
+            body: body,
+            dispatcher: this.dispatcher
+        });
+        
+        if (!response.ok) {
+            const error = new Error(`LFS对象上传失败: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        if (actions.verify) {
+            await this.request('POST', actions.verify.href, {
+                oid: object.oid,
+                size: object.size
+            }, actions.verify.header);
+        }
+    }
+
+    /**
+     * 发送LFS API请求
+     * @param {String} method - HTTP方法
+     * @param {String} url - 请求地址
+     * @param {Object} data - 请求数据
+     * @param {Object} headers - 额外的请求头（覆盖默认认证）
+     * @returns {Promise<Object>} 响应数据
+     */
+    async request(method, url, data, headers = {}) {
+        const credentials = Buffer.from(`${this.username}:${this.token}`).toString('base64');
+        
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Authorization': `Basic ${credentials}`,
+                'Accept': LFS_MEDIA_TYPE,
+                'Content-Type': LFS_MEDIA_TYPE,
+                'User-Agent': 'n8n-github-agent/1.0.0',
+                ...headers
+            },
+            body: JSON.stringify(data),
+            dispatcher: this.dispatcher
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const error = new Error(
+                errorData.message ||
+                `LFS API调用失败: ${response.status} ${response.statusText}`
+            );
+            error.status = response.status;
+            error.response = errorData;
+            throw error;
+        }
+        
+        return await response.json().catch(() => ({}));
+    }
+}
+
+module.exports = {
+    LfsClient,
+    calculateLfsOid,
+    createLfsPointer,
+    createLfsAttribute,
+    escapeAttributePath
+};
@@ -0,0 +1,306 @@
+/**
+ * 结构化日志记录器
+ * 
+ * WorkflowController、ZipProcessor和各平台实现共用同一个日志记录器，
+ * 支持日志级别、文本或JSON行输出和静默模式。输出前自动脱敏访问令牌、
+ * 私钥和文件内容；工作流处理期间的每一行都附带任务ID和关联ID。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * 日志级别（silent不输出任何日志）
+ */
+const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+};
+
+/**
+ * 文本格式中各级别的前缀
+ */
+const LEVEL_PREFIXES = {
+    debug: '🐛',
+    info: 'ℹ️',
+    warn: '⚠️',
+    error: '❌'
+};
+
+/**
+ * 支持的输出格式
+ */
+const LOG_FORMATS = ['text', 'json'];
+
+/**
+ * 脱敏后的占位文本
+ */
+const REDACTED = '[REDACTED]';
+
+/**
+ * 需要脱敏的凭据格式
+ */
+const REDACTION_PATTERNS = [
+    // GitHub、GitLab、Slack令牌和AWS Access Key ID
+    { pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{20,}\b|\bgithub_pat_[A-Za-z0-9_]{20,}\b/g, replacement: REDACTED },
+    { pattern: /\bglpat-[A-Za-z0-9_-]{20,}/g, replacement: REDACTED },
+    { pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g, replacement: REDACTED },
+    { pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, replacement: REDACTED },
+    // PEM私钥（包括被截断的私钥）
+    { pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g, replacement: REDACTED },
+    // Authorization请求头和URL中的凭据
+    { pattern: /\b(Bearer|Basic|token)\s+[A-Za-z0-9._~+/=-]{20,}/gi, replacement: `$1 ${REDACTED}` },
+    { pattern: /(\/\/[^/\s:@]+:)[^@\s/]+@/g, replacement: `$1${REDACTED}@` }
+];
+
+/**
+ * 值需要整体脱敏的字段名
+ */
+const SENSITIVE_KEYS = /token|secret|passw(?:or)?d|authorization|private_?key|api_?key|credential/i;
+
+/**
+ * 文件内容字段，只输出长度
+ */
+const CONTENT_KEYS = ['content', 'data', 'zipData', 'body'];
+
+/**
+ * 字段的最大嵌套深度
+ */
+const MAX_DEPTH = 5;
+
+/**
+ * 当前工作流处理的日志上下文（任务ID、关联ID），在异步调用链中自动传递
+ */
+const logContextStorage = new AsyncLocalStorage();
+
+/**
+ * 在日志上下文中执行函数，期间的所有日志都附带上下文中的字段
+ * 上下文对象按引用保存，执行期间修改（如记录任务ID）会反映到后续日志
+ * @param {Object} context - 日志上下文（jobId、correlationId等）
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} 函数的返回值
+ */
+function runWithLogContext(context, fn) {
+    return logContextStorage.run(context, fn);
+}
+
+/**
+ * 获取当前的日志上下文（自定义日志记录器可以用它获取任务ID）
+ * @returns {Object} 日志上下文，不在工作流处理中时为空对象
+ */
+function getLogContext() {
+    return logContextStorage.getStore() || {};
+}
+
+/**
+ * 日志记录器
+ * 自定义日志记录器只需实现debug、info、warn、error(message, fields)
+ */
+class Logger {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {String} options.level - 最低输出级别（debug、info、warn、error、silent，默认info）
+     * @param {String} options.format - 输出格式（text或json，默认text）
+     * @param {Boolean} options.silent - 静默模式，不输出任何日志
+     * @param {Stream} options.stream - debug、info的输出流（默认stdout）
+     * @param {Stream} options.errorStream - warn、error的输出流（默认stderr，指定了stream时与stream相同），
+     *   避免警告和错误混入命令行输出到stdout的JSON结果
+     * @param {Array} options.secrets - 需要脱敏的字符串（如配置的访问令牌）
+     * @param {Object} options.context - 每行附带的固定字段
+     */
+    constructor(options = {}) {
+        this.setLevel(options.silent ? 'silent' : options.level || 'info');
+        this.format = options.format || 'text';
+        this.stream = options.stream || process.stdout;
+        this.errorStream = options.errorStream || options.stream || process.stderr;
+        this.context = options.context || {};
+        this.secrets = [];
+        
+        if (!LOG_FORMATS.includes(this.format)) {
+            throw new Error(`无效的日志格式: ${this.format}（可选: ${LOG_FORMATS.join(', ')}）`);
+        }
+        
+        (options.secrets || []).forEach(secret => this.addSecret(secret));
+    }
+
+    /**
+     * 设置最低输出级别
+     * @param {String} level - 日志级别
+     */
+    setLevel(level) {
+        if (!(level in LOG_LEVELS)) {
+            throw new Error(`无效的日志级别: ${level}（可选: ${Object.keys(LOG_LEVELS).join(', ')}）`);
+        }
+        
+        this.level = level;
+    }
+
+    /**
+     * 判断级别是否会输出
+     * @param {String} level - 日志级别
+     * @returns {Boolean} 是否输出
+     */
+    isLevelEnabled(level) {
+        return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+    }
+
+    /**
+     * 添加需要脱敏的字符串（过短的值容易误伤正常文本，忽略）
+     * @param {String} secret - 敏感字符串
+     */
+    addSecret(secret) {
+        if (typeof secret === 'string' && secret.length >= 8 && !this.secrets.includes(secret)) {
+            this.secrets.push(secret);
+        }
+    }
+
+    /**
+     * 输出调试日志
+     * @param {String} message - 日志内容
+     * @param {Object} fields - 附加字段（可选）
+     */
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    /**
+     * 输出信息日志
+     * @param {String} message - 日志内容
+     * @param {Object} fields - 附加字段（可选）
+     */
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    /**
+     * 输出警告日志
+     * @param {String} message - 日志内容
+     * @param {Object} fields - 附加字段（可选）
+     */
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    /**
+     * 输出错误日志
+     * @param {String} message - 日志内容
+     * @param {Object} fields - 附加字段（可选）
+     */
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * 输出一行日志
+     * @param {String} level - 日志级别
+     * @param {String} message - 日志内容
+     * @param {Object} fields - 附加字段（覆盖日志上下文中的同名字段）
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: level,
+            message: this.redactText(String(message)),
+            ...this.redactFields({ ...this.context, ...getLogContext(), ...fields })
+        };
+        
+        const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? this.errorStream : this.stream;
+        stream.write(`${this.format === 'json' ? JSON.stringify(entry) : this.formatText(entry)}\n`);
+    }
+
+    /**
+     * 文本格式：时间 级别前缀 [任务ID] 内容 {其他字段}
+     * @param {Object} entry - 日志条目
+     * @returns {String} 文本行
+     */
+    formatText(entry) {
+        const { timestamp, level, message, jobId, correlationId, ...rest } = entry;
+        const fields = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        
+        return `${timestamp} ${LEVEL_PREFIXES[level]} ${jobId ? `[${jobId}] ` : ''}${message}${fields}`;
+    }
+
+    /**
+     * 脱敏文本中的凭据和配置的敏感字符串
+     * @param {String} text - 原始文本
+     * @returns {String} 脱敏后的文本
+     */
+    redactText(text) {
+        let redacted = text;
+        
+        this.secrets.forEach(secret => {
+            redacted = redacted.split(secret).join(REDACTED);
+        });
+        
+        REDACTION_PATTERNS.forEach(({ pattern, replacement }) => {
+            redacted = redacted.replace(pattern, replacement);
+        });
+        
+        return redacted;
+    }
+
+    /**
+     * 脱敏附加字段：敏感字段整体替换，文件内容只保留长度，字符串逐个脱敏
+     * @param {*} value - 字段值
+     * @param {Number} depth - 当前嵌套深度
+     * @returns {*} 脱敏后的值
+     */
+    redactFields(value, depth = 0) {
+        if (typeof value === 'string') {
+            return this.redactText(value);
+        }
+        
+        if (Buffer.isBuffer(value)) {
+            return `[${value.length} 字节]`;
+        }
+        
+        if (value instanceof Error) {
+            return { name: value.name, message: this.redactText(value.message), code: value.code };
+        }
+        
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        
+        if (depth >= MAX_DEPTH) {
+            return '[...]';
+        }
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.redactFields(item, depth + 1));
+        }
+        
+        const redacted = {};
+        Object.entries(value).forEach(([key, item]) => {
+            if (item === undefined || typeof item === 'function') {
+                return;
+            }
+            
+            if (SENSITIVE_KEYS.test(key) && item !== null) {
+                redacted[key] = REDACTED;
+            } else if (CONTENT_KEYS.includes(key) && (typeof item === 'string' || Buffer.isBuffer(item))) {
+                redacted[key] = `[${item.length} ${Buffer.isBuffer(item) ? '字节' : '字符'}]`;
+            } else {
+                redacted[key] = this.redactFields(item, depth + 1);
+            }
+        });
+        
+        return redacted;
+    }
+}
+
+module.exports = {
+    Logger,
+    LOG_LEVELS,
+    runWithLogContext,
+    getLogContext
+};
@@ -0,0 +1,73 @@
+/**
+ * 内存峰值监控
+ * 
+ * 在工作流处理期间定时采样进程的常驻内存（RSS），记录峰值，
+ * 用于验证流式模式下的内存占用不随压缩包大小增长。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+/**
+ * 默认采样间隔（毫秒）
+ */
+const DEFAULT_INTERVAL = 50;
+
+/**
+ * 内存峰值监控器
+ */
+class MemoryMonitor {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {Number} options.interval - 采样间隔（毫秒）
+     */
+    constructor(options = {}) {
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.baseline = 0;
+        this.peak = 0;
+        this.timer = null;
+    }
+
+    /**
+     * 开始采样
+     * @returns {MemoryMonitor} 当前实例
+     */
+    start() {
+        this.baseline = process.memoryUsage.rss();
+        this.peak = this.baseline;
+        
+        // 不阻止进程退出
+        this.timer = setInterval(() => this.sample(), this.interval);
+        this.timer.unref();
+        
+        return this;
+    }
+
+    /**
+     * 采样一次
+     * @returns {Number} 当前RSS（字节）
+     */
+    sample() {
+        const rss = process.memoryUsage.rss();
+        this.peak = Math.max(this.peak, rss);
+        return rss;
+    }
+
+    /**
+     * 停止采样
+     * @returns {Object} peak（峰值RSS）、baseline（开始时的RSS）、growth（增长量），单位字节
+     */
+    stop() {
+        this.sample();
+        clearInterval(this.timer);
+        this.timer = null;
+        
+        return {
+            peak: this.peak,
+            baseline: this.baseline,
+            growth: this.peak - this.baseline
+        };
+    }
+}
+
+module.exports = MemoryMonitor;
@@ -0,0 +1,488 @@
+/**
+ * Prometheus指标
+ * 
+ * 统计工作流运行次数和耗时、解压的压缩包和字节数、上传的文件数、
+ * API请求、重试和速率限制等待，以Prometheus文本格式输出。
+ * WorkflowController创建一个WorkflowMetrics并传给ZipProcessor和各平台实现，
+ * 服务模式下通过 GET /metrics 采集。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+/**
+ * Prometheus文本格式的Content-Type
+ */
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * 耗时直方图的默认分桶（秒）
+ */
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * 转义标签值中的反斜杠、双引号和换行
+ * @param {*} value - 标签值
+ * @returns {String} 转义后的值
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * 生成标签字符串
+ * @param {Object} labels - 标签
+ * @returns {String} 如 {method="GET",status="200"}，没有标签时为空字符串
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * 指标基类：按标签组合保存数值
+ */
+class Metric {
+    /**
+     * @param {String} type - 指标类型（counter、gauge、histogram）
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     */
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * 获取标签组合对应的序列，不存在时创建
+     * @param {Object} labels - 标签
+     * @param {Function} create - 创建初始值
+     * @returns {Object} 序列（labels、value）
+     */
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+        const key = JSON.stringify(values);
+        
+        if (!this.series.has(key)) {
+            const seriesLabels = {};
+            this.labelNames.forEach((name, index) => {
+                seriesLabels[name] = values[index];
+            });
+            this.series.set(key, { labels: seriesLabels, value: create() });
+        }
+        
+        return this.series.get(key);
+    }
+
+    /**
+     * 输出HELP和TYPE行以及所有序列
+     * @returns {Array} 文本行
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        
+        this.series.forEach(series => {
+            lines.push(...this.renderSeries(series));
+        });
+        
+        return lines;
+    }
+
+    /**
+     * 输出单个序列
+     * @param {Object} series - 序列
+     * @returns {Array} 文本行
+     */
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+    }
+}
+
+/**
+ * 计数器：只增不减
+ */
+class Counter extends Metric {
+    /**
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     */
+    constructor(name, help, labelNames = []) {
+        super('counter', name, help, labelNames);
+    }
+
+    /**
+     * 增加计数
+     * @param {Object} labels - 标签
+     * @param {Number} value - 增加量（默认1）
+     */
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new Error(`计数器只能增加: ${this.name}`);
+        }
+        
+        this.getSeries(labels, () => 0).value += value;
+    }
+}
+
+/**
+ * 仪表：可以设置为任意值
+ */
+class Gauge extends Metric {
+    /**
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     */
+    constructor(name, help, labelNames = []) {
+        super('gauge', name, help, labelNames);
+    }
+
+    /**
+     * 设置当前值
+     * @param {Object} labels - 标签
+     * @param {Number} value - 数值
+     */
+    set(labels = {}, value = 0) {
+        this.getSeries(labels, () => 0).value = value;
+    }
+}
+
+/**
+ * 直方图：按分桶统计观测值的分布
+ */
+class Histogram extends Metric {
+    /**
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     * @param {Array} buckets - 分桶上限（升序）
+     */
+    constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    /**
+     * 记录一个观测值
+     * @param {Object} labels - 标签
+     * @param {Number} value - 观测值
+     */
+    observe(labels = {}, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                series.value.counts[index]++;
+            }
+        });
+        series.value.sum += value;
+        series.value.count++;
+    }
+
+    /**
+     * 输出各分桶的累计数、总和与次数
+     * @param {Object} series - 序列
+     * @returns {Array} 文本行
+     */
+    renderSeries(series) {
+        const { counts, sum, count } = series.value;
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${counts[index]}`
+        );
+        
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${count}`);
+        
+        return lines;
+    }
+}
+
+/**
+ * 指标注册表
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * 注册指标（同名指标只注册一次）
+     * @param {Metric} metric - 指标
+     * @returns {Metric} 已注册的指标
+     */
+    register(metric) {
+        if (!this.metrics.has(metric.name)) {
+            this.metrics.set(metric.name, metric);
+        }
+        
+        return this.metrics.get(metric.name);
+    }
+
+    /**
+     * 注册计数器
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     * @returns {Counter} 指标
+     */
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * 注册仪表
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     * @returns {Gauge} 指标
+     */
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    /**
+     * 注册直方图
+     * @param {String} name - 指标名称
+     * @param {String} help - 说明
+     * @param {Array} labelNames - 标签名
+     * @param {Array} buckets - 分桶上限（默认DURATION_BUCKETS）
+     * @returns {Histogram} 指标
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * 以Prometheus文本格式输出所有指标
+     * @returns {String} 指标文本
+     */
+    render() {
+        const lines = [];
+        
+        this.metrics.forEach(metric => {
+            lines.push(...metric.render());
+        });
+        
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+/**
+ * 规范化API路径，把所有者、仓库名、文件路径和ID替换为占位符，避免标签基数无限增长
+ * @param {String} url - 请求地址
+ * @returns {String} 端点模板，如 /repos/{owner}/{repo}/contents/{path}
+ */
+function normalizeEndpoint(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        pathname = String(url).split('?')[0];
+    }
+    
+    // GitHub Enterprise、GitLab和Gitea的API前缀
+    const segments = pathname.replace(/^\/api\/(?:v\d+|uploads)(?=\/)/, '').split('/').filter(Boolean);
+    const normalized = [];
+    
+    for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        const previous = segments[i - 1];
+        
+        if (previous === 'repos') {
+            // {owner}/{repo}
+            normalized.push('{owner}', '{repo}');
+            i++;
+        } else if (['contents', 'files', 'raw'].includes(previous)) {
+            // 文件路径可能包含斜杠，剩余部分整体替换
+            normalized.push('{path}');
+            break;
+        } else if (['heads', 'trees', 'commits', 'branches'].includes(previous)) {
+            // 分支名也可能包含斜杠
+            normalized.push('{ref}');
+            break;
+        } else if (['orgs', 'users', 'teams', 'projects', 'installations', 'groups'].includes(previous)) {
+            normalized.push('{id}');
+        } else if (/^\d+$/.test(segment)) {
+            normalized.push('{id}');
+        } else if (/^[0-9a-f]{40}$/i.test(segment)) {
+            normalized.push('{sha}');
+        } else {
+            normalized.push(segment);
+        }
+    }
+    
+    return `/${normalized.join('/')}`;
+}
+
+/**
+ * 工作流指标：定义各项指标和记录方法
+ */
+class WorkflowMetrics {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {MetricsRegistry} options.registry - 指标注册表（默认新建）
+     * @param {String} options.prefix - 指标名前缀（默认workflow_）
+     */
+    constructor(options = {}) {
+        const prefix = options.prefix || 'workflow_';
+        this.registry = options.registry || new MetricsRegistry();
+        
+        this.runs = this.registry.counter(
+            `${prefix}runs_total`,
+            '工作流处理次数',
+            ['status', 'mode']
+        );
+        this.runDuration = this.registry.histogram(
+            `${prefix}run_duration_seconds`,
+            '工作流处理耗时（秒）',
+            ['status', 'mode']
+        );
+        this.archives = this.registry.counter(
+            `${prefix}archives_processed_total`,
+            '解压处理的压缩包数',
+            ['format', 'status']
+        );
+        this.extractionDuration = this.registry.histogram(
+            `${prefix}extraction_duration_seconds`,
+            '压缩包解压耗时（秒）',
+            ['format']
+        );
+        this.inflatedBytes = this.registry.counter(
+            `${prefix}inflated_bytes_total`,
+            '解压出的文件字节数',
+            ['format']
+        );
+        this.files = this.registry.counter(
+            `${prefix}files_total`,
+            '上传处理的文件数',
+            ['result']
+        );
+        this.apiRequests = this.registry.counter(
+            `${prefix}api_requests_total`,
+            '代码托管平台API请求数',
+            ['provider', 'method', 'endpoint', 'status']
+        );
+        this.retries = this.registry.counter(
+            `${prefix}retries_total`,
+            '失败后重试的操作次数',
+            ['provider']
+        );
+        this.rateLimitWaits = this.registry.counter(
+            `${prefix}rate_limit_waits_total`,
+            '因速率限制暂停API请求的次数',
+            ['reason']
+        );
+        this.rateLimitWaitSeconds = this.registry.counter(
+            `${prefix}rate_limit_wait_seconds_total`,
+            '因速率限制暂停API请求的总时长（秒）',
+            ['reason']
+        );
+        this.queueJobs = this.registry.gauge(
+            `${prefix}queue_jobs`,
+            '任务队列中的任务数',
+            ['status']
+        );
+    }
+
+    /**
+     * 记录一次工作流处理
+     * @param {String} status - success、failed或cancelled
+     * @param {Number} durationMs - 耗时（毫秒）
+     * @param {Boolean} dryRun - 是否为演练模式
+     */
+    recordRun(status, durationMs, dryRun = false) {
+        const labels = { status, mode: dryRun ? 'dry-run' : 'upload' };
+        this.runs.inc(labels);
+        this.runDuration.observe(labels, durationMs / 1000);
+    }
+
+    /**
+     * 记录一次压缩包解压
+     * @param {String} format - 压缩包格式（无法识别时为unknown）
+     * @param {String} status - success或failed
+     * @param {Number} durationMs - 耗时（毫秒）
+     * @param {Number} bytes - 解压出的字节数
+     */
+    recordExtraction(format, status, durationMs, bytes = 0) {
+        this.archives.inc({ format, status });
+        this.extractionDuration.observe({ format }, durationMs / 1000);
+        this.inflatedBytes.inc({ format }, bytes);
+    }
+
+    /**
+     * 记录上传处理的文件
+     * @param {String} result - uploaded、failed、skipped或deleted
+     * @param {Number} count - 文件数（默认1）
+     */
+    recordFiles(result, count = 1) {
+        if (count > 0) {
+            this.files.inc({ result }, count);
+        }
+    }
+
+    /**
+     * 记录一次API请求
+     * @param {String} provider - 平台名称
+     * @param {String} method - HTTP方法
+     * @param {String} url - 请求地址（按端点模板统计）
+     * @param {Number|String} status - HTTP状态码，网络错误时为error
+     */
+    recordApiRequest(provider, method, url, status) {
+        this.apiRequests.inc({ provider, method, endpoint: normalizeEndpoint(url), status });
+    }
+
+    /**
+     * 记录一次重试
+     * @param {String} provider - 平台名称
+     */
+    recordRetry(provider) {
+        this.retries.inc({ provider });
+    }
+
+    /**
+     * 记录一次速率限制暂停
+     * @param {String} reason - 暂停原因（retry_after、secondary、primary、too_many_requests）
+     * @param {Number} durationMs - 暂停时长（毫秒）
+     */
+    recordRateLimitWait(reason, durationMs) {
+        this.rateLimitWaits.inc({ reason });
+        this.rateLimitWaitSeconds.inc({ reason }, Math.max(0, durationMs) / 1000);
+    }
+
+    /**
+     * 更新任务队列中各状态的任务数
+     * @param {Object} counts - 状态到任务数的映射（如 { queued: 2, running: 1 }）
+     */
+    setQueueJobs(counts) {
+        Object.entries(counts).forEach(([status, count]) => this.queueJobs.set({ status }, count));
+    }
+
+    /**
+     * 以Prometheus文本格式输出
+     * @returns {String} 指标文本
+     */
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = {
+    METRICS_CONTENT_TYPE,
+    DURATION_BUCKETS,
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+    WorkflowMetrics,
+    normalizeEndpoint
+};
@@ -0,0 +1,74 @@
+/**
+ * 压缩包路径安全工具
+ * 
+ * 校验并规范化压缩包中的条目路径，防止路径穿越（zip-slip）
+ * 等问题，并为GitHub API URL编码路径。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+/**
+ * 规范化并校验压缩包条目路径
+ * @param {String} rawPath - 压缩包中记录的原始路径
+ * @returns {Object} { safe: true, path } 或 { safe: false, reason }
+ */
+function sanitizeArchivePath(rawPath) {
+    if (typeof rawPath !== 'string' || rawPath.length === 0) {
+        return { safe: false, reason: '路径为空' };
+    }
+    
+    // 控制字符（包括NUL）会导致截断或API错误
+    if (/[\u0000-\u001f\u007f]/.test(rawPath)) {
+        return { safe: false, reason: '路径包含控制字符' };
+    }
+    
+    // 统一使用正斜杠作为分隔符
+    const normalized = rawPath.replace(/\\/g, '/');
+    
+    // 拒绝绝对路径：/x、//server/share、C:/x
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+        return { safe: false, reason: '不允许绝对路径' };
+    }
+    
+    const segments = [];
+    for (const segment of normalized.split('/')) {
+        if (segment === '' || segment === '.') {
+            continue;
+        }
+        
+        if (segment === '..') {
+            return { safe: false, reason: '路径包含目录穿越(..)' };
+        }
+        
+        // .git目录中的内容会被git当作仓库元数据
+        if (segment.toLowerCase() === '.git') {
+            return { safe: false, reason: '不允许写入.git目录' };
+        }
+        
+        segments.push(segment);
+    }
+    
+    if (segments.length === 0) {
+        return { safe: false, reason: '路径为空' };
+    }
+    
+    return { safe: true, path: segments.join('/') };
+}
+
+/**
+ * 为API URL逐段编码仓库内路径或分支名（分支名可能包含/、#、?、%）
+ * @param {String} repoPath - 仓库内的相对路径或分支名
+ * @returns {String} 编码后的路径（保留/分隔符）
+ */
+function encodeRepoPath(repoPath) {
+    return repoPath
+        .split('/')
+        .map(segment => encodeURIComponent(segment))
+        .join('/');
+}
+
+module.exports = {
+    sanitizeArchivePath,
+    encodeRepoPath
+};
@@ -0,0 +1,180 @@
+/**
+ * 结构化进度事件
+ * 
+ * ZipProcessor、GitProvider和WorkflowController都是EventEmitter，通过'progress'事件
+ * 报告进度，也可以在处理选项中传入onProgress回调只接收本次处理的事件。
+ * 事件对象带有type字段和文件数、字节数等计数，供n8n和监控面板使用；
+ * WorkflowController转发的事件附带jobId。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+/**
+ * 事件类型
+ */
+const PROGRESS_EVENTS = {
+    WORKFLOW_STARTED: 'workflow:started',
+    EXTRACTION_STARTED: 'extraction:started',
+    ENTRY_EXTRACTED: 'entry:extracted',
+    EXTRACTION_COMPLETED: 'extraction:completed',
+    REPOSITORY_CREATED: 'repository:created',
+    UPLOAD_STARTED: 'upload:started',
+    BATCH_STARTED: 'batch:started',
+    FILE_UPLOADED: 'file:uploaded',
+    FILE_FAILED: 'file:failed',
+    FILE_RETRIED: 'file:retried',
+    UPLOAD_COMPLETED: 'upload:completed',
+    WORKFLOW_COMPLETED: 'workflow:completed',
+    WORKFLOW_FAILED: 'workflow:failed'
+};
+
+/**
+ * 创建进度事件
+ * @param {String} type - 事件类型（PROGRESS_EVENTS）
+ * @param {Object} data - 事件数据
+ * @returns {Object} 事件对象
+ */
+function createProgressEvent(type, data = {}) {
+    return { type, ...data, timestamp: new Date().toISOString() };
+}
+
+/**
+ * 在emitter上触发'progress'事件，并调用本次处理的onProgress回调
+ * 回调抛出的错误只记录，不影响处理流程
+ * @param {EventEmitter} emitter - 触发事件的实例
+ * @param {String} type - 事件类型
+ * @param {Object} data - 事件数据
+ * @param {Function} onProgress - 回调（可选）
+ * @returns {Object} 事件对象
+ */
+function emitProgress(emitter, type, data, onProgress) {
+    const event = createProgressEvent(type, data);
+    
+    try {
+        emitter.emit('progress', event);
+        if (onProgress) {
+            onProgress(event);
+        }
+    } catch (error) {
+        (emitter.logger || console).warn(`进度回调出错: ${error.message}`);
+    }
+    
+    return event;
+}
+
+/**
+ * 命令行进度条：解压和上传阶段分别显示完成的文件数和字节数
+ */
+class ProgressBar {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {Stream} options.stream - 输出流（默认stderr）
+     * @param {Number} options.width - 进度条宽度（字符）
+     * @param {Function} options.formatSize - 字节数格式化函数
+     */
+    constructor(options = {}) {
+        this.stream = options.stream || process.stderr;
+        this.width = options.width || 30;
+        this.formatSize = options.formatSize || (bytes => `${bytes} B`);
+        this.phase = null;
+        this.completed = 0;
+        this.total = 0;
+        this.bytes = 0;
+        this.failed = 0;
+        this.retries = 0;
+        this.batch = null;
+        this.rendered = false;
+    }
+
+    /**
+     * 根据进度事件更新进度条
+     * @param {Object} event - 进度事件
+     */
+    update(event) {
+        switch (event.type) {
+            case PROGRESS_EVENTS.EXTRACTION_STARTED:
+                this.start('解压', event.total);
+                break;
+            case PROGRESS_EVENTS.ENTRY_EXTRACTED:
+                this.completed = event.completed;
+                this.bytes = event.bytes;
+                break;
+            case PROGRESS_EVENTS.UPLOAD_STARTED:
+                this.start('上传', event.total);
+                break;
+            case PROGRESS_EVENTS.BATCH_STARTED:
+                this.batch = `${event.batch}/${event.batches}`;
+                break;
+            case PROGRESS_EVENTS.FILE_UPLOADED:
+            case PROGRESS_EVENTS.FILE_FAILED:
+                this.completed = event.completed;
+                this.bytes = event.bytes;
+                this.failed += event.type === PROGRESS_EVENTS.FILE_FAILED ? 1 : 0;
+                break;
+            case PROGRESS_EVENTS.FILE_RETRIED:
+                this.retries++;
+                break;
+            case PROGRESS_EVENTS.WORKFLOW_COMPLETED:
+            case PROGRESS_EVENTS.WORKFLOW_FAILED:
+                this.finish();
+                return;
+            default:
+                return;
+        }
+        
+        this.render();
+    }
+
+    /**
+     * 开始新的阶段（上一阶段的进度条保留在上一行）
+     * @param {String} phase - 阶段名称
+     * @param {Number} total - 文件总数
+     */
+    start(phase, total) {
+        this.finish();
+        this.phase = phase;
+        this.total = total;
+        this.completed = 0;
+        this.bytes = 0;
+        this.failed = 0;
+        this.retries = 0;
+        this.batch = null;
+    }
+
+    /**
+     * 输出当前进度（覆盖同一行）
+     */
+    render() {
+        const ratio = this.total > 0 ? Math.min(this.completed / this.total, 1) : 1;
+        const filled = Math.round(ratio * this.width);
+        const details = [
+            `${this.completed}/${this.total}`,
+            `${Math.floor(ratio * 100)}%`,
+            this.formatSize(this.bytes),
+            this.batch ? `批次 ${this.batch}` : null,
+            this.failed > 0 ? `失败 ${this.failed}` : null,
+            this.retries > 0 ? `重试 ${this.retries}` : null
+        ].filter(Boolean).join(' · ');
+        
+        this.stream.write(`\r\x1b[2K${this.phase} [${'█'.repeat(filled)}${'░'.repeat(this.width - filled)}] ${details}`);
+        this.rendered = true;
+    }
+
+    /**
+     * 结束当前进度条并换行
+     */
+    finish() {
+        if (this.rendered) {
+            this.stream.write('\n');
+            this.rendered = false;
+        }
+    }
+}
+
+module.exports = {
+    PROGRESS_EVENTS,
+    createProgressEvent,
+    emitProgress,
+    ProgressBar
+};
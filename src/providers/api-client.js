@@ -0,0 +1,217 @@
+/**
+ * 代码托管平台API客户端
+ * 
+ * 各平台共用的HTTP层：请求经由调度器限制并发和间隔、按速率限制响应头暂停，
+ * 通过自定义CA证书和代理发送；非2xx响应转换为带status的错误，
+ * 可重试的错误（网络错误、5xx、429和速率限制）按指数退避重试。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { Logger } = require('../logger');
+const { WorkflowMetrics } = require('../metrics');
+const { createDispatcher, streamingFetch } = require('../http-agent');
+const RequestScheduler = require('../request-scheduler');
+
+/**
+ * 代码托管平台API客户端
+ */
+class ApiClient {
+    /**
+     * @param {Object} config - 配置
+     * @param {String} config.name - 日志、错误信息和指标中显示的平台名称
+     * @param {Number} config.maxRetries - 最大尝试次数
+     * @param {Number} config.retryDelay - 首次重试的等待时间（毫秒，之后指数增长）
+     * @param {Number} config.rateLimitDelay - 请求之间的最小间隔（毫秒）
+     * @param {Number} config.maxConcurrency - 最大并发请求数
+     * @param {String} config.caBundle - 自定义CA证书（PEM内容或文件路径）
+     * @param {String} config.proxy - HTTP(S)代理地址
+     * @param {String} config.noProxy - 不经过代理的主机（NO_PROXY格式）
+     * @param {Logger} config.logger - 日志记录器
+     * @param {WorkflowMetrics} config.metrics - 指标
+     */
+    constructor(config = {}) {
+        this.name = config.name || 'Git';
+        this.logger = config.logger || new Logger();
+        this.metrics = config.metrics || new WorkflowMetrics();
+        this.maxRetries = config.maxRetries || 3;
+        this.retryDelay = config.retryDelay || 1000;
+        
+        this.scheduler = new RequestScheduler({
+            concurrency: config.maxConcurrency,
+            minInterval: config.rateLimitDelay || 100,
+            logger: this.logger,
+            metrics: this.metrics
+        });
+        
+        // 自建实例的内部CA证书和代理，API和LFS请求共用
+        this.dispatcher = createDispatcher({
+            caBundle: config.caBundle,
+            proxy: config.proxy,
+            noProxy: config.noProxy
+        });
+    }
+
+    /**
+     * 发送API请求（JSON或multipart表单），非2xx响应抛出带status的错误
+     * 请求经由调度器排队，速率限制导致的错误带有rateLimited标记
+     * @param {String} method - HTTP方法
+     * @param {String} url - 完整请求地址
+     * @param {Object|FormData} data - 请求数据
+     * @param {Object} headers - 请求头（认证等）
+     * @returns {Promise<Object>} 响应数据（无响应体时为空对象）
+     */
+    async request(method, url, data = null, headers = {}) {
+        const options = {
+            method: method,
+            headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'User-Agent': 'n8n-github-agent/1.0.0',
+                ...headers
+            },
+            dispatcher: this.dispatcher
+        };
+        let send = fetch;
+        
+        if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH' || method === 'DELETE')) {
+            if (data instanceof FormData) {
+                // multipart请求由fetch生成带boundary的Content-Type
+                delete options.headers['Content-Type'];
+                options.body = data;
+            } else if (typeof data[Symbol.asyncIterator] === 'function') {
+                // 流式请求体（如streamCommitBody生成的提交），边读取边发送
+                options.body = data;
+                send = streamingFetch;
+            } else {
+                options.body = JSON.stringify(data);
+            }
+        }
+        
+        return await this.scheduler.schedule(async () => {
+            const response = await send(url, options).catch(error => {
+                this.metrics.recordApiRequest(this.name, method, url, 'error');
+                
+                // 证书、代理等网络层错误的具体原因在cause中
+                throw new Error(
+                    `${this.name} 请求失败: ${error.cause ? error.cause.message : error.message}`,
+                    { cause: error }
+                );
+            });
+            this.metrics.recordApiRequest(this.name, method, url, response.status);
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                const message = this.extractErrorMessage(errorData);
+                const error = new Error(
+                    message || `${this.name} API调用失败: ${response.status} ${response.statusText}`
+                );
+                error.status = response.status;
+                error.response = errorData;
+                error.rateLimited = this.scheduler.observe(response.status, response.headers, message || '');
+                throw error;
+            }
+            
+            this.scheduler.observe(response.status, response.headers);
+            
+            const text = await response.text();
+            return text ? JSON.parse(text) : {};
+        });
+    }
+
+    /**
+     * 带重试机制（指数退避）执行操作，只重试可重试的错误
+     * 速率限制期间调度器已暂停请求，重试的请求会排队到恢复之后
+     * @param {String} label - 日志中显示的操作标识（文件操作为文件路径）
+     * @param {Function} operation - 返回Promise的操作
+     * @param {Object} options - 可选配置
+     * @param {Function} options.isRetryable - 判断错误是否可以重试（默认isRetryableError）
+     * @param {Function} options.onRetry - 每次重试前调用，参数为{ path, attempt, maxRetries, delay, error }
+     * @returns {Promise<*>} 操作结果
+     */
+    async executeWithRetry(label, operation, options = {}) {
+        const isRetryable = options.isRetryable || (error => this.isRetryableError(error));
+        let lastError;
+        
+        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+            try {
+                return await operation();
+            } catch (error) {
+                lastError = error;
+                
+                if (!isRetryable(error)) {
+                    throw error;
+                }
+                
+                if (attempt < this.maxRetries) {
+                    const delay = this.retryDelay * Math.pow(2, attempt - 1); // 指数退避
+                    this.logger.warn(`重试 ${attempt}/${this.maxRetries} - ${label} (${delay}ms后重试)`);
+                    this.metrics.recordRetry(this.name);
+                    
+                    if (options.onRetry) {
+                        options.onRetry({
+                            path: label,
+                            attempt: attempt,
+                            maxRetries: this.maxRetries,
+                            delay: delay,
+                            error: error.message
+                        });
+                    }
+                    await this.delay(delay);
+                } else {
+                    this.logger.error(`🚫 放弃重试 - ${label}: ${error.message}`);
+                }
+            }
+        }
+        
+        throw lastError;
+    }
+
+    /**
+     * 判断错误是否可以重试：网络错误、5xx、429和速率限制
+     * 认证失败、权限不足、参数错误等重试也不会成功
+     * @param {Error} error - 错误
+     * @returns {Boolean} 是否可以重试
+     */
+    isRetryableError(error) {
+        if (error.rateLimited) {
+            return true;
+        }
+        
+        if (!error.status) {
+            // 只有带cause的fetch错误是网络层错误
+            return Boolean(error.cause);
+        }
+        
+        return error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * 从错误响应中提取错误信息（各平台格式不同）
+     * @param {Object} errorData - 错误响应
+     * @returns {String|null} 错误信息
+     */
+    extractErrorMessage(errorData) {
+        const message = errorData.message ||
+            (errorData.error && errorData.error.message) ||
+            errorData.error;
+        
+        if (!message) {
+            return null;
+        }
+        
+        return typeof message === 'string' ? message : JSON.stringify(message);
+    }
+
+    /**
+     * 延迟函数
+     * @param {Number} ms - 延迟毫秒数
+     * @returns {Promise<void>}
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+module.exports = ApiClient;
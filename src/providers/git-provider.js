@@ -0,0 +1,1624 @@
+/**
+ * 代码托管平台基类
+ * 
+ * 实现与平台无关的上传流程：忽略规则、Git LFS、跳过未变更文件、
+ * 同步删除、README生成和拉取请求描述。仓库创建、文件树读取、
+ * 提交和拉取请求等API调用由各平台的子类实现。
+ * HTTP请求和重试见api-client.js，上传计划（过滤、批次、同步删除范围）见upload-plan.js。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const EventEmitter = require('events');
+const { calculateBlobSha } = require('../git-utils');
+const { WorkflowError, JobCancelledError } = require('../errors');
+const { PROGRESS_EVENTS, emitProgress } = require('../progress');
+const { Logger } = require('../logger');
+const { WorkflowMetrics } = require('../metrics');
+const { createContentStream, withFileContent } = require('../content-store');
+const { IgnoreMatcher } = require('../ignore-rules');
+const ApiClient = require('./api-client');
+const {
+    getBlobSha,
+    partitionIgnoredFiles,
+    filterAndSortFiles,
+    createBatches,
+    findOrphanedEntries,
+    classifyChanges,
+    planFileActions
+} = require('./upload-plan');
+const {
+    LfsClient,
+    calculateLfsOid,
+    createLfsPointer,
+    createLfsAttribute,
+    escapeAttributePath
+} = require('../lfs-client');
+
+/**
+ * 支持的目标仓库模式
+ */
+const TARGET_MODES = ['create', 'existing', 'create-or-update'];
+
+/**
+ * 启用LFS时默认的大小阈值（GitHub对超过50MB的文件发出警告）
+ */
+const DEFAULT_LFS_THRESHOLD = 50 * 1024 * 1024;
+
+/**
+ * 代码托管平台基类（通过'progress'事件报告上传进度）
+ */
+class GitProvider extends EventEmitter {
+    /**
+     * @param {Object} config - 配置
+     * @param {String} config.token - 访问令牌
+     * @param {String} config.owner - 仓库所有者（用户、组织或组）
+     * @param {String} config.caBundle - 自定义CA证书（PEM内容或文件路径）
+     * @param {String} config.proxy - HTTP(S)代理地址
+     * @param {String} config.noProxy - 不经过代理的主机（NO_PROXY格式）
+     * @param {Number} config.maxConcurrency - 最大并发API请求数
+     * @param {Logger} config.logger - 日志记录器（WorkflowController传入共用的实例）
+     * @param {WorkflowMetrics} config.metrics - 指标（WorkflowController传入共用的实例）
+     */
+    constructor(config = {}) {
+        super();
+        this.token = config.token;
+        this.logger = config.logger || new Logger();
+        this.metrics = config.metrics || new WorkflowMetrics();
+        this.owner = config.owner;
+        this.batchSize = config.batchSize || 10;
+        this.rateLimitDelay = config.rateLimitDelay || 100;
+        
+        // API请求经由调度器限制并发和间隔、按响应头暂停，并按指数退避重试
+        this.api = new ApiClient({
+            maxRetries: config.maxRetries,
+            retryDelay: config.retryDelay,
+            rateLimitDelay: this.rateLimitDelay,
+            maxConcurrency: config.maxConcurrency,
+            caBundle: config.caBundle,
+            proxy: config.proxy,
+            noProxy: config.noProxy,
+            logger: this.logger,
+            metrics: this.metrics
+        });
+        
+        // 自建实例的内部CA证书和代理，API和LFS请求共用
+        this.dispatcher = this.api.dispatcher;
+        
+        // 日志和错误信息中显示的平台名称
+        this.displayName = 'Git';
+        
+        // LFS服务的Basic认证用户名（令牌作为密码）
+        this.lfsUsername = 'x-access-token';
+    }
+
+    /**
+     * 日志和错误信息中显示的平台名称（子类在构造函数中设置，API客户端的错误信息和指标使用同一名称）
+     * @returns {String} 平台名称
+     */
+    get displayName() {
+        return this.api.name;
+    }
+    
+    set displayName(name) {
+        this.api.name = name;
+    }
+
+    /**
+     * 获取仓库信息（子类实现）
+     * 返回的对象至少包含 html_url 和 default_branch
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {Promise<Object|null>} 仓库信息，不存在时返回null
+     */
+    async getRepository(owner, repoName) {
+        throw this.notImplemented('getRepository');
+    }
+
+    /**
+     * 创建仓库（子类实现）
+     * options.organization存在时在该组织（或组）下创建
+     * @param {String} repoName - 仓库名称
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 仓库信息
+     */
+    async createRepository(repoName, options = {}) {
+        throw this.notImplemented('createRepository');
+    }
+
+    /**
+     * 为新建仓库应用创建后才能设置的选项（团队权限、主题、默认分支等）
+     * 默认不做任何处理，由支持这些设置的平台覆盖
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} repository - 仓库信息
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 更新后的仓库信息和设置失败的列表
+     */
+    async applyRepositorySettings(owner, repoName, repository, options = {}) {
+        return { repository, errors: [] };
+    }
+
+    /**
+     * 获取分支的完整文件树（子类实现）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {String} branch - 分支名称
+     * @returns {Promise<Array>} 文件条目列表（path、sha），空仓库返回空数组
+     */
+    async getRepositoryTree(owner, repoName, branch) {
+        throw this.notImplemented('getRepositoryTree');
+    }
+
+    /**
+     * 基于已有分支创建新分支（子类实现）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {String} branch - 新分支名称
+     * @param {String} baseBranch - 基础分支名称
+     * @returns {Promise<Object>} 创建结果
+     */
+    async createBranch(owner, repoName, branch, baseBranch) {
+        throw this.notImplemented('createBranch');
+    }
+
+    /**
+     * 以单独的提交上传一个文件（子类实现）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} file - 文件对象
+     * @param {Object} options - 可选配置（branch、commitMessage、remoteShas、checkExisting）
+     * @returns {Promise<Object>} 上传结果
+     */
+    async uploadSingleFile(owner, repoName, file, options = {}) {
+        throw this.notImplemented('uploadSingleFile');
+    }
+
+    /**
+     * 以单独的提交删除一个文件（子类实现）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} entry - 文件树条目（path、sha）
+     * @param {Object} options - 可选配置（branch、message）
+     * @returns {Promise<Object>} 删除结果
+     */
+    async deleteFile(owner, repoName, entry, options = {}) {
+        throw this.notImplemented('deleteFile');
+    }
+
+    /**
+     * 将文件变更作为一次提交推送（子类实现）
+     * 任一文件失败时不应产生提交；可在错误的fileErrors中附带每个文件的失败原因
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} changes - 变更（branch、message、files、deletions、remoteShas、onProgress）
+     * @returns {Promise<Object>} 提交信息（sha、url）
+     */
+    async commitFiles(owner, repoName, changes) {
+        throw this.notImplemented('commitFiles');
+    }
+
+    /**
+     * 创建拉取请求（子类实现）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} request - 请求内容（title、body、head、base）
+     * @returns {Promise<Object>} 拉取请求编号和URL
+     */
+    async createPullRequest(owner, repoName, request) {
+        throw this.notImplemented('createPullRequest');
+    }
+
+    /**
+     * 获取仓库的Git LFS服务地址（子类实现）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {String} LFS服务地址
+     */
+    getLfsEndpoint(owner, repoName) {
+        throw this.notImplemented('getLfsEndpoint');
+    }
+
+    /**
+     * 验证访问令牌并返回当前用户（子类实现）
+     * @returns {Promise<Object>} 当前用户信息
+     */
+    async verifyConnection() {
+        throw this.notImplemented('verifyConnection');
+    }
+
+    /**
+     * 生成未实现接口的错误
+     * @param {String} method - 方法名
+     * @returns {Error} 错误对象
+     */
+    notImplemented(method) {
+        return new Error(`${this.displayName} 未实现 ${method}`);
+    }
+
+    /**
+     * 主要处理方法：创建仓库并上传文件
+     * @param {String} folderName - 文件夹名称
+     * @param {Array} extractedFiles - 提取的文件列表
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 处理结果
+     */
+    async createRepositoryAndUploadFiles(folderName, extractedFiles, options = {}) {
+        const startTime = Date.now();
+        
+        try {
+            this.logger.info(`🚀 开始为文件夹 "${folderName}" 创建${this.displayName}仓库并上传文件...`);
+            this.logger.info(`📊 待处理文件数量: ${extractedFiles.length}`);
+            
+            // 验证输入参数
+            this.validateInput(folderName, extractedFiles);
+            this.checkCancelled(options);
+            
+            // 组织目标下仓库归属于组织而不是令牌所属用户
+            const owner = this.resolveOwner(options);
+            
+            // 步骤1: 准备目标仓库（创建新仓库或使用现有仓库）
+            const target = await this.resolveTargetRepository(folderName, options);
+            const created = target.created;
+            let repoData = target.repository;
+            let settingsErrors = [];
+            
+            if (created) {
+                this.logger.info(`✅ 成功创建仓库: ${repoData.html_url}`);
+                this.reportProgress(PROGRESS_EVENTS.REPOSITORY_CREATED, {
+                    owner: owner,
+                    repository: folderName,
+                    url: repoData.html_url
+                }, options);
+                
+                // 等待仓库初始化完成
+                await this.waitForRepositoryReady(owner, folderName);
+                
+                // 团队权限、主题和默认分支只在新建仓库时设置，失败不影响上传
+                const settings = await this.applyRepositorySettings(owner, folderName, repoData, options);
+                repoData = settings.repository;
+                settingsErrors = settings.errors;
+            }
+            
+            // 现有仓库默认推送到其默认分支
+            const baseBranch = options.branch || repoData.default_branch || 'main';
+            let branch = baseBranch;
+            let baseEntries = null;
+            
+            // 审阅模式：推送到新分支，稍后创建拉取请求（续传时分支已存在）
+            if (options.pullRequest) {
+                baseEntries = await this.getRepositoryTree(owner, folderName, baseBranch);
+                branch = options.headBranch || this.generateUploadBranchName(folderName);
+                
+                if (!options.resumeBranch) {
+                    await this.createBranch(owner, folderName, branch, baseBranch);
+                }
+            }
+            
+            // 记录目标仓库和分支，供中断后续传
+            if (options.onRepositoryReady) {
+                await options.onRepositoryReady({ owner, repository: repoData, created, branch, baseBranch });
+            }
+            
+            // README只统计实际会推送的文件
+            const readmeFiles = partitionIgnoredFiles(extractedFiles, options).kept;
+            
+            // 原子提交模式下README与其他文件一起提交
+            const atomic = options.commitMode === 'atomic';
+            const createReadme = this.shouldCreateReadme(created, options);
+            const uploadOptions = { ...options, branch };
+            if (atomic && createReadme) {
+                uploadOptions.extraFiles = [this.buildReadmeFile(folderName, readmeFiles)];
+            }
+            
+            // 步骤2: 批量上传文件
+            const uploadResults = await this.uploadFilesToRepository(
+                owner, 
+                folderName, 
+                extractedFiles,
+                uploadOptions
+            );
+            
+            // 步骤3: 创建README文件
+            if (!atomic && createReadme) {
+                await this.createReadmeFile(owner, folderName, readmeFiles, { branch });
+            }
+            
+            // 步骤4: 创建拉取请求（续传时上次创建的拉取请求会随分支自动更新）
+            let pullRequest = null;
+            if (options.pullRequest && options.existingPullRequest) {
+                pullRequest = options.existingPullRequest;
+                this.logger.info(`♻️  沿用已创建的拉取请求: ${pullRequest.url}`);
+            } else if (options.pullRequest) {
+                pullRequest = await this.openUploadPullRequest(
+                    owner,
+                    folderName,
+                    { head: branch, base: baseBranch },
+                    uploadResults,
+                    baseEntries,
+                    options
+                );
+            }
+            
+            // 计算处理时间
+            const processingTime = Date.now() - startTime;
+            
+            const result = {
+                success: true,
+                repository: repoData,
+                repositoryCreated: created,
+                settingsErrors: settingsErrors,
+                branch: branch,
+                pullRequest: pullRequest,
+                uploadResults: uploadResults,
+                processingTime: processingTime,
+                message: created
+                    ? `成功创建仓库 ${folderName} 并上传 ${uploadResults.successCount} 个文件`
+                    : `成功向现有仓库 ${folderName} 上传 ${uploadResults.successCount} 个文件`,
+                timestamp: new Date().toISOString()
+            };
+            
+            this.logger.info(`🎉 处理完成! 耗时: ${processingTime}ms`);
+            return result;
+        
+        } catch (error) {
+            this.logger.error(`处理失败: ${error.message}`);
+            
+            return {
+                success: false,
+                error: error.message,
+                code: error.code,
+                folderName: folderName,
+                fileCount: extractedFiles.length,
+                processingTime: Date.now() - startTime,
+                timestamp: new Date().toISOString()
+            };
+        }
+    }
+
+    /**
+     * 生成上传计划（演练模式），只调用只读API，不修改仓库
+     * 与createRepositoryAndUploadFiles使用相同的规则判断每个文件的操作：
+     * create（新建）、update（更新）、skip（跳过）、ignore（忽略）、delete（同步删除）
+     * @param {String} folderName - 仓库名称
+     * @param {Array} extractedFiles - 文件列表
+     * @param {Object} options - 与createRepositoryAndUploadFiles相同的配置
+     * @returns {Promise<Object>} 上传计划
+     */
+    async planRepositoryUpload(folderName, extractedFiles, options = {}) {
+        this.validateInput(folderName, extractedFiles);
+        
+        const targetMode = options.targetMode || 'create';
+        
+        if (!TARGET_MODES.includes(targetMode)) {
+            throw new Error(`无效的目标模式: ${targetMode}`);
+        }
+        
+        const owner = this.resolveOwner(options);
+        const existing = await this.getRepository(owner, folderName);
+        const warnings = [];
+        
+        // 目标模式与仓库现状冲突时实际运行会失败
+        let repositoryAction = existing ? 'update' : 'create';
+        if (existing && targetMode === 'create') {
+            repositoryAction = 'conflict';
+            warnings.push(`仓库已存在，create模式下将失败: ${owner}/${folderName}`);
+        } else if (!existing && targetMode === 'existing') {
+            repositoryAction = 'missing';
+            warnings.push(`仓库不存在，existing模式下将失败: ${owner}/${folderName}`);
+        } else if (existing && options.requirePrivate && !existing.private) {
+            repositoryAction = 'conflict';
+            warnings.push(`仓库是公开仓库，检测到敏感信息时将终止推送: ${owner}/${folderName}`);
+        }
+        
+        // 新建仓库时默认分支为初始分支或重命名后的defaultBranch
+        const baseBranch = options.branch ||
+            (existing ? existing.default_branch : options.defaultBranch) ||
+            'main';
+        const branch = options.pullRequest
+            ? options.headBranch || this.generateUploadBranchName(folderName)
+            : baseBranch;
+        
+        const skipUnchanged = options.skipUnchanged !== false;
+        const repoEntries = existing && (skipUnchanged || options.sync)
+            ? await this.getRepositoryTree(owner, folderName, baseBranch)
+            : [];
+        const remoteShas = new Map(repoEntries.map(entry => [entry.path, entry.sha]));
+        
+        const { kept, ignored, matcher } = partitionIgnoredFiles(extractedFiles, options);
+        const uploadable = this.convertLfsFiles(kept, options);
+        const filteredFiles = filterAndSortFiles(uploadable.slice(), options);
+        
+        const readmeFile = this.shouldCreateReadme(!existing, options) ? this.buildReadmeFile(folderName, kept) : null;
+        const atomic = options.commitMode === 'atomic';
+        
+        const orphanedEntries = options.sync
+            ? findOrphanedEntries(repoEntries, uploadable.concat(atomic && readmeFile ? [readmeFile] : []), options, matcher)
+            : [];
+        
+        if (orphanedEntries.length > 0) {
+            this.logger.info(`🧹 同步模式: ${orphanedEntries.length} 个文件将从仓库中删除`);
+        }
+        
+        const { files, counts } = planFileActions({
+            ignored: ignored,
+            uploadable: uploadable,
+            filteredFiles: filteredFiles,
+            orphanedEntries: orphanedEntries,
+            remoteShas: remoteShas,
+            skipUnchanged: skipUnchanged
+        });
+        
+        return {
+            provider: this.displayName,
+            owner: owner,
+            repository: {
+                name: folderName,
+                fullName: `${owner}/${folderName}`,
+                exists: Boolean(existing),
+                url: existing ? existing.html_url : null,
+                action: repositoryAction,
+                private: existing ? Boolean(existing.private) : Boolean(options.private)
+            },
+            targetMode: targetMode,
+            commitMode: atomic ? 'atomic' : 'per-file',
+            branch: branch,
+            baseBranch: baseBranch,
+            pullRequest: Boolean(options.pullRequest),
+            files: files,
+            counts: counts,
+            readme: readmeFile ? {
+                path: readmeFile.path,
+                action: remoteShas.has(readmeFile.path) ? 'update' : 'create',
+                content: Buffer.from(readmeFile.content, 'base64').toString('utf8')
+            } : null,
+            warnings: warnings
+        };
+    }
+
+    /**
+     * 验证输入参数
+     * @param {String} folderName - 文件夹名称
+     * @param {Array} extractedFiles - 文件列表
+     */
+    validateInput(folderName, extractedFiles) {
+        if (!folderName || typeof folderName !== 'string') {
+            throw new Error('文件夹名称不能为空');
+        }
+        
+        if (!Array.isArray(extractedFiles) || extractedFiles.length === 0) {
+            throw new Error('文件列表不能为空');
+        }
+        
+        // 验证仓库名称规则（各平台通用的安全字符集）
+        if (!/^[a-zA-Z0-9._-]+$/.test(folderName)) {
+            throw new Error('仓库名称包含无效字符');
+        }
+        
+        if (folderName.length > 100) {
+            throw new Error('仓库名称过长（最大100字符）');
+        }
+    }
+
+    /**
+     * 根据目标模式准备仓库
+     * - create: 总是创建新仓库（仓库已存在时失败）
+     * - existing: 只使用现有仓库（仓库不存在时失败）
+     * - create-or-update: 仓库存在则使用，否则创建
+     * @param {String} repoName - 仓库名称
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 仓库信息及是否新建
+     */
+    async resolveTargetRepository(repoName, options = {}) {
+        const targetMode = options.targetMode || 'create';
+        
+        if (!TARGET_MODES.includes(targetMode)) {
+            throw new Error(`无效的目标模式: ${targetMode}`);
+        }
+        
+        const owner = this.resolveOwner(options);
+        
+        if (targetMode !== 'create') {
+            const existing = await this.getRepository(owner, repoName);
+            
+            if (existing) {
+                this.logger.info(`♻️  使用现有仓库: ${existing.html_url}`);
+                this.assertPrivateTarget(owner, existing, options);
+                return { repository: existing, created: false };
+            }
+            
+            if (targetMode === 'existing') {
+                throw new Error(`仓库不存在: ${owner}/${repoName}`);
+            }
+        }
+        
+        const repository = await this.createRepository(repoName, options);
+        return { repository, created: true };
+    }
+
+    /**
+     * 检测到敏感信息（secretPolicy: private）时只允许推送到私有仓库
+     * 新建的仓库会强制私有，现有的公开仓库则在上传前终止
+     * @param {String} owner - 仓库所有者
+     * @param {Object} repository - 现有仓库信息
+     * @param {Object} options - 可选配置（requirePrivate）
+     */
+    assertPrivateTarget(owner, repository, options = {}) {
+        if (options.requirePrivate && !repository.private) {
+            throw new WorkflowError(
+                `检测到敏感信息，不能推送到公开仓库: ${owner}/${repository.name || repository.html_url}（请将仓库设为私有或移除敏感文件）`,
+                'PUBLIC_REPOSITORY',
+                { owner, repository: repository.html_url }
+            );
+        }
+    }
+
+    /**
+     * 获取访问所有者仓库使用的令牌（默认为配置的访问令牌）
+     * @param {String} owner - 仓库所有者
+     * @returns {Promise<String>} 访问令牌
+     */
+    async getAccessToken(owner) {
+        return this.token;
+    }
+
+    /**
+     * 获取目标仓库的所有者（组织目标优先于配置的所有者）
+     * @param {Object} options - 可选配置
+     * @returns {String} 仓库所有者
+     */
+    resolveOwner(options = {}) {
+        return options.organization || this.owner;
+    }
+
+    /**
+     * 报告进度事件（触发'progress'事件并调用本次处理的onProgress回调）
+     * @param {String} type - 事件类型
+     * @param {Object} data - 事件数据
+     * @param {Object} options - 可选配置（onProgress）
+     */
+    reportProgress(type, data, options = {}) {
+        emitProgress(this, type, data, options.onProgress);
+    }
+
+    /**
+     * 任务被取消时终止上传（在批次之间检查，进行中的批次会完成）
+     * @param {Object} options - 可选配置（signal: AbortSignal）
+     */
+    checkCancelled(options = {}) {
+        if (options.signal && options.signal.aborted) {
+            throw new JobCancelledError();
+        }
+    }
+
+    /**
+     * 等待仓库准备就绪
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {Promise<void>}
+     */
+    async waitForRepositoryReady(owner, repoName, maxWaitTime = 30000) {
+        this.logger.info(`⏳ 等待仓库初始化完成...`);
+        
+        const startTime = Date.now();
+        
+        while (Date.now() - startTime < maxWaitTime) {
+            if (await this.getRepository(owner, repoName)) {
+                this.logger.info(`✅ 仓库已准备就绪`);
+                return;
+            }
+            
+            // 仓库还未完全创建，继续等待
+            await this.delay(1000);
+        }
+        
+        throw new Error('等待仓库初始化超时');
+    }
+
+    /**
+     * 批量上传文件到仓库
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Array} files - 文件列表
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 上传结果
+     */
+    async uploadFilesToRepository(owner, repoName, files, options = {}) {
+        this.logger.info(`📤 开始批量上传 ${files.length} 个文件...`);
+        
+        const results = {
+            successCount: 0,
+            failedCount: 0,
+            skippedCount: 0,
+            deletedCount: 0,
+            details: [],
+            totalSize: 0
+        };
+        
+        // 一次性获取仓库当前文件树，用于跳过未变更文件和同步删除
+        const skipUnchanged = options.skipUnchanged !== false;
+        const repoEntries = skipUnchanged || options.sync
+            ? await this.getRepositoryTree(owner, repoName, options.branch || 'main')
+            : [];
+        const remoteShas = new Map(repoEntries.map(entry => [entry.path, entry.sha]));
+        
+        // 排除.gitignore、内置和自定义忽略规则匹配的文件
+        const { kept, ignored, matcher } = partitionIgnoredFiles(files, options);
+        ignored.forEach(({ file, rule }) => {
+            results.skippedCount++;
+            results.details.push({
+                path: file.path,
+                status: 'skipped',
+                reason: 'ignored',
+                rule: rule,
+                size: file.size
+            });
+        });
+        
+        if (ignored.length > 0) {
+            this.logger.info(`🙈 忽略 ${ignored.length} 个匹配忽略规则的文件`);
+        }
+        
+        // 大文件和匹配LFS规则的文件替换为指针文件
+        const uploadable = this.convertLfsFiles(kept, options);
+        
+        // 同步模式：找出仓库中已不在ZIP里的文件（匹配忽略规则的文件保留在仓库中）
+        const orphanedEntries = options.sync
+            ? findOrphanedEntries(repoEntries, uploadable.concat(options.extraFiles || []), options, matcher)
+            : [];
+        
+        if (orphanedEntries.length > 0) {
+            this.logger.info(`🧹 同步模式: ${orphanedEntries.length} 个文件将从仓库中删除`);
+        }
+        
+        // 过滤和排序文件
+        let filteredFiles = filterAndSortFiles(uploadable, options);
+        
+        // 跳过内容与仓库中完全相同的文件
+        if (skipUnchanged) {
+            filteredFiles = this.skipUnchangedFiles(filteredFiles, remoteShas, results);
+        }
+        
+        // 续传：跳过上次运行中已完成的文件
+        if (options.completedPaths) {
+            filteredFiles = this.skipCompletedFiles(filteredFiles, options.completedPaths, results);
+        }
+        
+        // 先上传LFS对象，对象上传失败的指针文件不会被提交
+        const lfsUpload = await this.uploadLfsObjects(owner, repoName, filteredFiles, results);
+        filteredFiles = lfsUpload.files;
+        
+        // 本次需要提交的文件，file:uploaded/file:failed事件中的completed、bytes基于此计数
+        const progress = {
+            total: filteredFiles.length,
+            totalBytes: filteredFiles.reduce((sum, file) => sum + (file.size || 0), 0),
+            completed: 0,
+            bytes: 0
+        };
+        this.reportProgress(PROGRESS_EVENTS.UPLOAD_STARTED, {
+            repository: repoName,
+            total: progress.total,
+            totalBytes: progress.totalBytes,
+            skipped: results.skippedCount
+        }, options);
+        
+        // 原子提交模式：所有文件作为一次提交推送
+        if (options.commitMode === 'atomic') {
+            if (lfsUpload.failedCount > 0) {
+                const abortMessage = `原子提交已中止: ${lfsUpload.failedCount} 个LFS对象上传失败`;
+                this.recordAtomicFailure(results, filteredFiles, abortMessage);
+                this.logger.error(`🚫 ${abortMessage}`);
+                this.logUploadSummary(results, options);
+                return results;
+            }
+            
+            // 自动生成的README与仓库中的内容相同时不再提交
+            const extraFiles = (options.extraFiles || []).filter(file =>
+                !skipUnchanged || remoteShas.get(file.path) !== getBlobSha(file)
+            );
+            
+            this.checkCancelled(options);
+            await this.uploadFilesAsSingleCommit(owner, repoName, filteredFiles, results, {
+                ...options,
+                extraFiles: extraFiles,
+                progress: progress,
+                deletions: orphanedEntries,
+                remoteShas: skipUnchanged || options.sync ? remoteShas : undefined
+            });
+            await this.saveCheckpoint(results, options);
+            this.logUploadSummary(results, options);
+            return results;
+        }
+        
+        // 分批处理文件（已知远程sha时无需逐个查询）
+        const batches = createBatches(filteredFiles, this.batchSize);
+        const batchOptions = skipUnchanged || options.sync ? { ...options, remoteShas, progress } : { ...options, progress };
+        
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            this.checkCancelled(options);
+            this.logger.info(`📦 处理批次 ${i + 1}/${batches.length} (${batch.length} 个文件)`);
+            this.reportProgress(PROGRESS_EVENTS.BATCH_STARTED, {
+                batch: i + 1,
+                batches: batches.length,
+                files: batch.length
+            }, options);
+            
+            await this.processBatch(owner, repoName, batch, results, batchOptions);
+            await this.saveCheckpoint(results, options);
+            
+            // 批次间延迟，避免API速率限制
+            if (i < batches.length - 1) {
+                await this.delay(this.rateLimitDelay);
+            }
+        }
+        
+        // 同步模式：逐个删除孤立文件（有文件上传失败时不删除，避免仓库中只剩删除而缺少替代的文件）
+        if (orphanedEntries.length > 0 && results.failedCount > 0) {
+            this.logger.warn(`⚠️  ${results.failedCount} 个文件上传失败，跳过同步删除 ${orphanedEntries.length} 个文件`);
+        } else if (orphanedEntries.length > 0) {
+            this.checkCancelled(options);
+            await this.deleteFilesFromRepository(owner, repoName, orphanedEntries, results, options);
+            await this.saveCheckpoint(results, options);
+        }
+        
+        this.logUploadSummary(results, options);
+        return results;
+    }
+
+    /**
+     * 输出上传结果汇总，累计文件数指标并报告upload:completed事件
+     * @param {Object} results - 结果对象
+     * @param {Object} options - 可选配置（onProgress）
+     */
+    logUploadSummary(results, options = {}) {
+        this.logger.info(`📊 上传完成: 成功 ${results.successCount}, 失败 ${results.failedCount}, 跳过 ${results.skippedCount}, 删除 ${results.deletedCount}`);
+        this.metrics.recordFiles('uploaded', results.successCount);
+        this.metrics.recordFiles('failed', results.failedCount);
+        this.metrics.recordFiles('skipped', results.skippedCount);
+        this.metrics.recordFiles('deleted', results.deletedCount);
+        this.reportProgress(PROGRESS_EVENTS.UPLOAD_COMPLETED, {
+            successCount: results.successCount,
+            failedCount: results.failedCount,
+            skippedCount: results.skippedCount,
+            deletedCount: results.deletedCount,
+            bytes: results.totalSize
+        }, options);
+    }
+
+    /**
+     * 记录一个文件的上传结果并报告file:uploaded或file:failed事件
+     * @param {Object} file - 文件对象
+     * @param {String|null} error - 失败原因（成功时为null）
+     * @param {Object} options - 可选配置（progress、onProgress）
+     */
+    reportFileResult(file, error, options = {}) {
+        const progress = options.progress || { total: 0, completed: 0, bytes: 0 };
+        progress.completed++;
+        if (!error) {
+            progress.bytes += file.size || 0;
+        }
+        
+        this.reportProgress(error ? PROGRESS_EVENTS.FILE_FAILED : PROGRESS_EVENTS.FILE_UPLOADED, {
+            path: file.path,
+            size: file.size,
+            error: error || undefined,
+            completed: progress.completed,
+            total: progress.total,
+            bytes: progress.bytes
+        }, options);
+    }
+
+    /**
+     * 生成上传分支名称
+     * @param {String} folderName - 文件夹名称
+     * @returns {String} 形如 upload/<folderName>-<时间戳> 的分支名
+     */
+    generateUploadBranchName(folderName) {
+        const timestamp = new Date().toISOString()
+            .replace(/[-:T]/g, '')
+            .substring(0, 14);
+        
+        return `upload/${folderName}-${timestamp}`;
+    }
+
+    /**
+     * 为上传分支创建拉取请求
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} branches - 分支信息（head、base）
+     * @param {Object} uploadResults - 上传结果
+     * @param {Array} baseEntries - 基础分支上传前的文件树
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object|null>} 拉取请求信息，没有任何变更时返回null
+     */
+    async openUploadPullRequest(owner, repoName, branches, uploadResults, baseEntries, options = {}) {
+        const changes = classifyChanges(uploadResults, baseEntries);
+        
+        if (changes.added.length + changes.changed.length + changes.removed.length === 0) {
+            this.logger.info(`⚠️  没有任何变更，跳过创建拉取请求`);
+            return null;
+        }
+        
+        this.logger.info(`🔀 创建拉取请求: ${branches.head} → ${branches.base}`);
+        
+        const pullRequest = await this.createPullRequest(owner, repoName, {
+            title: options.pullRequestTitle || `Upload ${repoName} from ZIP`,
+            head: branches.head,
+            base: branches.base,
+            body: this.generatePullRequestBody(repoName, changes)
+        });
+        
+        this.logger.info(`✅ 拉取请求已创建: ${pullRequest.url}`);
+        
+        return {
+            number: pullRequest.number,
+            url: pullRequest.url,
+            head: branches.head,
+            base: branches.base,
+            changes: {
+                added: changes.added.length,
+                changed: changes.changed.length,
+                removed: changes.removed.length
+            }
+        };
+    }
+
+    /**
+     * 生成拉取请求描述
+     * @param {String} repoName - 仓库名称
+     * @param {Object} changes - 分类后的文件路径
+     * @returns {String} 拉取请求描述
+     */
+    generatePullRequestBody(repoName, changes) {
+        const maxListed = 100;
+        const renderList = (paths) => {
+            if (paths.length === 0) {
+                return '_无_';
+            }
+            const lines = paths.slice(0, maxListed).map(path => `- \`${path}\``);
+            if (paths.length > maxListed) {
+                lines.push(`- ……以及其他 ${paths.length - maxListed} 个文件`);
+            }
+            return lines.join('\n');
+        };
+        
+        return `## 📦 ${repoName} 上传
+
+> 此拉取请求由n8n自动化工作流根据ZIP文件自动创建
+
+### ➕ 新增文件 (${changes.added.length})
+
+${renderList(changes.added)}
+
+### ✏️ 修改文件 (${changes.changed.length})
+
+${renderList(changes.changed)}
+
+### ➖ 删除文件 (${changes.removed.length})
+
+${renderList(changes.removed)}
+`;
+    }
+
+    /**
+     * 跳过blob SHA与仓库中已有文件一致的文件
+     * @param {Array} files - 文件列表
+     * @param {Map} remoteShas - 仓库中路径到blob SHA的映射
+     * @param {Object} results - 结果对象
+     * @returns {Array} 需要上传的文件
+     */
+    skipUnchangedFiles(files, remoteShas, results) {
+        const pending = [];
+        
+        files.forEach(file => {
+            if (remoteShas.get(file.path) === getBlobSha(file)) {
+                results.skippedCount++;
+                results.details.push({
+                    path: file.path,
+                    status: 'skipped',
+                    reason: 'unchanged',
+                    size: file.size
+                });
+            } else {
+                pending.push(file);
+            }
+        });
+        
+        if (pending.length < files.length) {
+            this.logger.info(`⏭️  跳过 ${files.length - pending.length} 个未变更的文件`);
+        }
+        
+        return pending;
+    }
+
+    /**
+     * 跳过上次运行中已完成的文件（断点续传）
+     * @param {Array} files - 文件列表
+     * @param {Array|Set} completedPaths - 已完成的文件路径
+     * @param {Object} results - 结果对象
+     * @returns {Array} 需要上传的文件
+     */
+    skipCompletedFiles(files, completedPaths, results) {
+        const completed = new Set(completedPaths);
+        const pending = files.filter(file => !completed.has(file.path));
+        
+        files.filter(file => completed.has(file.path)).forEach(file => {
+            results.skippedCount++;
+            results.details.push({
+                path: file.path,
+                status: 'skipped',
+                reason: 'resumed',
+                size: file.size
+            });
+        });
+        
+        if (pending.length < files.length) {
+            this.logger.info(`⏩ 续传: 跳过 ${files.length - pending.length} 个已完成的文件`);
+        }
+        
+        return pending;
+    }
+
+    /**
+     * 保存上传进度检查点，写入失败不影响上传
+     * @param {Object} results - 结果对象
+     * @param {Object} options - 可选配置（onCheckpoint）
+     * @returns {Promise<void>}
+     */
+    async saveCheckpoint(results, options = {}) {
+        if (!options.onCheckpoint) {
+            return;
+        }
+        
+        try {
+            await options.onCheckpoint(results);
+        } catch (error) {
+            this.logger.warn(`保存上传进度失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 将超过大小阈值或匹配LFS规则的文件替换为LFS指针文件，
+     * 并在.gitattributes中追加对应的跟踪规则
+     * @param {Array} files - 文件列表
+     * @param {Object} options - 可选配置（lfs.patterns、lfs.threshold）
+     * @returns {Array} 替换后的文件列表
+     */
+    convertLfsFiles(files, options = {}) {
+        if (!options.lfs) {
+            return files;
+        }
+        
+        const patterns = options.lfs.patterns || [];
+        const threshold = options.lfs.threshold !== undefined ? options.lfs.threshold : DEFAULT_LFS_THRESHOLD;
+        const matcher = new IgnoreMatcher({ useDefaults: false, patterns: patterns });
+        
+        // 只因大小超过阈值而走LFS的文件需要单独写入.gitattributes
+        const trackedPaths = [];
+        let lfsCount = 0;
+        
+        const converted = files.map(file => {
+            const matchesPattern = matcher.match(file.path) !== null;
+            const exceedsThreshold = threshold > 0 && (file.size || 0) > threshold;
+            
+            if (!matchesPattern && !exceedsThreshold) {
+                return file;
+            }
+            
+            if (!matchesPattern) {
+                trackedPaths.push(file.path);
+            }
+            
+            lfsCount++;
+            return this.createLfsPointerFile(file);
+        });
+        
+        if (lfsCount === 0) {
+            return files;
+        }
+        
+        this.logger.info(`📦 ${lfsCount} 个文件将通过Git LFS上传`);
+        
+        const attributes = patterns
+            .concat(trackedPaths.map(escapeAttributePath))
+            .map(createLfsAttribute);
+        
+        return this.mergeGitAttributes(converted, attributes);
+    }
+
+    /**
+     * 创建LFS指针文件对象，原始内容（或暂存文件路径）保存在lfs字段中用于上传
+     * @param {Object} file - 原始文件对象
+     * @returns {Object} 指针文件对象
+     */
+    createLfsPointerFile(file) {
+        // 暂存区中的文件在解压时已计算sha256，不需要读取内容
+        const buffer = file.content !== undefined ? Buffer.from(file.content || '', 'base64') : null;
+        const oid = buffer ? calculateLfsOid(buffer) : file.sha256;
+        const size = buffer ? buffer.length : file.size;
+        const pointer = Buffer.from(createLfsPointer(oid, size));
+        
+        return {
+            ...file,
+            content: pointer.toString('base64'),
+            size: pointer.length,
+            blobSha: calculateBlobSha(pointer),
+            lfs: {
+                oid: oid,
+                size: size,
+                content: file.content,
+                contentFile: file.contentFile
+            }
+        };
+    }
+
+    /**
+     * 将LFS跟踪规则合并到根目录的.gitattributes（已有的规则行不重复添加）
+     * @param {Array} files - 文件列表
+     * @param {Array} attributes - 规则行
+     * @returns {Array} 合并后的文件列表
+     */
+    mergeGitAttributes(files, attributes) {
+        const index = files.findIndex(file => file.path === '.gitattributes');
+        const existing = index >= 0
+            ? Buffer.from(files[index].content || '', 'base64').toString('utf8')
+            : '';
+        
+        const existingLines = new Set(existing.split(/\r?\n/).map(line => line.trim()));
+        const missing = attributes.filter(line => !existingLines.has(line));
+        
+        if (missing.length === 0) {
+            return files;
+        }
+        
+        const separator = existing === '' || existing.endsWith('\n') ? '' : '\n';
+        const content = Buffer.from(`${existing}${separator}${missing.join('\n')}\n`);
+        const gitattributes = {
+            ...(index >= 0 ? files[index] : {}),
+            path: '.gitattributes',
+            name: '.gitattributes',
+            directory: '',
+            content: content.toString('base64'),
+            size: content.length,
+            blobSha: calculateBlobSha(content)
+        };
+        
+        return index >= 0
+            ? files.map((file, i) => (i === index ? gitattributes : file))
+            : files.concat(gitattributes);
+    }
+
+    /**
+     * 通过LFS批处理API上传指针文件对应的对象
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Array} files - 文件列表
+     * @param {Object} results - 结果对象
+     * @returns {Promise<Object>} 可提交的文件列表和上传失败的数量
+     */
+    async uploadLfsObjects(owner, repoName, files, results) {
+        const lfsFiles = files.filter(file => file.lfs);
+        
+        if (lfsFiles.length === 0) {
+            return { files, failedCount: 0 };
+        }
+        
+        this.logger.info(`☁️  上传 ${lfsFiles.length} 个LFS对象...`);
+        
+        const client = new LfsClient({
+            endpoint: this.getLfsEndpoint(owner, repoName),
+            token: await this.getAccessToken(owner),
+            username: this.lfsUsername,
+            dispatcher: this.dispatcher
+        });
+        
+        const failedPaths = new Map();
+        
+        try {
+            const objects = await this.executeWithRetry('LFS batch', () => client.requestUpload(
+                lfsFiles.map(file => ({ oid: file.lfs.oid, size: file.lfs.size }))
+            ));
+            const objectsByOid = new Map(objects.map(object => [object.oid, object]));
+            
+            // 同一内容可能对应多个文件，每个对象只上传一次
+            const uploaded = new Map();
+            
+            for (const file of lfsFiles) {
+                const object = objectsByOid.get(file.lfs.oid);
+                
+                try {
+                    if (!object) {
+                        throw new Error('LFS服务未返回该对象');
+                    }
+                    
+                    if (object.error) {
+                        throw new Error(`LFS服务拒绝该对象: ${object.error.message}`);
+                    }
+                    
+                    // 没有upload操作表示服务端已有该对象
+                    if (object.actions && object.actions.upload) {
+                        if (!uploaded.has(object.oid)) {
+                            // 对象内容从暂存文件流式上传，每次重试重新打开
+                            uploaded.set(object.oid, this.executeWithRetry(file.path, () => client.uploadObject(
+                                file.lfs,
+                                createContentStream(file.lfs),
+                                object.actions
+                            )));
+                        }
+                        await uploaded.get(object.oid);
+                    }
+                    
+                    this.logger.debug(`  ☁️  ${file.path} (${this.formatFileSize(file.lfs.size)})`);
+                } catch (error) {
+                    failedPaths.set(file.path, error.message);
+                }
+            }
+        } catch (error) {
+            lfsFiles.forEach(file => failedPaths.set(file.path, error.message));
+        }
+        
+        failedPaths.forEach((message, filePath) => {
+            results.failedCount++;
+            results.details.push({
+                path: filePath,
+                status: 'failed',
+                action: 'lfs',
+                error: message
+            });
+            this.logger.error(`LFS上传失败 ${filePath}: ${message}`);
+        });
+        
+        return {
+            files: files.filter(file => !failedPaths.has(file.path)),
+            failedCount: failedPaths.size
+        };
+    }
+
+    /**
+     * 逐个删除文件
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Array} entries - 待删除的文件条目
+     * @param {Object} results - 结果对象
+     * @param {Object} options - 可选配置
+     */
+    async deleteFilesFromRepository(owner, repoName, entries, results, options = {}) {
+        const branch = options.branch || 'main';
+        
+        // 每次删除都会修改分支头，逐个执行避免冲突
+        for (const entry of entries) {
+            try {
+                await this.executeWithRetry(entry.path, () => this.deleteFile(owner, repoName, entry, {
+                    branch: branch,
+                    message: `Remove ${entry.path.split('/').pop()}`
+                }), options);
+                
+                results.deletedCount++;
+                results.details.push({
+                    path: entry.path,
+                    status: 'deleted'
+                });
+                this.logger.debug(`  🗑️  ${entry.path}`);
+            } catch (error) {
+                results.failedCount++;
+                results.details.push({
+                    path: entry.path,
+                    status: 'failed',
+                    action: 'delete',
+                    error: error.message
+                });
+                this.logger.error(`删除失败 ${entry.path}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 将所有文件作为单个提交推送，任一步骤失败时不会产生任何提交
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Array} files - 文件列表
+     * @param {Object} results - 结果对象
+     * @param {Object} options - 可选配置
+     */
+    async uploadFilesAsSingleCommit(owner, repoName, files, results, options = {}) {
+        const branch = options.branch || 'main';
+        const extraFiles = options.extraFiles || [];
+        const deletions = options.deletions || [];
+        
+        if (files.length + extraFiles.length + deletions.length === 0) {
+            this.logger.info(`✅ 没有任何变更，跳过提交`);
+            return;
+        }
+        
+        this.logger.info(`🧱 原子提交模式: 提交 ${files.length + extraFiles.length} 个文件，删除 ${deletions.length} 个文件...`);
+        
+        try {
+            const commit = await this.commitFiles(owner, repoName, {
+                branch: branch,
+                message: options.commitMessage || `Add ${files.length} files from ${repoName}`,
+                files: files.concat(extraFiles),
+                deletions: deletions,
+                remoteShas: options.remoteShas,
+                onProgress: options.onProgress
+            });
+            
+            files.forEach(file => {
+                results.successCount++;
+                results.totalSize += file.size || 0;
+                results.details.push({
+                    path: file.path,
+                    status: 'success',
+                    size: file.size
+                });
+                this.reportFileResult(file, null, options);
+            });
+            
+            deletions.forEach(entry => {
+                results.deletedCount++;
+                results.details.push({
+                    path: entry.path,
+                    status: 'deleted'
+                });
+            });
+            
+            results.commit = {
+                sha: commit.sha,
+                url: commit.url,
+                branch: branch
+            };
+            
+            this.logger.info(`✅ 已创建提交 ${commit.sha.substring(0, 7)} (${branch})`);
+        } catch (error) {
+            this.recordAtomicFailure(results, files, `原子提交失败: ${error.message}`, error.fileErrors);
+            files.forEach(file => this.reportFileResult(file, `原子提交失败: ${error.message}`, options));
+            this.logger.error(`🚫 原子提交失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 记录原子提交失败：所有文件均视为上传失败
+     * @param {Object} results - 结果对象
+     * @param {Array} files - 文件列表
+     * @param {String} message - 失败原因
+     * @param {Map} fileErrors - 单个文件的失败原因（路径到错误信息）
+     */
+    recordAtomicFailure(results, files, message, fileErrors = new Map()) {
+        files.forEach(file => {
+            results.failedCount++;
+            results.details.push({
+                path: file.path,
+                status: 'failed',
+                error: fileErrors.get(file.path) || message
+            });
+        });
+    }
+
+    /**
+     * 处理文件批次
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Array} batch - 文件批次
+     * @param {Object} results - 结果对象
+     * @param {Object} options - 可选配置
+     */
+    async processBatch(owner, repoName, batch, results, options) {
+        // 流式模式下文件内容只在所属批次上传时读入内存
+        const promises = batch.map(file => 
+            withFileContent(file)
+                .then(loaded => this.uploadSingleFileWithRetry(owner, repoName, loaded, options))
+                .then(result => ({ file, result, success: true }))
+                .catch(error => ({ file, error, success: false }))
+        );
+        
+        const batchResults = await Promise.all(promises);
+        
+        batchResults.forEach(({ file, result, error, success }) => {
+            if (success) {
+                results.successCount++;
+                results.totalSize += file.size || 0;
+                results.details.push({
+                    path: file.path,
+                    status: 'success',
+                    size: file.size
+                });
+                this.logger.debug(`  ✅ ${file.path}`);
+                this.reportFileResult(file, null, options);
+            } else {
+                results.failedCount++;
+                results.details.push({
+                    path: file.path,
+                    status: 'failed',
+                    error: error.message
+                });
+                this.logger.error(`上传失败 ${file.path}: ${error.message}`);
+                this.reportFileResult(file, error.message, options);
+            }
+        });
+    }
+
+    /**
+     * 带重试机制的单文件上传
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} file - 文件对象
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 上传结果
+     */
+    async uploadSingleFileWithRetry(owner, repoName, file, options = {}) {
+        return await this.executeWithRetry(
+            file.path,
+            () => this.uploadSingleFile(owner, repoName, file, options),
+            options
+        );
+    }
+
+    /**
+     * 带重试机制执行操作（见ApiClient.executeWithRetry），按本平台的isRetryableError判断是否重试
+     * @param {String} label - 日志中显示的操作标识（文件操作为文件路径）
+     * @param {Function} operation - 返回Promise的操作
+     * @param {Object} options - 可选配置（onProgress，每次重试报告file:retried事件）
+     * @returns {Promise<*>} 操作结果
+     */
+    async executeWithRetry(label, operation, options = {}) {
+        return await this.api.executeWithRetry(label, operation, {
+            isRetryable: error => this.isRetryableError(error),
+            onRetry: retry => this.reportProgress(PROGRESS_EVENTS.FILE_RETRIED, retry, options)
+        });
+    }
+
+    /**
+     * 判断错误是否可以重试（子类可以追加平台特有的可重试错误）
+     * @param {Error} error - 错误
+     * @returns {Boolean} 是否可以重试
+     */
+    isRetryableError(error) {
+        return this.api.isRetryableError(error);
+    }
+
+    /**
+     * 判断是否生成README：默认只为本次运行新建的仓库生成，
+     * 现有仓库中的README.md属于用户内容，只有createReadme为true时才覆盖
+     * @param {Boolean} created - 仓库是否在本次运行中创建
+     * @param {Object} options - 可选配置（createReadme）
+     * @returns {Boolean} 是否生成README
+     */
+    shouldCreateReadme(created, options = {}) {
+        if (options.createReadme !== undefined) {
+            return options.createReadme === true;
+        }
+        
+        return created || options.repositoryCreated === true;
+    }
+
+    /**
+     * 创建README文件
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Array} files - 文件列表
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 创建结果
+     */
+    async createReadmeFile(owner, repoName, files, options = {}) {
+        this.logger.info(`📄 创建README文件...`);
+        
+        const readmeFile = this.buildReadmeFile(repoName, files);
+        
+        return await this.uploadSingleFile(owner, repoName, readmeFile, {
+            commitMessage: 'Add README.md',
+            checkExisting: true,
+            branch: options.branch
+        });
+    }
+
+    /**
+     * 构建README文件对象
+     * @param {String} repoName - 仓库名称
+     * @param {Array} files - 文件列表
+     * @returns {Object} 可上传的文件对象
+     */
+    buildReadmeFile(repoName, files) {
+        const readme = this.generateReadmeContent(repoName, files);
+        
+        return {
+            path: 'README.md',
+            name: 'README.md',
+            content: Buffer.from(readme).toString('base64'),
+            size: readme.length
+        };
+    }
+
+    /**
+     * 生成README内容（只取决于文件列表，不含生成时间，重新上传相同内容时不产生变更）
+     * @param {String} repoName - 仓库名称
+     * @param {Array} files - 文件列表
+     * @returns {String} README内容
+     */
+    generateReadmeContent(repoName, files) {
+        const stats = this.calculateFileStatistics(files);
+        
+        return `# ${repoName}
+
+> 此仓库由n8n自动化工作流自动创建
+
+## 📊 仓库统计
+
+- **文件总数**: ${stats.totalFiles}
+- **总大小**: ${this.formatFileSize(stats.totalSize)}
+- **文件类型**: ${Object.keys(stats.fileTypes).length} 种
+
+## 📁 文件类型分布
+
+${Object.entries(stats.fileTypes)
+    .sort(([,a], [,b]) => b - a)
+    .map(([type, count]) => `- **${type}**: ${count} 个文件`)
+    .join('\n')}
+
+## 📂 目录结构
+
+\`\`\`
+${this.generateDirectoryTree(files)}
+\`\`\`
+
+## 🔧 生成信息
+
+- **工作流**: n8n ZIP to GitHub
+- **处理器**: AI Agent v1.0.0
+- **源文件**: ${repoName}.zip
+
+---
+
+*此文件由自动化工具生成，请谨慎修改*
+`;
+    }
+
+    /**
+     * 计算文件统计信息
+     * @param {Array} files - 文件列表
+     * @returns {Object} 统计信息
+     */
+    calculateFileStatistics(files) {
+        const stats = {
+            totalFiles: files.length,
+            totalSize: 0,
+            fileTypes: {},
+            directories: new Set()
+        };
+        
+        files.forEach(file => {
+            stats.totalSize += file.size || 0;
+            
+            const extension = file.name.substring(file.name.lastIndexOf('.') + 1).toLowerCase();
+            stats.fileTypes[extension] = (stats.fileTypes[extension] || 0) + 1;
+            
+            if (file.directory) {
+                stats.directories.add(file.directory);
+            }
+        });
+        
+        return stats;
+    }
+
+    /**
+     * 生成目录树
+     * @param {Array} files - 文件列表
+     * @returns {String} 目录树字符串
+     */
+    generateDirectoryTree(files) {
+        const tree = {};
+        
+        files.forEach(file => {
+            const parts = file.path.split('/');
+            let current = tree;
+            
+            parts.forEach((part, index) => {
+                if (!current[part]) {
+                    current[part] = index === parts.length - 1 ? null : {};
+                }
+                if (current[part]) {
+                    current = current[part];
+                }
+            });
+        });
+        
+        return this.renderTree(tree, '', true);
+    }
+
+    /**
+     * 渲染目录树
+     * @param {Object} tree - 目录树对象
+     * @param {String} prefix - 前缀
+     * @param {Boolean} isLast - 是否最后一个
+     * @returns {String} 渲染结果
+     */
+    renderTree(tree, prefix = '', isLast = true) {
+        let result = '';
+        const entries = Object.entries(tree);
+        
+        entries.forEach(([name, children], index) => {
+            const isLastEntry = index === entries.length - 1;
+            const currentPrefix = prefix + (isLast ? '└── ' : '├── ');
+            const nextPrefix = prefix + (isLast ? '    ' : '│   ');
+            
+            result += currentPrefix + name + '\n';
+            
+            if (children && typeof children === 'object') {
+                result += this.renderTree(children, nextPrefix, isLastEntry);
+            }
+        });
+        
+        return result;
+    }
+
+    /**
+     * 发送API请求（见ApiClient.request）
+     * @param {String} method - HTTP方法
+     * @param {String} url - 完整请求地址
+     * @param {Object|FormData} data - 请求数据
+     * @param {Object} headers - 请求头（认证等）
+     * @returns {Promise<Object>} 响应数据（无响应体时为空对象）
+     */
+    async sendRequest(method, url, data = null, headers = {}) {
+        return await this.api.request(method, url, data, headers);
+    }
+
+    /**
+     * 流式生成单个提交的JSON请求体
+     * 所有文件仍在同一个请求中提交，但每次只读入一个批次的文件内容，
+     * 流式模式下内存占用与提交的文件数无关
+     * @param {Object} fields - 请求体中的其他字段（分支、提交信息）
+     * @param {String} key - 动作列表的字段名
+     * @param {Array} files - 文件列表
+     * @param {Function} toAction - 将带content的文件转换为动作
+     * @param {Array} extraActions - 追加在文件之后的动作（如删除）
+     * @returns {AsyncGenerator<Buffer>} 请求体片段
+     */
+    async *streamCommitBody(fields, key, files, toAction, extraActions = []) {
+        const head = JSON.stringify(fields).slice(0, -1);
+        yield Buffer.from(`${head}${head.length > 1 ? ',' : ''}${JSON.stringify(key)}:[`);
+        
+        let separator = '';
+        for (let i = 0; i < files.length; i += this.batchSize) {
+            const batch = await Promise.all(files.slice(i, i + this.batchSize).map(withFileContent));
+            
+            for (const file of batch) {
+                yield Buffer.from(separator + JSON.stringify(toAction(file)));
+                separator = ',';
+            }
+        }
+        
+        for (const action of extraActions) {
+            yield Buffer.from(separator + JSON.stringify(action));
+            separator = ',';
+        }
+        
+        yield Buffer.from(']}');
+    }
+
+    /**
+     * 延迟函数
+     * @param {Number} ms - 延迟毫秒数
+     * @returns {Promise<void>}
+     */
+    delay(ms) {
+        return this.api.delay(ms);
+    }
+
+    /**
+     * 格式化文件大小
+     * @param {Number} bytes - 字节数
+     * @returns {String} 格式化后的大小
+     */
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+}
+
+module.exports = GitProvider;
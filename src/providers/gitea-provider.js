@@ -0,0 +1,321 @@
+/**
+ * Gitea代码托管平台
+ * 
+ * 通过Gitea REST API v1创建仓库、读取文件树、提交文件
+ * 和创建拉取请求，适用于自建的Gitea（及Forgejo）实例。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { encodeRepoPath } = require('../path-safety');
+const GitProvider = require('./git-provider');
+
+/**
+ * 文件树分页大小
+ */
+const TREE_PAGE_SIZE = 1000;
+
+/**
+ * Gitea平台类
+ */
+class GiteaProvider extends GitProvider {
+    /**
+     * @param {Object} config - 配置
+     * @param {String} config.baseUrl - Gitea实例地址（如 https://gitea.example.com）
+     * @param {String} config.lfsServerUrl - LFS服务地址（默认与实例地址相同）
+     */
+    constructor(config = {}) {
+        super(config);
+        
+        if (!config.baseUrl) {
+            throw new Error('Gitea需要配置实例地址（baseUrl）');
+        }
+        
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        this.lfsServerUrl = config.lfsServerUrl || this.baseUrl;
+        this.displayName = 'Gitea';
+    }
+
+    /**
+     * 获取仓库信息
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {Promise<Object|null>} 仓库信息，不存在时返回null
+     */
+    async getRepository(owner, repoName) {
+        try {
+            return await this.makeGiteaApiCall('GET', `/repos/${owner}/${repoName}`);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 创建仓库：owner为当前用户时创建个人仓库，否则创建组织仓库
+     * @param {String} repoName - 仓库名称
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 仓库信息
+     */
+    async createRepository(repoName, options = {}) {
+        this.logger.info(`📝 创建Gitea仓库: ${repoName}`);
+        
+        const owner = this.resolveOwner(options);
+        const user = await this.verifyConnection();
+        const endpoint = user.login === owner ? '/user/repos' : `/orgs/${owner}/repos`;
+        
+        return await this.makeGiteaApiCall('POST', endpoint, {
+            name: repoName,
+            description: options.description || `自动创建的仓库，来源于ZIP文件: ${repoName}`,
+            private: options.private || false,
+            auto_init: true,
+            default_branch: 'main',
+            gitignores: options.gitignoreTemplate || undefined,
+            license: options.licenseTemplate || undefined
+        });
+    }
+
+    /**
+     * 获取分支的完整文件树（Gitea分页返回递归文件树）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {String} branch - 分支名称
+     * @returns {Promise<Array>} 文件条目列表（path、sha、size）
+     */
+    async getRepositoryTree(owner, repoName, branch) {
+        const entries = [];
+        
+        try {
+            for (let page = 1; ; page++) {
+                const tree = await this.makeGiteaApiCall(
+                    'GET',
+                    `/repos/${owner}/${repoName}/git/trees/${encodeURIComponent(branch)}` +
+                    `?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`
+                );
+                
+                (tree.tree || [])
+                    .filter(entry => entry.type === 'blob')
+                    .forEach(entry => entries.push({ path: entry.path, sha: entry.sha, size: entry.size }));
+                
+                if (!tree.truncated) {
+                    break;
+                }
+            }
+        } catch (error) {
+            // 404: 分支不存在；409: 仓库为空
+            if (error.status === 404 || error.status === 409) {
+                return [];
+            }
+            throw error;
+        }
+        
+        return entries;
+    }
+
+    /**
+     * 基于已有分支创建新分支
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {String} branch - 新分支名称
+     * @param {String} baseBranch - 基础分支名称
+     * @returns {Promise<Object>} 创建的分支
+     */
+    async createBranch(owner, repoName, branch, baseBranch) {
+        this.logger.info(`🌿 创建分支 ${branch} (基于 ${baseBranch})`);
+        
+        return await this.makeGiteaApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/branches`,
+            { new_branch_name: branch, old_branch_name: baseBranch }
+        );
+    }
+
+    /**
+     * 通过Contents API上传单个文件
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} file - 文件对象
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 上传结果
+     */
+    async uploadSingleFile(owner, repoName, file, options = {}) {
+        const branch = options.branch || 'main';
+        const existingSha = await this.getExistingSha(owner, repoName, file.path, branch, options);
+        
+        const fileData = {
+            message: options.commitMessage || `Add ${file.name}`,
+            content: file.content,
+            branch: branch
+        };
+        
+        if (existingSha) {
+            fileData.sha = existingSha;
+            this.logger.debug(`🔄 更新现有文件: ${file.path}`);
+        }
+        
+        // Gitea区分创建（POST）和更新（PUT）
+        return await this.makeGiteaApiCall(
+            existingSha ? 'PUT' : 'POST',
+            `/repos/${owner}/${repoName}/contents/${encodeRepoPath(file.path)}`,
+            fileData
+        );
+    }
+
+    /**
+     * 获取分支上已有文件的blob SHA
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {String} filePath - 文件路径
+     * @param {String} branch - 分支名称
+     * @param {Object} options - 可选配置（remoteShas、checkExisting）
+     * @returns {Promise<String|null>} blob SHA，文件不存在时返回null
+     */
+    async getExistingSha(owner, repoName, filePath, branch, options = {}) {
+        if (options.remoteShas) {
+            return options.remoteShas.get(filePath) || null;
+        }
+        
+        if (options.checkExisting === false) {
+            return null;
+        }
+        
+        try {
+            const existingFile = await this.makeGiteaApiCall(
+                'GET',
+                `/repos/${owner}/${repoName}/contents/${encodeRepoPath(filePath)}?ref=${encodeURIComponent(branch)}`
+            );
+            return existingFile.sha || null;
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 通过Contents API删除文件
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} entry - 文件树条目（path、sha）
+     * @param {Object} options - 可选配置（branch、message）
+     * @returns {Promise<Object>} 删除结果
+     */
+    async deleteFile(owner, repoName, entry, options = {}) {
+        return await this.makeGiteaApiCall(
+            'DELETE',
+            `/repos/${owner}/${repoName}/contents/${encodeRepoPath(entry.path)}`,
+            {
+                message: options.message || `Remove ${entry.path.split('/').pop()}`,
+                sha: entry.sha,
+                branch: options.branch || 'main'
+            }
+        );
+    }
+
+    /**
+     * 通过批量文件API将文件变更作为单个提交推送（需要Gitea 1.20及以上）
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} changes - 变更（branch、message、files、deletions、remoteShas）
+     * @returns {Promise<Object>} 提交信息（sha、url）
+     */
+    async commitFiles(owner, repoName, changes) {
+        const branch = changes.branch || 'main';
+        
+        // 更新和删除已有文件都需要提供当前的sha
+        const remoteShas = changes.remoteShas || new Map(
+            (await this.getRepositoryTree(owner, repoName, branch)).map(entry => [entry.path, entry.sha])
+        );
+        
+        // 所有文件在同一个请求中提交，请求体按批次读取暂存文件并流式发送
+        const body = this.streamCommitBody(
+            { branch: branch, message: changes.message },
+            'files',
+            changes.files,
+            file => ({
+                operation: remoteShas.has(file.path) ? 'update' : 'create',
+                path: file.path,
+                content: file.content,
+                sha: remoteShas.get(file.path)
+            }),
+            (changes.deletions || []).map(entry => ({
+                operation: 'delete',
+                path: entry.path,
+                sha: entry.sha
+            }))
+        );
+        
+        const response = await this.makeGiteaApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/contents`,
+            body
+        );
+        
+        return {
+            sha: response.commit.sha,
+            url: response.commit.html_url
+        };
+    }
+
+    /**
+     * 创建拉取请求
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @param {Object} request - 请求内容（title、body、head、base）
+     * @returns {Promise<Object>} 拉取请求编号和URL
+     */
+    async createPullRequest(owner, repoName, request) {
+        const pullRequest = await this.makeGiteaApiCall(
+            'POST',
+            `/repos/${owner}/${repoName}/pulls`,
+            {
+                title: request.title,
+                head: request.head,
+                base: request.base,
+                body: request.body
+            }
+        );
+        
+        return {
+            number: pullRequest.number,
+            url: pullRequest.html_url
+        };
+    }
+
+    /**
+     * 获取仓库的Git LFS服务地址
+     * @param {String} owner - 仓库所有者
+     * @param {String} repoName - 仓库名称
+     * @returns {String} LFS服务地址
+     */
+    getLfsEndpoint(owner, repoName) {
+        return `${this.lfsServerUrl.replace(/\/+$/, '')}/${owner}/${repoName}.git/info/lfs`;
+    }
+
+    /**
+     * 验证访问令牌并返回当前用户
+     * @returns {Promise<Object>} 当前用户信息
+     */
+    async verifyConnection() {
+        return await this.makeGiteaApiCall('GET', '/user');
+    }
+
+    /**
+     * 执行Gitea API调用
+     * @param {String} method - HTTP方法
+     * @param {String} endpoint - API端点
+     * @param {Object} data - 请求数据
+     * @returns {Promise<Object>} API响应
+     */
+    async makeGiteaApiCall(method, endpoint, data = null) {
+        return await this.sendRequest(method, `${this.baseUrl}/api/v1${endpoint}`, data, {
+            'Authorization': `token ${this.token}`
+        });
+    }
+}
+
+module.exports = GiteaProvider;
@@ -0,0 +1,352 @@
+/**
+ * GitLab代码托管平台
+ * 
+ * 通过GitLab REST API v4创建项目、读取文件树、提交文件
+ * 和创建合并请求，支持gitlab.com和自建实例。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const GitProvider = require('./git-provider');
+
+/**
+ * 文件树分页大小（GitLab上限为100）
+ */
+const TREE_PAGE_SIZE = 100;
+
+/**
+ * GitLab平台类
+ */
+class GitLabProvider extends GitProvider {
+    /**
+     * @param {Object} config - 配置
+     * @param {String} config.baseUrl - GitLab实例地址（默认https://gitlab.com）
+     * @param {String} config.lfsServerUrl - LFS服务地址（默认与实例地址相同）
+     */
+    constructor(config = {}) {
+        super(config);
+        this.baseUrl = (config.baseUrl || 'https://gitlab.com').replace(/\/+$/, '');
+        this.lfsServerUrl = config.lfsServerUrl || this.baseUrl;
+        this.displayName = 'GitLab';
+        
+        // GitLab的LFS使用oauth2作为个人访问令牌的用户名
+        this.lfsUsername = 'oauth2';
+    }
+
+    /**
+     * 获取项目信息
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @returns {Promise<Object|null>} 项目信息，不存在时返回null
+     */
+    async getRepository(owner, repoName) {
+        try {
+            const project = await this.makeGitLabApiCall('GET', `/projects/${this.projectId(owner, repoName)}`);
+            return this.normalizeProject(project);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 在owner对应的命名空间（用户或组）下创建项目
+     * @param {String} repoName - 项目名称
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 项目信息
+     */
+    async createRepository(repoName, options = {}) {
+        this.logger.info(`📝 创建GitLab项目: ${repoName}`);
+        
+        const namespace = await this.makeGitLabApiCall(
+            'GET',
+            `/namespaces/${encodeURIComponent(this.resolveOwner(options))}`
+        );
+        
+        const project = await this.makeGitLabApiCall('POST', '/projects', {
+            name: repoName,
+            path: repoName,
+            namespace_id: namespace.id,
+            description: options.description || `自动创建的仓库，来源于ZIP文件: ${repoName}`,
+            visibility: options.private ? 'private' : (options.visibility || 'public'),
+            initialize_with_readme: true
+        });
+        
+        return this.normalizeProject(project);
+    }
+
+    /**
+     * 获取分支的完整文件树
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {String} branch - 分支名称
+     * @returns {Promise<Array>} 文件条目列表（path、sha）
+     */
+    async getRepositoryTree(owner, repoName, branch) {
+        const entries = [];
+        
+        try {
+            for (let page = 1; ; page++) {
+                const items = await this.makeGitLabApiCall(
+                    'GET',
+                    `/projects/${this.projectId(owner, repoName)}/repository/tree` +
+                    `?recursive=true&ref=${encodeURIComponent(branch)}&per_page=${TREE_PAGE_SIZE}&page=${page}`
+                );
+                
+                items
+                    .filter(item => item.type === 'blob')
+                    .forEach(item => entries.push({ path: item.path, sha: item.id }));
+                
+                if (items.length < TREE_PAGE_SIZE) {
+                    break;
+                }
+            }
+        } catch (error) {
+            // 404: 分支不存在或项目为空
+            if (error.status === 404) {
+                return [];
+            }
+            throw error;
+        }
+        
+        return entries;
+    }
+
+    /**
+     * 基于已有分支创建新分支
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {String} branch - 新分支名称
+     * @param {String} baseBranch - 基础分支名称
+     * @returns {Promise<Object>} 创建的分支
+     */
+    async createBranch(owner, repoName, branch, baseBranch) {
+        this.logger.info(`🌿 创建分支 ${branch} (基于 ${baseBranch})`);
+        
+        return await this.makeGitLabApiCall(
+            'POST',
+            `/projects/${this.projectId(owner, repoName)}/repository/branches`,
+            { branch: branch, ref: baseBranch }
+        );
+    }
+
+    /**
+     * 通过Repository Files API上传单个文件
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {Object} file - 文件对象
+     * @param {Object} options - 可选配置
+     * @returns {Promise<Object>} 上传结果
+     */
+    async uploadSingleFile(owner, repoName, file, options = {}) {
+        const branch = options.branch || 'main';
+        const exists = await this.fileExists(owner, repoName, file.path, branch, options);
+        
+        if (exists) {
+            this.logger.debug(`🔄 更新现有文件: ${file.path}`);
+        }
+        
+        // GitLab区分创建（POST）和更新（PUT）
+        return await this.makeGitLabApiCall(
+            exists ? 'PUT' : 'POST',
+            this.fileEndpoint(owner, repoName, file.path),
+            {
+                branch: branch,
+                content: file.content,
+                encoding: 'base64',
+                commit_message: options.commitMessage || `Add ${file.name}`
+            }
+        );
+    }
+
+    /**
+     * 判断文件在分支上是否已存在
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {String} filePath - 文件路径
+     * @param {String} branch - 分支名称
+     * @param {Object} options - 可选配置（remoteShas、checkExisting）
+     * @returns {Promise<Boolean>} 是否存在
+     */
+    async fileExists(owner, repoName, filePath, branch, options = {}) {
+        if (options.remoteShas) {
+            return options.remoteShas.has(filePath);
+        }
+        
+        if (options.checkExisting === false) {
+            return false;
+        }
+        
+        try {
+            await this.makeGitLabApiCall(
+                'GET',
+                `${this.fileEndpoint(owner, repoName, filePath)}?ref=${encodeURIComponent(branch)}`
+            );
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 删除单个文件
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {Object} entry - 文件树条目
+     * @param {Object} options - 可选配置（branch、message）
+     * @returns {Promise<Object>} 删除结果
+     */
+    async deleteFile(owner, repoName, entry, options = {}) {
+        return await this.makeGitLabApiCall(
+            'DELETE',
+            this.fileEndpoint(owner, repoName, entry.path),
+            {
+                branch: options.branch || 'main',
+                commit_message: options.message || `Remove ${entry.path.split('/').pop()}`
+            }
+        );
+    }
+
+    /**
+     * 通过Commits API将文件变更作为单个提交推送
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {Object} changes - 变更（branch、message、files、deletions、remoteShas）
+     * @returns {Promise<Object>} 提交信息（sha、url）
+     */
+    async commitFiles(owner, repoName, changes) {
+        const branch = changes.branch || 'main';
+        
+        // create和update动作不能互换，需要知道文件是否已存在
+        const remoteShas = changes.remoteShas || new Map(
+            (await this.getRepositoryTree(owner, repoName, branch)).map(entry => [entry.path, entry.sha])
+        );
+        
+        // 所有文件在同一个请求中提交，请求体按批次读取暂存文件并流式发送
+        const body = this.streamCommitBody(
+            { branch: branch, commit_message: changes.message },
+            'actions',
+            changes.files,
+            file => ({
+                action: remoteShas.has(file.path) ? 'update' : 'create',
+                file_path: file.path,
+                content: file.content,
+                encoding: 'base64'
+            }),
+            (changes.deletions || []).map(entry => ({
+                action: 'delete',
+                file_path: entry.path
+            }))
+        );
+        
+        const commit = await this.makeGitLabApiCall(
+            'POST',
+            `/projects/${this.projectId(owner, repoName)}/repository/commits`,
+            body
+        );
+        
+        return {
+            sha: commit.id,
+            url: commit.web_url
+        };
+    }
+
+    /**
+     * 创建合并请求
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {Object} request - 请求内容（title、body、head、base）
+     * @returns {Promise<Object>} 合并请求编号和URL
+     */
+    async createPullRequest(owner, repoName, request) {
+        const mergeRequest = await this.makeGitLabApiCall(
+            'POST',
+            `/projects/${this.projectId(owner, repoName)}/merge_requests`,
+            {
+                source_branch: request.head,
+                target_branch: request.base,
+                title: request.title,
+                description: request.body
+            }
+        );
+        
+        return {
+            number: mergeRequest.iid,
+            url: mergeRequest.web_url
+        };
+    }
+
+    /**
+     * 获取项目的Git LFS服务地址
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @returns {String} LFS服务地址
+     */
+    getLfsEndpoint(owner, repoName) {
+        return `${this.lfsServerUrl.replace(/\/+$/, '')}/${owner}/${repoName}.git/info/lfs`;
+    }
+
+    /**
+     * 验证访问令牌并返回当前用户
+     * @returns {Promise<Object>} 当前用户信息
+     */
+    async verifyConnection() {
+        return await this.makeGitLabApiCall('GET', '/user');
+    }
+
+    /**
+     * 将项目信息转换为与GitHub一致的字段
+     * @param {Object} project - GitLab项目信息
+     * @returns {Object} 项目信息（附加html_url、full_name）
+     */
+    normalizeProject(project) {
+        return {
+            ...project,
+            html_url: project.web_url,
+            full_name: project.path_with_namespace,
+            private: project.visibility === 'private'
+        };
+    }
+
+    /**
+     * 生成URL编码的项目ID（namespace/project）
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @returns {String} 项目ID
+     */
+    projectId(owner, repoName) {
+        return encodeURIComponent(`${owner}/${repoName}`);
+    }
+
+    /**
+     * 生成Repository Files API端点（文件路径整体编码）
+     * @param {String} owner - 用户名或组路径
+     * @param {String} repoName - 项目路径
+     * @param {String} filePath - 文件路径
+     * @returns {String} API端点
+     */
+    fileEndpoint(owner, repoName, filePath) {
+        return `/projects/${this.projectId(owner, repoName)}/repository/files/${encodeURIComponent(filePath)}`;
+    }
+
+    /**
+     * 执行GitLab API调用
+     * @param {String} method - HTTP方法
+     * @param {String} endpoint - API端点
+     * @param {Object} data - 请求数据
+     * @returns {Promise<Object>} API响应
+     */
+    async makeGitLabApiCall(method, endpoint, data = null) {
+        return await this.sendRequest(method, `${this.baseUrl}/api/v4${endpoint}`, data, {
+            'PRIVATE-TOKEN': this.token
+        });
+    }
+}
+
+module.exports = GitLabProvider;
@@ -0,0 +1,48 @@
+/**
+ * 代码托管平台注册表
+ * 
+ * 根据配置中的平台名称创建对应的实现，
+ * 工作流控制器只通过GitProvider接口与平台交互。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const GitProvider = require('./git-provider');
+const GitHubAgent = require('../github-agent');
+const GitLabProvider = require('./gitlab-provider');
+const GiteaProvider = require('./gitea-provider');
+
+/**
+ * 支持的平台
+ */
+const PROVIDERS = {
+    github: GitHubAgent,
+    gitlab: GitLabProvider,
+    gitea: GiteaProvider
+};
+
+/**
+ * 创建代码托管平台实例
+ * @param {String} name - 平台名称（github、gitlab、gitea）
+ * @param {Object} config - 平台配置（token、owner、baseUrl等）
+ * @returns {GitProvider} 平台实例
+ */
+function createProvider(name, config = {}) {
+    const Provider = PROVIDERS[(name || 'github').toLowerCase()];
+    
+    if (!Provider) {
+        throw new Error(`不支持的代码托管平台: ${name}（可选: ${Object.keys(PROVIDERS).join(', ')}）`);
+    }
+    
+    return new Provider(config);
+}
+
+module.exports = {
+    createProvider,
+    PROVIDERS,
+    GitProvider,
+    GitHubAgent,
+    GitLabProvider,
+    GiteaProvider
+};
@@ -0,0 +1,233 @@
+/**
+ * 上传计划
+ * 
+ * 决定哪些文件需要上传、跳过、忽略或从仓库中删除，不调用任何API：
+ * 忽略规则、大小和扩展名过滤、批次划分、blob SHA比较、同步删除的范围和保护路径，
+ * 以及演练模式下每个文件的操作。实际上传和演练共用这些规则，结果保持一致。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { calculateBlobSha } = require('../git-utils');
+const { IgnoreMatcher } = require('../ignore-rules');
+
+/**
+ * 同步模式下默认不删除的路径（以/结尾表示目录）
+ */
+const DEFAULT_PROTECTED_PATHS = ['README.md', 'LICENSE', '.github/'];
+
+/**
+ * 获取文件的git blob SHA（优先使用解压时计算的值）
+ * @param {Object} file - 文件对象
+ * @returns {String} blob SHA
+ */
+function getBlobSha(file) {
+    return file.blobSha || calculateBlobSha(file.content);
+}
+
+/**
+ * 按忽略规则划分文件
+ * 规则来源：压缩包中的.gitignore文件（支持嵌套目录）、内置默认规则、options.ignorePatterns
+ * @param {Array} files - 文件列表
+ * @param {Object} options - 可选配置（respectGitignore、useDefaultIgnores、ignorePatterns）
+ * @returns {Object} 保留的文件、被忽略的文件（附匹配的规则）和使用的匹配器
+ */
+function partitionIgnoredFiles(files, options = {}) {
+    const matcher = new IgnoreMatcher({
+        useDefaults: options.useDefaultIgnores !== false,
+        patterns: options.ignorePatterns
+    });
+    
+    if (options.respectGitignore !== false) {
+        matcher.loadGitignoreFiles(files);
+    }
+    
+    const kept = [];
+    const ignored = [];
+    
+    files.forEach(file => {
+        const rule = matcher.match(file.path);
+        if (rule) {
+            ignored.push({ file, rule });
+        } else {
+            kept.push(file);
+        }
+    });
+    
+    return { kept, ignored, matcher };
+}
+
+/**
+ * 过滤和排序文件
+ * @param {Array} files - 原始文件列表
+ * @param {Object} options - 过滤选项
+ * @returns {Array} 过滤后的文件列表
+ */
+function filterAndSortFiles(files, options = {}) {
+    let filtered = files;
+    
+    // 大小过滤
+    if (options.maxFileSize) {
+        filtered = filtered.filter(file =>
+            (file.size || 0) <= options.maxFileSize
+        );
+    }
+    
+    // 文件类型过滤
+    if (options.allowedExtensions) {
+        filtered = filtered.filter(file => {
+            const ext = file.name.substring(file.name.lastIndexOf('.')).toLowerCase();
+            return options.allowedExtensions.includes(ext);
+        });
+    }
+    
+    // 排序：先按目录，再按文件名
+    filtered.sort((a, b) => {
+        if (a.directory !== b.directory) {
+            return a.directory.localeCompare(b.directory);
+        }
+        return a.name.localeCompare(b.name);
+    });
+    
+    return filtered;
+}
+
+/**
+ * 创建文件批次
+ * @param {Array} files - 文件列表
+ * @param {Number} batchSize - 批次大小
+ * @returns {Array} 批次数组
+ */
+function createBatches(files, batchSize) {
+    const batches = [];
+    for (let i = 0; i < files.length; i += batchSize) {
+        batches.push(files.slice(i, i + batchSize));
+    }
+    return batches;
+}
+
+/**
+ * 找出仓库中存在但不在新文件列表里的文件
+ * 匹配忽略规则的文件不会随压缩包上传，仓库中已有的这类文件（如.env、构建目录）不删除
+ * @param {Array} repoEntries - 仓库当前文件树
+ * @param {Array} files - 新的文件列表
+ * @param {Object} options - 可选配置（protectedPaths、syncPath）
+ * @param {IgnoreMatcher} matcher - 忽略规则匹配器（partitionIgnoredFiles返回）
+ * @returns {Array} 待删除的文件条目
+ */
+function findOrphanedEntries(repoEntries, files, options = {}, matcher = null) {
+    const protectedPaths = options.protectedPaths || DEFAULT_PROTECTED_PATHS;
+    const incomingPaths = new Set(files.map(file => file.path));
+    
+    // 上传到子目录时只同步该目录下的文件
+    const scope = options.syncPath ? `${options.syncPath.replace(/\/+$/, '')}/` : '';
+    
+    return repoEntries.filter(entry =>
+        entry.path.startsWith(scope) &&
+        !incomingPaths.has(entry.path) &&
+        !isProtectedPath(entry.path, protectedPaths) &&
+        !(matcher && matcher.match(entry.path))
+    );
+}
+
+/**
+ * 判断路径是否受保护
+ * @param {String} filePath - 文件路径
+ * @param {Array} protectedPaths - 受保护路径列表（以/结尾表示目录）
+ * @returns {Boolean} 是否受保护
+ */
+function isProtectedPath(filePath, protectedPaths) {
+    return protectedPaths.some(protectedPath =>
+        protectedPath.endsWith('/')
+            ? filePath.startsWith(protectedPath)
+            : filePath === protectedPath
+    );
+}
+
+/**
+ * 根据上传结果和基础文件树区分新增、修改和删除的文件
+ * @param {Object} uploadResults - 上传结果
+ * @param {Array} baseEntries - 基础分支的文件树
+ * @returns {Object} 分类后的文件路径
+ */
+function classifyChanges(uploadResults, baseEntries = []) {
+    const existingPaths = new Set(baseEntries.map(entry => entry.path));
+    const changes = { added: [], changed: [], removed: [] };
+    
+    uploadResults.details.forEach(detail => {
+        if (detail.status === 'success') {
+            (existingPaths.has(detail.path) ? changes.changed : changes.added).push(detail.path);
+        } else if (detail.status === 'deleted') {
+            changes.removed.push(detail.path);
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * 演练模式：确定每个文件的操作
+ * create（新建）、update（更新）、skip（跳过）、ignore（忽略）、delete（同步删除）
+ * @param {Object} plan - 计划输入
+ * @param {Array} plan.ignored - partitionIgnoredFiles返回的被忽略文件
+ * @param {Array} plan.uploadable - 忽略规则和LFS转换之后的文件
+ * @param {Array} plan.filteredFiles - filterAndSortFiles之后实际上传的文件
+ * @param {Array} plan.orphanedEntries - 同步删除的仓库文件
+ * @param {Map} plan.remoteShas - 仓库中路径到blob SHA的映射
+ * @param {Boolean} plan.skipUnchanged - 是否跳过未变更的文件
+ * @returns {Object} files（每个文件的操作）和counts（各操作的数量）
+ */
+function planFileActions(plan) {
+    const filteredPaths = new Set(plan.filteredFiles.map(file => file.path));
+    const files = [];
+    
+    plan.ignored.forEach(({ file, rule }) => {
+        files.push({ path: file.path, action: 'ignore', reason: 'ignored', rule: rule, size: file.size });
+    });
+    
+    plan.uploadable.filter(file => !filteredPaths.has(file.path)).forEach(file => {
+        files.push({ path: file.path, action: 'skip', reason: 'filtered', size: file.size });
+    });
+    
+    plan.filteredFiles.forEach(file => {
+        const remoteSha = plan.remoteShas.get(file.path);
+        const entry = {
+            path: file.path,
+            action: remoteSha === undefined ? 'create' : 'update',
+            size: file.lfs ? file.lfs.size : file.size
+        };
+        
+        if (plan.skipUnchanged && remoteSha === getBlobSha(file)) {
+            entry.action = 'skip';
+            entry.reason = 'unchanged';
+        }
+        
+        if (file.lfs) {
+            entry.lfs = true;
+        }
+        
+        files.push(entry);
+    });
+    
+    plan.orphanedEntries.forEach(entry => {
+        files.push({ path: entry.path, action: 'delete', reason: 'sync', size: entry.size });
+    });
+    
+    const counts = { create: 0, update: 0, skip: 0, ignore: 0, delete: 0 };
+    files.forEach(file => counts[file.action]++);
+    
+    return { files, counts };
+}
+
+module.exports = {
+    DEFAULT_PROTECTED_PATHS,
+    getBlobSha,
+    partitionIgnoredFiles,
+    filterAndSortFiles,
+    createBatches,
+    findOrphanedEntries,
+    isProtectedPath,
+    classifyChanges,
+    planFileActions
+};
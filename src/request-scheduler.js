@@ -0,0 +1,215 @@
+/**
+ * API请求调度器
+ * 
+ * 所有API请求经由调度器排队执行：限制并发数和请求间隔，
+ * 并根据响应头（X-RateLimit-Remaining/Reset、Retry-After）
+ * 在触发主速率限制或次级速率限制时全局暂停。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { Logger } = require('./logger');
+const { WorkflowMetrics } = require('./metrics');
+
+/**
+ * 次级速率限制未给出Retry-After时的暂停时间（GitHub建议至少等待1分钟）
+ */
+const SECONDARY_LIMIT_PAUSE = 60 * 1000;
+
+/**
+ * 速率限制重置时间之后额外等待的时间，避免与服务端时钟差异
+ */
+const RESET_MARGIN = 1000;
+
+/**
+ * 次级速率限制的错误信息特征
+ */
+const SECONDARY_LIMIT_PATTERN = /secondary rate limit|abuse detection|abuse-rate-limits/i;
+
+/**
+ * 读取响应头（兼容Headers对象和普通对象）
+ * @param {Headers|Object} headers - 响应头
+ * @param {String} name - 头名称（小写）
+ * @returns {String|null} 头的值
+ */
+function getHeader(headers, name) {
+    if (!headers) {
+        return null;
+    }
+    
+    if (typeof headers.get === 'function') {
+        return headers.get(name);
+    }
+    
+    return headers[name] !== undefined ? String(headers[name]) : null;
+}
+
+/**
+ * 解析Retry-After头（秒数或HTTP日期，RFC 9110）
+ * @param {String} value - 头的值
+ * @param {Number} now - 当前时间（毫秒）
+ * @returns {Number|null} 可以重试的时间（毫秒时间戳），无法解析时返回null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+    const trimmed = String(value).trim();
+    
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return now + Number(trimmed) * 1000;
+    }
+    
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : date;
+}
+
+/**
+ * 请求调度器类
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options - 配置
+     * @param {Number} options.concurrency - 最大并发请求数（默认4）
+     * @param {Number} options.minInterval - 相邻请求的最小间隔（毫秒）
+     * @param {Logger} options.logger - 日志记录器
+     * @param {WorkflowMetrics} options.metrics - 指标（记录速率限制暂停）
+     */
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, options.concurrency || 4);
+        this.minInterval = options.minInterval || 0;
+        this.logger = options.logger || new Logger();
+        this.metrics = options.metrics || new WorkflowMetrics();
+        
+        this.queue = [];
+        this.active = 0;
+        this.lastStartTime = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+        
+        // 最近一次响应中的速率限制信息
+        this.rateLimit = { remaining: null, reset: null };
+    }
+
+    /**
+     * 将请求加入队列，在并发和速率限制允许时执行
+     * @param {Function} task - 返回Promise的请求
+     * @returns {Promise<*>} 请求结果
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    /**
+     * 启动队列中可以执行的请求
+     */
+    drain() {
+        if (this.timer) {
+            return;
+        }
+        
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const wait = Math.max(this.pausedUntil, this.lastStartTime + this.minInterval) - Date.now();
+            
+            if (wait > 0) {
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.drain();
+                }, wait);
+                return;
+            }
+            
+            const job = this.queue.shift();
+            this.active++;
+            this.lastStartTime = Date.now();
+            
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.active--;
+                    this.drain();
+                });
+        }
+    }
+
+    /**
+     * 暂停所有尚未开始的请求直到指定时间
+     * @param {Number} until - 恢复时间（毫秒时间戳）
+     * @param {String} reason - 暂停原因
+     * @param {String} kind - 指标中的暂停原因（retry_after、secondary、primary、too_many_requests）
+     */
+    pauseUntil(until, reason, kind = 'other') {
+        if (until <= Math.max(this.pausedUntil, Date.now())) {
+            return;
+        }
+        
+        // 只统计新增的等待时间（已在暂停中时延长部分）
+        this.metrics.recordRateLimitWait(kind, until - Math.max(this.pausedUntil, Date.now()));
+        this.pausedUntil = until;
+        this.logger.warn(`⏸️  触发${reason}，暂停API请求 ${Math.ceil((until - Date.now()) / 1000)} 秒`);
+        
+        // 重新计算等待时间
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.drain();
+    }
+
+    /**
+     * 根据响应状态和响应头更新速率限制状态
+     * @param {Number} status - HTTP状态码
+     * @param {Headers|Object} headers - 响应头
+     * @param {String} message - 错误信息（用于识别次级速率限制）
+     * @returns {Boolean} 该响应是否因速率限制被拒绝
+     */
+    observe(status, headers, message = '') {
+        const remaining = getHeader(headers, 'x-ratelimit-remaining') || getHeader(headers, 'ratelimit-remaining');
+        const reset = getHeader(headers, 'x-ratelimit-reset') || getHeader(headers, 'ratelimit-reset');
+        const retryAfter = getHeader(headers, 'retry-after');
+        
+        if (remaining !== null) {
+            this.rateLimit = {
+                remaining: Number(remaining),
+                reset: reset !== null ? Number(reset) * 1000 : null
+            };
+        }
+        
+        const exhausted = remaining !== null && Number(remaining) === 0;
+        const secondary = SECONDARY_LIMIT_PATTERN.test(message);
+        const limited = status === 429 || (status === 403 && (exhausted || secondary || retryAfter !== null));
+        
+        if (retryAfter !== null && (limited || status === 503)) {
+            // 无法解析的Retry-After按次级速率限制的默认时间暂停
+            const until = parseRetryAfter(retryAfter);
+            this.pauseUntil(until !== null ? until : Date.now() + SECONDARY_LIMIT_PAUSE, '速率限制（Retry-After）', 'retry_after');
+        } else if (secondary) {
+            this.pauseUntil(Date.now() + SECONDARY_LIMIT_PAUSE, '次级速率限制', 'secondary');
+        } else if (exhausted && this.rateLimit.reset) {
+            // 额度用完时，即使本次请求成功也要等到重置后再继续
+            this.pauseUntil(this.rateLimit.reset + RESET_MARGIN, '主速率限制', 'primary');
+        } else if (status === 429) {
+            this.pauseUntil(Date.now() + SECONDARY_LIMIT_PAUSE, '速率限制', 'too_many_requests');
+        }
+        
+        return limited;
+    }
+
+    /**
+     * 获取调度器状态
+     * @returns {Object} 状态（并发数、排队数、暂停时间和剩余额度）
+     */
+    getStatus() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+            remaining: this.rateLimit.remaining,
+            reset: this.rateLimit.reset ? new Date(this.rateLimit.reset).toISOString() : null
+        };
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,286 @@
+/**
+ * 敏感信息扫描器
+ * 
+ * 在文件推送到GitHub之前扫描常见的密钥和凭据，
+ * 并根据策略阻止运行、移除相关文件或强制仓库私有。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const { WorkflowError } = require('./errors');
+const { readFileContentSync } = require('./content-store');
+const { Logger } = require('./logger');
+
+/**
+ * 内容匹配规则
+ */
+const CONTENT_RULES = [
+    {
+        id: 'aws-access-key-id',
+        description: 'AWS Access Key ID',
+        pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+    },
+    {
+        id: 'aws-secret-access-key',
+        description: 'AWS Secret Access Key',
+        pattern: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}\b/gi
+    },
+    {
+        id: 'github-token',
+        description: 'GitHub Token',
+        pattern: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}\b|\bgithub_pat_[A-Za-z0-9_]{22,}\b/g
+    },
+    {
+        id: 'private-key',
+        description: 'PEM私钥',
+        pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g
+    },
+    {
+        id: 'slack-token',
+        description: 'Slack Token',
+        pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g
+    },
+    {
+        id: 'google-api-key',
+        description: 'Google API Key',
+        pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g
+    },
+    {
+        id: 'stripe-secret-key',
+        description: 'Stripe Secret Key',
+        pattern: /\b[sr]k_live_[0-9a-zA-Z]{24,}\b/g
+    }
+];
+
+/**
+ * 高熵字符串检测：只检查赋值给敏感名称的值，避免误报
+ */
+const SECRET_ASSIGNMENT = /(?:secret|token|passw(?:or)?d|pwd|api_?key|access_?key|private_?key|credential)[A-Za-z0-9_]*["']?\s*[:=]\s*["']([^"'\s]{16,})["']/gi;
+
+/**
+ * 文件名匹配规则
+ */
+const FILE_RULES = [
+    {
+        id: 'dotenv-file',
+        description: '.env环境变量文件',
+        test: name => /^\.env(\..+)?$/.test(name) && !/\.(example|sample|template|dist)$/.test(name)
+    },
+    {
+        // .pem和.key也可能是公钥证书、CA证书包或Keynote文档，由内容规则private-key判断
+        id: 'private-key-file',
+        description: '私钥文件',
+        test: name => /\.(p12|pfx)$/i.test(name) || /^id_(rsa|dsa|ecdsa|ed25519)$/.test(name)
+    }
+];
+
+/**
+ * 支持的处理策略
+ * - block: 发现敏感信息时终止工作流
+ * - drop: 移除包含敏感信息的文件后继续
+ * - private: 强制创建私有仓库后继续（现有的公开仓库终止推送）
+ * - off: 不扫描
+ */
+const POLICIES = ['block', 'drop', 'private', 'off'];
+
+/**
+ * 敏感信息扫描器类
+ */
+class SecretScanner {
+    constructor(options = {}) {
+        this.policy = options.policy || 'block';
+        this.entropyThreshold = options.entropyThreshold || 4.0;
+        this.maxScanSize = options.maxScanSize || 1024 * 1024; // 1MB
+        this.allowlist = options.allowlist || [];
+        this.logger = options.logger || new Logger();
+        
+        if (!POLICIES.includes(this.policy)) {
+            throw new Error(`无效的敏感信息处理策略: ${this.policy}`);
+        }
+    }
+
+    /**
+     * 扫描文件列表
+     * @param {Array} files - 解压后的文件列表
+     * @returns {Object} 扫描报告
+     */
+    scan(files) {
+        const report = {
+            policy: this.policy,
+            scannedFiles: 0,
+            skippedFiles: 0,
+            findings: []
+        };
+        
+        if (this.policy === 'off') {
+            return report;
+        }
+        
+        files.forEach(file => {
+            if (this.allowlist.includes(file.path)) {
+                report.skippedFiles++;
+                return;
+            }
+            
+            // 文件名本身即可判定的情况（.env、私钥文件）
+            FILE_RULES.forEach(rule => {
+                if (rule.test(file.name)) {
+                    report.findings.push({
+                        path: file.path,
+                        rule: rule.id,
+                        description: rule.description
+                    });
+                }
+            });
+            
+            // 暂存区中超过扫描上限的文件不必读取
+            if (file.content === undefined && file.size > this.maxScanSize) {
+                report.skippedFiles++;
+                return;
+            }
+            
+            const buffer = readFileContentSync(file);
+            if (buffer.length > this.maxScanSize || this.isBinary(buffer)) {
+                report.skippedFiles++;
+                return;
+            }
+            
+            report.scannedFiles++;
+            report.findings.push(...this.scanContent(file.path, buffer.toString('utf8')));
+        });
+        
+        if (report.findings.length > 0) {
+            this.logger.info(`🔐 发现 ${report.findings.length} 处疑似敏感信息`);
+        }
+        
+        return report;
+    }
+
+    /**
+     * 扫描文本内容
+     * @param {String} filePath - 文件路径
+     * @param {String} text - 文件内容
+     * @returns {Array} 发现列表
+     */
+    scanContent(filePath, text) {
+        const findings = [];
+        
+        CONTENT_RULES.forEach(rule => {
+            for (const match of text.matchAll(rule.pattern)) {
+                findings.push({
+                    path: filePath,
+                    rule: rule.id,
+                    description: rule.description,
+                    line: this.lineNumberAt(text, match.index),
+                    match: this.redact(match[0])
+                });
+            }
+        });
+        
+        for (const match of text.matchAll(SECRET_ASSIGNMENT)) {
+            const value = match[1];
+            if (this.calculateEntropy(value) >= this.entropyThreshold) {
+                findings.push({
+                    path: filePath,
+                    rule: 'high-entropy-string',
+                    description: '高熵字符串',
+                    line: this.lineNumberAt(text, match.index),
+                    match: this.redact(value)
+                });
+            }
+        }
+        
+        return findings;
+    }
+
+    /**
+     * 按策略处理扫描结果
+     * @param {Array} files - 文件列表
+     * @param {Object} report - 扫描报告
+     * @returns {Object} 处理后的文件列表、被移除的文件和是否强制私有
+     */
+    applyPolicy(files, report) {
+        const outcome = {
+            files: files,
+            droppedFiles: [],
+            forcePrivate: false
+        };
+        
+        if (report.findings.length === 0) {
+            return outcome;
+        }
+        
+        const affectedPaths = new Set(report.findings.map(finding => finding.path));
+        
+        switch (this.policy) {
+            case 'block':
+                throw new WorkflowError(
+                    `检测到敏感信息，已终止推送: ${affectedPaths.size} 个文件，${report.findings.length} 处`,
+                    'SECRETS_DETECTED',
+                    { findings: report.findings }
+                );
+            
+            case 'drop':
+                outcome.files = files.filter(file => !affectedPaths.has(file.path));
+                outcome.droppedFiles = Array.from(affectedPaths);
+                this.logger.info(`🗑️  已移除 ${outcome.droppedFiles.length} 个包含敏感信息的文件`);
+                break;
+            
+            case 'private':
+                outcome.forcePrivate = true;
+                this.logger.info(`🔒 检测到敏感信息，只推送到私有仓库`);
+                break;
+        }
+        
+        return outcome;
+    }
+
+    /**
+     * 计算字符串的香农熵
+     * @param {String} value - 字符串
+     * @returns {Number} 每字符的熵（比特）
+     */
+    calculateEntropy(value) {
+        const counts = {};
+        for (const char of value) {
+            counts[char] = (counts[char] || 0) + 1;
+        }
+        
+        return Object.values(counts).reduce((entropy, count) => {
+            const p = count / value.length;
+            return entropy - p * Math.log2(p);
+        }, 0);
+    }
+
+    /**
+     * 判断内容是否为二进制
+     * @param {Buffer} buffer - 文件内容
+     * @returns {Boolean} 是否为二进制
+     */
+    isBinary(buffer) {
+        return buffer.subarray(0, 8000).includes(0);
+    }
+
+    /**
+     * 计算字符偏移所在的行号
+     * @param {String} text - 文本
+     * @param {Number} index - 字符偏移
+     * @returns {Number} 行号（从1开始）
+     */
+    lineNumberAt(text, index) {
+        return text.substring(0, index).split('\n').length;
+    }
+
+    /**
+     * 脱敏显示匹配内容
+     * @param {String} value - 匹配内容
+     * @returns {String} 脱敏后的内容
+     */
+    redact(value) {
+        return value.length <= 8 ? '****' : `${value.substring(0, 4)}****`;
+    }
+}
+
+// 导出扫描器类
+module.exports = SecretScanner;
@@ -0,0 +1,603 @@
+/**
+ * HTTP服务模式
+ * 
+ * 把WorkflowController包装为HTTP接口，供不经过n8n的内部工具调用：
+ * POST /jobs 提交压缩包（multipart上传或base64 JSON）到任务队列，立即返回任务ID；
+ * GET /jobs 列出任务；GET /jobs/:id 查询任务状态和processWorkflow返回的summary；
+ * DELETE /jobs/:id 取消任务；GET /health 复用testConnections检查代码托管平台连接；
+ * GET /metrics 输出Prometheus格式的指标。
+ * 
+ * 默认只监听127.0.0.1，未配置访问令牌时拒绝监听其他地址。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const busboy = require('busboy');
+const { JobQueue } = require('./job-queue');
+const { WorkflowError } = require('./errors');
+const { METRICS_CONTENT_TYPE } = require('./metrics');
+
+/**
+ * 允许通过接口传入的处理选项，其余字段（如resumeJob、githubOptions）忽略
+ */
+const SERVICE_OPTIONS = [
+    'private',
+    'description',
+    'createReadme',
+    'commitMode',
+    'targetMode',
+    'sync',
+    'protectedPaths',
+    'pullRequest',
+    'dryRun',
+    'streaming',
+    'secretPolicy',
+    'secretScanAllowlist',
+    'stripRootDirectory',
+    'pathPrefix',
+    'ignorePatterns',
+    'lfs',
+    'organization',
+    'repositorySettings'
+];
+
+/**
+ * 错误代码对应的HTTP状态码
+ */
+const ERROR_STATUS = {
+    INVALID_REQUEST: 400,
+    UNAUTHORIZED: 401,
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    JOB_EXISTS: 409,
+    JOB_FINISHED: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415
+};
+
+/**
+ * 默认监听地址（只接受本机连接）
+ */
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * JSON请求中除base64内容外允许的额外大小
+ */
+const JSON_OVERHEAD = 1024 * 1024;
+
+/**
+ * 上传文件名前缀
+ */
+const UPLOAD_PREFIX = 'n8n-upload-';
+
+/**
+ * 判断监听地址是否只接受本机连接
+ * @param {String} host - 监听地址
+ * @returns {Boolean} 是否为本机地址
+ */
+function isLoopbackHost(host) {
+    return host === 'localhost' || host === '::1' || /^127(\.\d{1,3}){3}$/.test(host);
+}
+
+/**
+ * 工作流HTTP服务
+ */
+class WorkflowServer {
+    /**
+     * @param {WorkflowController} controller - 工作流控制器
+     * @param {Object} options - 配置选项
+     * @param {String} options.token - 访问令牌（设置后/jobs接口需要 Authorization: Bearer <令牌>）
+     * @param {JobQueue} options.queue - 任务队列（默认创建内存队列）
+     * @param {String} options.uploadDir - 上传文件的保存目录（默认为持久化队列目录下的uploads，
+     *                                     否则为spoolDir或系统临时目录）
+     */
+    constructor(controller, options = {}) {
+        this.controller = controller;
+        this.token = options.token || null;
+        if (this.token && typeof controller.logger.addSecret === 'function') {
+            controller.logger.addSecret(this.token);
+        }
+        this.queue = options.queue || new JobQueue(controller);
+        this.uploadDir = options.uploadDir ||
+            (this.queue.store.directory ? path.join(this.queue.store.directory, 'uploads') : null) ||
+            controller.config.spoolDir ||
+            os.tmpdir();
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    /**
+     * 开始监听
+     * 未配置访问令牌时只允许监听本机地址，避免任何能访问该端口的人提交任务
+     * @param {Number} port - 端口（0表示随机端口）
+     * @param {String} host - 监听地址（默认127.0.0.1）
+     * @returns {Promise<Object>} 实际监听的地址（address、port）
+     */
+    listen(port = 3000, host = DEFAULT_HOST) {
+        host = host || DEFAULT_HOST;
+        
+        if (!this.token && !isLoopbackHost(host)) {
+            return Promise.reject(new WorkflowError(
+                `未配置访问令牌（WORKFLOW_SERVICE_TOKEN），不能监听非本机地址: ${host}`,
+                'TOKEN_REQUIRED',
+                { host }
+            ));
+        }
+        
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.off('error', reject);
+                const address = this.server.address();
+                this.controller.log(`🌐 HTTP服务已启动: http://${host.includes(':') ? `[${host}]` : host}:${address.port}`);
+                resolve(address);
+            });
+        });
+    }
+
+    /**
+     * 停止接受新连接（正在执行的任务不会中断）
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            this.server.close(error => error ? reject(error) : resolve());
+        });
+    }
+
+    /**
+     * 处理请求
+     * @param {http.IncomingMessage} req - 请求
+     * @param {http.ServerResponse} res - 响应
+     */
+    async handle(req, res) {
+        try {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const jobMatch = pathname.match(/^\/jobs\/([^/]+)$/);
+            
+            if (pathname === '/health') {
+                this.requireMethod(req, 'GET');
+                this.authorize(req);
+                await this.handleHealth(res);
+            } else if (pathname === '/metrics') {
+                this.requireMethod(req, 'GET');
+                this.authorize(req);
+                this.handleMetrics(res);
+            } else if (pathname === '/jobs') {
+                this.requireMethod(req, ['GET', 'POST']);
+                this.authorize(req);
+                if (req.method === 'POST') {
+                    await this.handleSubmit(req, res);
+                } else {
+                    this.sendJson(res, 200, { jobs: this.queue.list() });
+                }
+            } else if (jobMatch) {
+                this.requireMethod(req, ['GET', 'DELETE']);
+                this.authorize(req);
+                if (req.method === 'DELETE') {
+                    this.sendJson(res, 200, await this.queue.cancel(decodeURIComponent(jobMatch[1])));
+                } else {
+                    await this.handleStatus(decodeURIComponent(jobMatch[1]), res);
+                }
+            } else {
+                throw new WorkflowError(`接口不存在: ${pathname}`, 'NOT_FOUND');
+            }
+        } catch (error) {
+            this.sendError(req, res, error);
+        }
+    }
+
+    /**
+     * GET /health：检查代码托管平台连接（会调用平台API，设置令牌时需要认证）
+     * @param {http.ServerResponse} res - 响应
+     */
+    async handleHealth(res) {
+        const results = await this.controller.testConnections();
+        this.sendJson(res, results.overall ? 200 : 503, results);
+    }
+
+    /**
+     * GET /metrics：以Prometheus文本格式输出指标（先刷新队列中各状态的任务数）
+     * @param {http.ServerResponse} res - 响应
+     */
+    handleMetrics(res) {
+        const counts = { queued: 0, running: 0 };
+        this.queue.list().forEach(job => {
+            if (job.status in counts) {
+                counts[job.status]++;
+            }
+        });
+        
+        this.controller.metrics.setQueueJobs(counts);
+        res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+        res.end(this.controller.getMetrics());
+    }
+
+    /**
+     * POST /jobs：接收压缩包并加入任务队列
+     * @param {http.IncomingMessage} req - 请求
+     * @param {http.ServerResponse} res - 响应
+     */
+    async handleSubmit(req, res) {
+        const contentType = req.headers['content-type'] || '';
+        let upload;
+        
+        if (contentType.startsWith('multipart/form-data')) {
+            upload = await this.readMultipart(req);
+        } else if (contentType.startsWith('application/json')) {
+            upload = this.readJsonUpload(await this.readJson(req));
+        } else {
+            throw new WorkflowError('请求需要为 multipart/form-data 或 application/json', 'UNSUPPORTED_MEDIA_TYPE');
+        }
+        
+        let job;
+        try {
+            job = await this.queue.add(upload.input, upload.options, {
+                priority: upload.priority,
+                removeInput: upload.removeInput
+            });
+        } catch (error) {
+            if (upload.removeInput) {
+                await fs.promises.rm(upload.input.path, { force: true });
+            }
+            throw error;
+        }
+        
+        this.sendJson(res, 202, {
+            jobId: job.jobId,
+            status: job.status,
+            statusUrl: `/jobs/${job.jobId}`
+        });
+    }
+
+    /**
+     * GET /jobs/:id：查询任务状态，内存中没有时从任务日志读取（服务重启前的任务）
+     * @param {String} jobId - 任务ID
+     * @param {http.ServerResponse} res - 响应
+     */
+    async handleStatus(jobId, res) {
+        const job = this.queue.get(jobId);
+        
+        if (job) {
+            this.sendJson(res, 200, job);
+            return;
+        }
+        
+        const journalJob = this.controller.journal
+            ? await this.controller.journal.get(jobId).catch(() => null)
+            : null;
+        
+        if (!journalJob) {
+            throw new WorkflowError(`任务不存在: ${jobId}`, 'NOT_FOUND');
+        }
+        
+        this.sendJson(res, 200, {
+            jobId: journalJob.jobId,
+            status: journalJob.status,
+            fileName: journalJob.source ? journalJob.source.fileName : null,
+            createdAt: journalJob.createdAt,
+            updatedAt: journalJob.updatedAt,
+            repositoryUrl: journalJob.repository ? journalJob.repository.url : null,
+            summary: null,
+            error: journalJob.error
+        });
+    }
+
+    /**
+     * 读取multipart表单：file字段为压缩包（写入上传目录），options字段为JSON格式的处理选项，
+     * priority字段为优先级
+     * @param {http.IncomingMessage} req - 请求
+     * @returns {Promise<Object>} input（{ path, fileName }）、fileName、options、priority、removeInput
+     */
+    readMultipart(req) {
+        return new Promise((resolve, reject) => {
+            let parser;
+            try {
+                parser = busboy({
+                    headers: req.headers,
+                    limits: { files: 1, fileSize: this.controller.config.maxFileSize }
+                });
+            } catch (error) {
+                reject(new WorkflowError(`表单解析失败: ${error.message}`, 'INVALID_REQUEST'));
+                return;
+            }
+            
+            const fields = {};
+            let saving = null;
+            let failed = false;
+            
+            parser.on('field', (name, value) => {
+                fields[name] = value;
+            });
+            
+            parser.on('file', (name, stream, info) => {
+                if (name !== 'file' || saving) {
+                    stream.resume();
+                    return;
+                }
+                saving = this.saveUpload(stream, info.filename);
+                // 表单结束前出错时避免未处理的拒绝，结果在close事件中统一处理
+                saving.catch(() => {});
+            });
+            
+            parser.on('error', error => {
+                const failure = new WorkflowError(`表单解析失败: ${error.message}`, 'INVALID_REQUEST');
+                failed = true;
+                
+                if (!saving) {
+                    reject(failure);
+                    return;
+                }
+                
+                // 文件可能已全部写入上传目录（未写完时busboy终止文件流，saveUpload删除部分文件）
+                saving
+                    .then(file => fs.promises.rm(file.input.path, { force: true }), () => {})
+                    .finally(() => reject(failure));
+            });
+            
+            // 客户端中途断开时表单不会结束，按解析失败处理
+            req.on('close', () => {
+                if (!req.complete) {
+                    parser.destroy(new Error('请求已中断'));
+                }
+            });
+            
+            // 出错后同样会触发close，由error处理
+            parser.on('close', () => {
+                if (failed) {
+                    return;
+                }
+                
+                if (!saving) {
+                    reject(new WorkflowError('缺少file字段', 'INVALID_REQUEST'));
+                    return;
+                }
+                
+                saving.then(file => {
+                    try {
+                        resolve({
+                            ...file,
+                            options: this.parseOptions(fields.options),
+                            priority: this.parsePriority(fields.priority)
+                        });
+                    } catch (error) {
+                        fs.promises.rm(file.input.path, { force: true }).finally(() => reject(error));
+                    }
+                }, reject);
+            });
+            
+            req.pipe(parser);
+        });
+    }
+
+    /**
+     * 把上传的文件写入上传目录，原文件名随输入一起传递（用于识别扩展名和生成仓库名）
+     * @param {Readable} stream - 文件数据流
+     * @param {String} originalName - 上传的文件名
+     * @returns {Promise<Object>} input（{ path, fileName }）、fileName、removeInput
+     */
+    async saveUpload(stream, originalName) {
+        const fileName = path.basename(originalName || '');
+        
+        try {
+            this.validateFileName(fileName);
+        } catch (error) {
+            stream.resume();
+            throw error;
+        }
+        
+        await fs.promises.mkdir(this.uploadDir, { recursive: true });
+        const filePath = path.join(this.uploadDir, `${UPLOAD_PREFIX}${crypto.randomBytes(8).toString('hex')}`);
+        
+        try {
+            await pipeline(stream, fs.createWriteStream(filePath));
+            
+            // 超过大小限制时busboy截断文件而不是报错
+            if (stream.truncated) {
+                throw new WorkflowError(`文件大小超过限制: ${this.controller.config.maxFileSize}`, 'PAYLOAD_TOO_LARGE');
+            }
+        } catch (error) {
+            await fs.promises.rm(filePath, { force: true });
+            throw error;
+        }
+        
+        return { input: { path: filePath, fileName }, fileName, removeInput: true };
+    }
+
+    /**
+     * 读取JSON请求体（大小上限按base64编码后的maxFileSize计算）
+     * @param {http.IncomingMessage} req - 请求
+     * @returns {Promise<Object>} 解析后的JSON
+     */
+    async readJson(req) {
+        const limit = Math.ceil(this.controller.config.maxFileSize * 4 / 3) + JSON_OVERHEAD;
+        const chunks = [];
+        let size = 0;
+        
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > limit) {
+                throw new WorkflowError(`请求体超过限制: ${limit}`, 'PAYLOAD_TOO_LARGE');
+            }
+            chunks.push(chunk);
+        }
+        
+        try {
+            return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch (error) {
+            throw new WorkflowError(`JSON解析失败: ${error.message}`, 'INVALID_REQUEST');
+        }
+    }
+
+    /**
+     * 校验JSON上传：{ fileName, data（base64）, options, priority }
+     * @param {Object} body - 请求体
+     * @returns {Object} input（{ data, fileName }）、fileName、options、priority
+     */
+    readJsonUpload(body) {
+        if (!body || typeof body.data !== 'string' || !body.data) {
+            throw new WorkflowError('缺少data字段（base64编码的压缩包）', 'INVALID_REQUEST');
+        }
+        
+        const fileName = path.basename(typeof body.fileName === 'string' ? body.fileName : '');
+        this.validateFileName(fileName);
+        
+        return {
+            input: { data: body.data, fileName: fileName },
+            fileName: fileName,
+            options: this.parseOptions(body.options),
+            priority: this.parsePriority(body.priority)
+        };
+    }
+
+    /**
+     * 在接受任务前检查文件名和扩展名，避免提交后才失败
+     * @param {String} fileName - 文件名
+     */
+    validateFileName(fileName) {
+        if (!fileName || fileName === '.' || fileName === '..') {
+            throw new WorkflowError('缺少文件名', 'INVALID_REQUEST');
+        }
+        
+        try {
+            this.controller.zipProcessor.validateFile({ name: fileName, size: 0 });
+        } catch (error) {
+            throw new WorkflowError(error.message, 'INVALID_REQUEST');
+        }
+    }
+
+    /**
+     * 解析处理选项，只保留SERVICE_OPTIONS中的字段
+     * @param {Object|String|undefined} options - 处理选项（multipart中为JSON字符串）
+     * @returns {Object} 处理选项
+     */
+    parseOptions(options) {
+        let parsed = options;
+        
+        if (typeof options === 'string') {
+            try {
+                parsed = JSON.parse(options);
+            } catch (error) {
+                throw new WorkflowError(`options解析失败: ${error.message}`, 'INVALID_REQUEST');
+            }
+        }
+        
+        if (parsed === undefined || parsed === null) {
+            return {};
+        }
+        
+        if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new WorkflowError('options必须为对象', 'INVALID_REQUEST');
+        }
+        
+        return SERVICE_OPTIONS.reduce((result, key) => {
+            if (parsed[key] !== undefined) {
+                result[key] = parsed[key];
+            }
+            return result;
+        }, {});
+    }
+
+    /**
+     * 解析优先级（整数，越大越先执行）
+     * @param {Number|String|undefined} priority - 优先级（multipart中为字符串）
+     * @returns {Number} 优先级
+     */
+    parsePriority(priority) {
+        if (priority === undefined || priority === null || priority === '') {
+            return 0;
+        }
+        
+        const value = Number(priority);
+        if (!Number.isInteger(value)) {
+            throw new WorkflowError(`priority必须为整数: ${priority}`, 'INVALID_REQUEST');
+        }
+        
+        return value;
+    }
+
+    /**
+     * 检查访问令牌（未配置令牌时不检查）
+     * @param {http.IncomingMessage} req - 请求
+     */
+    authorize(req) {
+        if (!this.token) {
+            return;
+        }
+        
+        const expected = Buffer.from(`Bearer ${this.token}`);
+        const actual = Buffer.from(req.headers.authorization || '');
+        
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            throw new WorkflowError('未授权', 'UNAUTHORIZED');
+        }
+    }
+
+    /**
+     * 检查请求方法
+     * @param {http.IncomingMessage} req - 请求
+     * @param {String|Array} methods - 允许的方法
+     */
+    requireMethod(req, methods) {
+        const allowed = [].concat(methods);
+        
+        if (!allowed.includes(req.method)) {
+            throw new WorkflowError(`不支持的请求方法: ${req.method}`, 'METHOD_NOT_ALLOWED', { allow: allowed.join(', ') });
+        }
+    }
+
+    /**
+     * 发送JSON响应
+     * @param {http.ServerResponse} res - 响应
+     * @param {Number} status - HTTP状态码
+     * @param {Object} body - 响应内容
+     */
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+
+    /**
+     * 发送错误响应，格式与processWorkflow失败结果一致（error、code、details）
+     * @param {http.IncomingMessage} req - 请求
+     * @param {http.ServerResponse} res - 响应
+     * @param {Error} error - 错误
+     */
+    sendError(req, res, error) {
+        const status = ERROR_STATUS[error.code] || 500;
+        
+        if (status === 500) {
+            this.controller.log(`❌ 请求处理失败: ${error.message}`, 'error');
+        }
+        
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        
+        // 请求体未读完时关闭连接，不再接收剩余数据
+        if (!req.complete) {
+            res.setHeader('Connection', 'close');
+        }
+        
+        if (error.details && error.details.allow) {
+            res.setHeader('Allow', error.details.allow);
+        }
+        
+        this.sendJson(res, status, {
+            success: false,
+            error: error.message,
+            code: error.code
+        });
+    }
+}
+
+module.exports = {
+    WorkflowServer
+};
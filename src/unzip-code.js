@@ -1,23 +1,82 @@
 /**
  * n8n ZIP解压缩处理器
  * 
- * 这个模块负责处理上传到Google Drive的ZIP文件，
- * 包括下载、解压缩和文件结构分析。
+ * 这个模块负责处理上传到Google Drive的压缩包（ZIP、tar、tar.gz、
+ * tar.bz2、tar.xz、7z、RAR），包括解压缩和文件结构分析。
  * 
  * @author n8n-automation
  * @version 1.0.0
  */
 
-const JSZip = require('jszip');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { calculateBlobSha } = require('./git-utils');
+const { sanitizeArchivePath } = require('./path-safety');
+const { WorkflowError, ArchiveLimitError } = require('./errors');
+const { openArchive, openArchiveFile, ARCHIVE_EXTENSIONS } = require('./archives');
+const { readFileContent } = require('./content-store');
+const { PROGRESS_EVENTS, emitProgress } = require('./progress');
+const { Logger } = require('./logger');
+const { WorkflowMetrics } = require('./metrics');
 
 /**
- * ZIP文件处理器类
+ * 压缩比检查的起始字节数：很小的文件压缩比天然可能很高，不做判断
  */
-class ZipProcessor {
+const RATIO_CHECK_THRESHOLD = 1024 * 1024; // 1MB
+
+/**
+ * 检测根目录时不计入的系统生成条目
+ */
+const ROOT_NOISE_NAMES = ['__MACOSX', '.DS_Store', 'Thumbs.db', 'desktop.ini'];
+
+/**
+ * 根目录剥离模式
+ */
+const STRIP_ROOT_MODES = ['auto', 'always', 'never'];
+
+/**
+ * 生成文件夹名时去掉的压缩包扩展名
+ */
+const ARCHIVE_EXTENSION_PATTERN = /\.(zip|tar|tgz|tbz2?|txz|7z|rar|tar\.(gz|bz2|xz))$/i;
+
+/**
+ * 流式模式下仍保留内容的文件：忽略规则和LFS属性在同步代码中读取，且通常很小
+ */
+const INLINE_CONTENT_NAMES = ['.gitignore', '.gitattributes'];
+
+/**
+ * 非普通文件条目的说明
+ */
+const ENTRY_TYPE_NAMES = {
+    symlink: '符号链接',
+    link: '硬链接',
+    other: '特殊文件'
+};
+
+/**
+ * ZIP文件处理器类（通过'progress'事件报告解压进度）
+ */
+class ZipProcessor extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.maxFileSize = options.maxFileSize || 100 * 1024 * 1024; // 100MB
-        this.allowedExtensions = options.allowedExtensions || ['.zip'];
+        this.allowedExtensions = options.allowedExtensions || ARCHIVE_EXTENSIONS;
         this.encoding = options.encoding || 'base64';
+        
+        // 解压资源限制（防止压缩炸弹），在解压过程中实时检查
+        this.maxEntries = options.maxEntries || 10000;
+        this.maxEntrySize = options.maxEntrySize || 100 * 1024 * 1024; // 100MB
+        this.maxTotalUncompressedSize = options.maxTotalUncompressedSize || 1024 * 1024 * 1024; // 1GB
+        this.maxCompressionRatio = options.maxCompressionRatio || 100;
+        this.maxDepth = options.maxDepth || 32;
+        
+        // 路径映射：剥离单一根目录、映射到目标仓库的子目录
+        this.stripRootDirectory = options.stripRootDirectory || 'never';
+        this.pathPrefix = options.pathPrefix || '';
+        
+        // 日志记录器和指标（WorkflowController传入共用的实例）
+        this.logger = options.logger || new Logger();
+        this.metrics = options.metrics || new WorkflowMetrics();
     }
 
     /**
@@ -41,29 +100,109 @@ class ZipProcessor {
     }
 
     /**
-     * 处理ZIP文件的主要方法
-     * @param {Buffer|String} zipData - ZIP文件数据
+     * 处理压缩包的主要方法（按文件头识别格式，不依赖扩展名）
+     * @param {Buffer|String} zipData - 压缩包数据
      * @param {String} originalFileName - 原始文件名
+     * @param {Object} options - 可覆盖stripRootDirectory、pathPrefix；
+     *                           contentStore: 文件内容写入暂存区而不是保存在内存中
      * @returns {Promise<Object>} 处理结果
      */
-    async processZipFile(zipData, originalFileName) {
+    async processZipFile(zipData, originalFileName, options = {}) {
+        return this.processArchive(originalFileName, options, () => {
+            const buffer = Buffer.isBuffer(zipData)
+                ? zipData
+                : Buffer.from(zipData, this.encoding === 'base64' ? 'base64' : 'binary');
+            
+            return openArchive(buffer, this.getArchiveLimits());
+        });
+    }
+
+    /**
+     * 直接从文件处理压缩包（流式模式），文件内容写入暂存区
+     * ZIP、tar、tar.gz、tar.xz不会整体读入内存
+     * @param {String} archivePath - 压缩包路径
+     * @param {String} originalFileName - 原始文件名
+     * @param {Object} options - stripRootDirectory、pathPrefix、contentStore（必需）
+     * @returns {Promise<Object>} 处理结果
+     */
+    async processArchiveFile(archivePath, originalFileName, options = {}) {
+        if (!options.contentStore) {
+            throw new Error('流式处理需要提供contentStore');
+        }
+        
+        return this.processArchive(originalFileName, options, () => openArchiveFile(
+            archivePath,
+            this.getArchiveLimits(),
+            { tempDir: options.contentStore.directory, logger: this.logger }
+        ));
+    }
+
+    /**
+     * 获取传给读取器的资源限制
+     * @returns {Object} 资源限制
+     */
+    getArchiveLimits() {
+        return {
+            maxEntries: this.maxEntries,
+            maxEntrySize: this.maxEntrySize,
+            maxTotalUncompressedSize: this.maxTotalUncompressedSize,
+            maxCompressionRatio: this.maxCompressionRatio,
+            ratioCheckThreshold: RATIO_CHECK_THRESHOLD
+        };
+    }
+
+    /**
+     * 打开压缩包、提取文件并生成处理结果
+     * @param {String} originalFileName - 原始文件名
+     * @param {Object} options - stripRootDirectory、pathPrefix、contentStore、onProgress
+     * @param {Function} open - 打开压缩包，返回 { format, entries, close? }
+     * @returns {Promise<Object>} 处理结果
+     */
+    async processArchive(originalFileName, options, open) {
+        const startTime = Date.now();
+        let format = 'unknown';
+        
         try {
-            console.log(`开始处理ZIP文件: ${originalFileName}`);
+            this.logger.info(`开始处理压缩包: ${originalFileName}`);
             
-            // 移除.zip扩展名获取文件夹名
+            // 移除压缩包扩展名获取文件夹名
             const folderName = this.generateFolderName(originalFileName);
             
-            // 创建JSZip实例并加载文件
-            const zip = new JSZip();
-            await zip.loadAsync(zipData, {
-                base64: this.encoding === 'base64',
-                checkCRC32: true,
-                optimizedBinaryString: false,
-                createFolders: true
-            });
+            // 识别格式并读取条目列表
+            const archive = await open();
+            format = archive.format;
+            this.logger.info(`📦 压缩包格式: ${archive.format}`);
+            this.reportProgress(PROGRESS_EVENTS.EXTRACTION_STARTED, {
+                fileName: originalFileName,
+                format: archive.format,
+                total: archive.entries.filter(entry => entry.type !== 'directory').length
+            }, options);
+            
+            // 提取所有文件（不安全的路径记录在rejectedEntries中）
+            const rejectedEntries = [];
+            let rawFiles;
+            try {
+                rawFiles = await this.extractAllFiles(
+                    archive.entries,
+                    rejectedEntries,
+                    options.contentStore,
+                    options.onProgress
+                );
+            } finally {
+                if (archive.close) {
+                    await archive.close();
+                }
+            }
             
-            // 提取所有文件
-            const extractedFiles = await this.extractAllFiles(zip);
+            // 映射到最终路径（剥离根目录、添加前缀）
+            const { files: extractedFiles, strippedRoot, pathPrefix } = this.relocateFiles(
+                rawFiles,
+                {
+                    stripRootDirectory: options.stripRootDirectory || this.stripRootDirectory,
+                    pathPrefix: options.pathPrefix !== undefined ? options.pathPrefix : this.pathPrefix
+                },
+                rejectedEntries
+            );
             
             // 构建文件夹结构
             const fileStructure = this.buildFileStructure(extractedFiles);
@@ -73,24 +212,56 @@ class ZipProcessor {
             
             const result = {
                 success: true,
+                format: archive.format,
                 folderName: folderName,
                 extractedFiles: extractedFiles,
                 fileCount: extractedFiles.length,
+                rejectedEntries: rejectedEntries,
+                strippedRoot: strippedRoot,
+                pathPrefix: pathPrefix,
                 fileStructure: fileStructure,
                 statistics: statistics,
                 timestamp: new Date().toISOString(),
                 processingTime: process.hrtime.bigint()
             };
             
-            console.log(`✅ ZIP文件处理完成: ${extractedFiles.length} 个文件`);
+            if (rejectedEntries.length > 0) {
+                this.logger.warn(`已拒绝 ${rejectedEntries.length} 个条目（路径不安全或冲突）`);
+            }
+            
+            this.logger.info(`✅ 压缩包处理完成: ${extractedFiles.length} 个文件`);
+            this.reportProgress(PROGRESS_EVENTS.EXTRACTION_COMPLETED, {
+                fileName: originalFileName,
+                format: archive.format,
+                fileCount: extractedFiles.length,
+                rejectedCount: rejectedEntries.length,
+                bytes: statistics.totalSize
+            }, options);
+            this.metrics.recordExtraction(format, 'success', Date.now() - startTime, statistics.totalSize);
             return result;
             
         } catch (error) {
-            console.error(`❌ ZIP文件处理失败: ${error.message}`);
-            throw new Error(`ZIP文件处理失败: ${error.message}`);
+            this.logger.error(`压缩包处理失败: ${error.message}`);
+            this.metrics.recordExtraction(format, 'failed', Date.now() - startTime);
+            
+            // 保留错误代码，便于工作流路由到拒绝分支
+            if (error instanceof WorkflowError) {
+                throw error;
+            }
+            throw new Error(`压缩包处理失败: ${error.message}`);
         }
     }
 
+    /**
+     * 报告进度事件（触发'progress'事件并调用本次处理的onProgress回调）
+     * @param {String} type - 事件类型
+     * @param {Object} data - 事件数据
+     * @param {Object} options - 处理选项（onProgress）
+     */
+    reportProgress(type, data, options = {}) {
+        emitProgress(this, type, data, options.onProgress);
+    }
+
     /**
      * 生成文件夹名称
      * @param {String} originalFileName - 原始文件名
@@ -98,7 +269,7 @@ class ZipProcessor {
      */
     generateFolderName(originalFileName) {
         return originalFileName
-            .replace(/\.zip$/i, '')
+            .replace(ARCHIVE_EXTENSION_PATTERN, '')
             .replace(/[^a-zA-Z0-9\-_]/g, '-')
             .replace(/-+/g, '-')
             .replace(/^-|-$/g, '')
@@ -106,22 +277,69 @@ class ZipProcessor {
     }
 
     /**
-     * 提取ZIP文件中的所有文件
-     * @param {JSZip} zip - JSZip实例
+     * 提取压缩包中的所有文件
+     * @param {Array} entries - 读取器返回的条目列表（见 src/archives/index.js）
+     * @param {Array} rejectedEntries - 收集被拒绝条目（path、reason）的数组
+     * @param {ContentStore} contentStore - 暂存区（提供时文件对象只有contentFile，没有content）
+     * @param {Function} onProgress - 进度回调（每个文件提取后收到entry:extracted事件）
      * @returns {Promise<Array>} 提取的文件列表
      */
-    async extractAllFiles(zip) {
+    async extractAllFiles(entries, rejectedEntries = [], contentStore = null, onProgress = null) {
         const extractedFiles = [];
-        const totalFiles = Object.keys(zip.files).filter(path => !zip.files[path].dir).length;
+        const seenPaths = new Set();
+        const totalFiles = entries.filter(entry => entry.type !== 'directory').length;
+        const inflateState = { totalBytes: 0 };
         let processedCount = 0;
         
-        console.log(`开始提取 ${totalFiles} 个文件...`);
+        // 条目数量在解压前即可确定
+        if (totalFiles > this.maxEntries) {
+            throw new ArchiveLimitError(
+                `压缩包条目数量超过限制: ${totalFiles} > ${this.maxEntries}`,
+                'maxEntries',
+                { actual: totalFiles, max: this.maxEntries }
+            );
+        }
+        
+        this.logger.info(`开始提取 ${totalFiles} 个文件...`);
         
-        for (const [relativePath, zipEntry] of Object.entries(zip.files)) {
-            if (!zipEntry.dir) { // 只处理文件，不处理目录
+        for (const entry of entries) {
+            if (entry.type !== 'directory') { // 只处理文件，不处理目录
+                const originalPath = entry.path;
+                
+                // 链接可能指向压缩包外的文件，不推送
+                if (entry.type !== 'file') {
+                    const reason = `不支持的条目类型: ${ENTRY_TYPE_NAMES[entry.type]}`;
+                    rejectedEntries.push({ path: originalPath, reason: reason });
+                    this.logger.warn(`拒绝条目 ${originalPath}: ${reason}`);
+                    continue;
+                }
+                
+                const sanitized = sanitizeArchivePath(originalPath);
+                
+                if (!sanitized.safe || seenPaths.has(sanitized.path)) {
+                    const reason = sanitized.safe ? '规范化后路径重复' : sanitized.reason;
+                    rejectedEntries.push({ path: originalPath, reason: reason });
+                    this.logger.warn(`拒绝条目 ${originalPath}: ${reason}`);
+                    continue;
+                }
+                
+                const relativePath = sanitized.path;
+                seenPaths.add(relativePath);
+                
+                const depth = relativePath.split('/').length - 1;
+                if (depth > this.maxDepth) {
+                    throw new ArchiveLimitError(
+                        `目录嵌套深度超过限制: ${depth} > ${this.maxDepth} (${relativePath})`,
+                        'maxDepth',
+                        { actual: depth, max: this.maxDepth, path: relativePath }
+                    );
+                }
+                
                 try {
-                    // 获取文件内容
-                    const fileContent = await zipEntry.async('base64');
+                    // 获取文件内容（边解压边检查资源限制）
+                    const content = contentStore
+                        ? await this.spoolEntry(entry, relativePath, inflateState, contentStore)
+                        : this.describeContent(await this.inflateEntry(entry, relativePath, inflateState));
                     
                     // 检测文件类型
                     const mimeType = this.detectMimeType(relativePath);
@@ -130,26 +348,36 @@ class ZipProcessor {
                     const fileInfo = {
                         path: relativePath,
                         name: relativePath.split('/').pop(),
-                        content: fileContent,
-                        size: zipEntry._data ? zipEntry._data.uncompressedSize : 0,
-                        compressedSize: zipEntry._data ? zipEntry._data.compressedSize : 0,
+                        ...content,
+                        compressedSize: entry.compressedSize,
                         directory: relativePath.includes('/') ? 
                             relativePath.substring(0, relativePath.lastIndexOf('/')) : '',
                         mimeType: mimeType,
-                        lastModified: zipEntry.date || new Date(),
-                        checksum: this.calculateChecksum(fileContent)
+                        mode: entry.mode,
+                        lastModified: entry.lastModified
                     };
                     
                     extractedFiles.push(fileInfo);
                     processedCount++;
+                    this.reportProgress(PROGRESS_EVENTS.ENTRY_EXTRACTED, {
+                        path: relativePath,
+                        size: fileInfo.size,
+                        completed: processedCount,
+                        total: totalFiles,
+                        bytes: inflateState.totalBytes
+                    }, { onProgress });
                     
                     // 显示处理进度
                     if (processedCount % 10 === 0 || processedCount === totalFiles) {
-                        console.log(`进度: ${processedCount}/${totalFiles} 文件已处理`);
+                        this.logger.info(`进度: ${processedCount}/${totalFiles} 文件已处理`);
                     }
                     
                 } catch (error) {
-                    console.error(`提取文件失败 ${relativePath}: ${error.message}`);
+                    // 超出资源限制时终止整个解压过程
+                    if (error instanceof ArchiveLimitError) {
+                        throw error;
+                    }
+                    this.logger.error(`提取文件失败 ${relativePath}: ${error.message}`);
                     // 继续处理其他文件
                 }
             }
@@ -158,6 +386,210 @@ class ZipProcessor {
         return extractedFiles;
     }
 
+    /**
+     * 将解压出的文件映射到最终的仓库路径
+     * - auto: 所有文件（忽略__MACOSX等系统条目）都位于同一个根目录下时剥离该目录
+     * - always: 剥离每个文件路径的第一级目录，根目录下的文件和__MACOSX等系统条目保持不变
+     * - never: 保持原路径
+     * @param {Array} files - 解压后的文件列表
+     * @param {Object} options - stripRootDirectory、pathPrefix
+     * @param {Array} rejectedEntries - 收集映射后路径冲突的条目
+     * @returns {Object} 映射后的文件列表、被剥离的根目录和规范化的前缀
+     */
+    relocateFiles(files, options, rejectedEntries = []) {
+        const mode = options.stripRootDirectory || 'never';
+        if (!STRIP_ROOT_MODES.includes(mode)) {
+            throw new Error(`无效的根目录剥离模式: ${mode}`);
+        }
+        
+        let prefix = '';
+        if (options.pathPrefix) {
+            // 前缀是仓库内的目录，允许写成 /docs/ 形式
+            const sanitized = sanitizeArchivePath(options.pathPrefix.replace(/^\/+|\/+$/g, ''));
+            if (!sanitized.safe) {
+                throw new Error(`无效的路径前缀 ${options.pathPrefix}: ${sanitized.reason}`);
+            }
+            prefix = sanitized.path;
+        }
+        
+        const strippedRoot = mode === 'auto' ? this.detectRootDirectory(files) : null;
+        if (strippedRoot) {
+            this.logger.info(`📂 剥离根目录: ${strippedRoot}/`);
+        }
+        
+        const relocated = [];
+        const seenPaths = new Set();
+        
+        files.forEach(file => {
+            let newPath = file.path;
+            
+            if (strippedRoot && newPath.startsWith(`${strippedRoot}/`)) {
+                newPath = newPath.substring(strippedRoot.length + 1);
+            } else if (mode === 'always' && newPath.includes('/') && !ROOT_NOISE_NAMES.includes(newPath.split('/')[0])) {
+                newPath = newPath.substring(newPath.indexOf('/') + 1);
+            }
+            
+            if (prefix) {
+                newPath = `${prefix}/${newPath}`;
+            }
+            
+            if (seenPaths.has(newPath)) {
+                rejectedEntries.push({ path: file.path, reason: `剥离根目录后路径冲突: ${newPath}` });
+                return;
+            }
+            seenPaths.add(newPath);
+            
+            relocated.push({
+                ...file,
+                path: newPath,
+                directory: newPath.includes('/') ? newPath.substring(0, newPath.lastIndexOf('/')) : ''
+            });
+        });
+        
+        return { files: relocated, strippedRoot, pathPrefix: prefix };
+    }
+
+    /**
+     * 检测所有文件是否位于同一个根目录下
+     * @param {Array} files - 解压后的文件列表
+     * @returns {String|null} 根目录名称，不存在单一根目录时返回null
+     */
+    detectRootDirectory(files) {
+        const candidates = files.filter(file => !ROOT_NOISE_NAMES.includes(file.path.split('/')[0]));
+        
+        if (candidates.length === 0 || candidates.some(file => !file.path.includes('/'))) {
+            return null;
+        }
+        
+        const roots = new Set(candidates.map(file => file.path.split('/')[0]));
+        return roots.size === 1 ? Array.from(roots)[0] : null;
+    }
+
+    /**
+     * 生成内存中文件内容的字段
+     * @param {Buffer} buffer - 文件内容
+     * @returns {Object} content（base64）、size、checksum、blobSha
+     */
+    describeContent(buffer) {
+        return {
+            content: buffer.toString('base64'),
+            size: buffer.length,
+            checksum: this.calculateChecksum(buffer),
+            blobSha: calculateBlobSha(buffer)
+        };
+    }
+
+    /**
+     * 将条目解压到暂存区，返回不含内容的文件字段
+     * @param {Object} entry - 压缩包条目
+     * @param {String} relativePath - 条目路径
+     * @param {Object} inflateState - 整个压缩包共享的解压状态
+     * @param {ContentStore} contentStore - 暂存区
+     * @returns {Promise<Object>} contentFile、size、checksum、blobSha、sha256（小的控制文件另含content）
+     */
+    async spoolEntry(entry, relativePath, inflateState, contentStore) {
+        const writer = contentStore.createWriter(entry.size);
+        
+        try {
+            await this.inflateEntry(entry, relativePath, inflateState, writer);
+        } catch (error) {
+            await writer.abort();
+            throw error;
+        }
+        
+        const spooled = await writer.finish();
+        
+        if (INLINE_CONTENT_NAMES.includes(relativePath.split('/').pop())) {
+            spooled.content = (await readFileContent(spooled)).toString('base64');
+        }
+        
+        return spooled;
+    }
+
+    /**
+     * 流式解压单个条目，并在解压过程中检查大小和压缩比限制
+     * （条目头中声明的大小可能被伪造，因此以实际解压的字节数为准）
+     * @param {Object} entry - 压缩包条目
+     * @param {String} relativePath - 条目路径
+     * @param {Object} inflateState - 整个压缩包共享的解压状态（totalBytes）
+     * @param {EntryWriter} writer - 提供时内容写入writer（遵循背压），而不是在内存中拼接
+     * @returns {Promise<Buffer|Number>} 条目内容，写入writer时为解压的字节数
+     */
+    inflateEntry(entry, relativePath, inflateState, writer = null) {
+        const compressedSize = entry.compressedSize || 0;
+        
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let entrySize = 0;
+            let aborted = false;
+            
+            const stream = entry.stream();
+            const abort = (message, limit, actual, max) => {
+                aborted = true;
+                stream.pause();
+                reject(new ArchiveLimitError(message, limit, {
+                    actual: actual,
+                    max: max,
+                    path: relativePath
+                }));
+            };
+            
+            stream
+                .on('data', chunk => {
+                    if (aborted) {
+                        return;
+                    }
+                    
+                    entrySize += chunk.length;
+                    inflateState.totalBytes += chunk.length;
+                    
+                    if (entrySize > this.maxEntrySize) {
+                        return abort(
+                            `单个文件解压后大小超过限制: ${relativePath} > ${this.maxEntrySize} 字节`,
+                            'maxEntrySize', entrySize, this.maxEntrySize
+                        );
+                    }
+                    
+                    if (inflateState.totalBytes > this.maxTotalUncompressedSize) {
+                        return abort(
+                            `解压总大小超过限制: > ${this.maxTotalUncompressedSize} 字节`,
+                            'maxTotalUncompressedSize', inflateState.totalBytes, this.maxTotalUncompressedSize
+                        );
+                    }
+                    
+                    const ratio = compressedSize > 0 ? entrySize / compressedSize : 0;
+                    if (entrySize > RATIO_CHECK_THRESHOLD && ratio > this.maxCompressionRatio) {
+                        return abort(
+                            `压缩比超过限制: ${relativePath} (${ratio.toFixed(1)}:1 > ${this.maxCompressionRatio}:1)`,
+                            'maxCompressionRatio', Number(ratio.toFixed(1)), this.maxCompressionRatio
+                        );
+                    }
+                    
+                    if (!writer) {
+                        chunks.push(chunk);
+                    } else if (!writer.write(chunk)) {
+                        stream.pause();
+                        writer.once('drain', () => {
+                            if (!aborted) {
+                                stream.resume();
+                            }
+                        });
+                    }
+                })
+                .on('error', error => {
+                    if (!aborted) {
+                        reject(error);
+                    }
+                })
+                .on('end', () => {
+                    if (!aborted) {
+                        resolve(writer ? entrySize : Buffer.concat(chunks, entrySize));
+                    }
+                })
+                .resume();
+        });
+    }
+
     /**
      * 构建文件夹结构树
      * @param {Array} extractedFiles - 提取的文件列表
@@ -289,21 +721,12 @@ class ZipProcessor {
 
     /**
      * 计算文件内容校验和
-     * @param {String} content - 文件内容(base64)
+     * @param {Buffer|String} content - 文件内容（字符串视为base64）
      * @returns {String} MD5校验和
      */
     calculateChecksum(content) {
-        // 简单的校验和计算（在生产环境中建议使用crypto模块）
-        let hash = 0;
-        if (content.length === 0) return hash.toString(16);
-        
-        for (let i = 0; i < content.length; i++) {
-            const char = content.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // 转换为32位整数
-        }
-        
-        return Math.abs(hash).toString(16);
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, 'base64');
+        return crypto.createHash('md5').update(buffer).digest('hex');
     }
 }
 
@@ -314,14 +737,13 @@ module.exports = ZipProcessor;
 if (typeof $input !== 'undefined') {
     (async function() {
         try {
-            // 获取上传的ZIP文件数据
+            // 获取上传的压缩包数据
             const zipData = $input.first().binary.data;
             const originalFileName = $input.first().json.name;
             
             // 创建处理器实例
             const processor = new ZipProcessor({
                 maxFileSize: 100 * 1024 * 1024, // 100MB
-                allowedExtensions: ['.zip'],
                 encoding: 'base64'
             });
             
@@ -342,6 +764,8 @@ if (typeof $input !== 'undefined') {
             return {
                 success: false,
                 error: error.message,
+                code: error.code,
+                details: error.details,
                 timestamp: new Date().toISOString()
             };
         }
@@ -0,0 +1,228 @@
+/**
+ * 压缩包读取器测试
+ * 
+ * 格式识别、ZIP和tar的条目类型与权限、tar.gz的压缩大小估算和压缩比限制，
+ * 读取条目列表时的条目数量限制，7z和RAR按实际解压字节数检查的限制。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const SevenZip = require('7z-wasm');
+const { detectFormat, openArchive, openArchiveFile } = require('../src/archives');
+const { createTar } = require('./helpers');
+
+const LIMITS = {
+    maxEntries: 100,
+    maxTotalUncompressedSize: 64 * 1024 * 1024,
+    maxCompressionRatio: 100,
+    ratioCheckThreshold: 1024
+};
+
+/**
+ * 包含r/hello.txt和r/sub/b.js的RAR5压缩包（测试环境没有rar命令，无法现场生成）
+ */
+const RAR_ARCHIVE = Buffer.from(
+    'UmFyIRoHAM+QcwAADQAAAAAAAADkpHQAgCsACgAAAAoAAAADndKAsQAAa1oUMAsApIEAAHIvaGVsbG8udHh0aGVsbG8gcmFyCsGF' +
+    'dACAKgALAAAACwAAAAODNjBLAABrWhQwCgDtgQAAci9zdWIvYi5qc2xldCBiID0gMjsKxD17AEAHAA==',
+    'base64'
+);
+
+/**
+ * 读取条目内容
+ * @param {Object} entry - 条目
+ * @returns {Promise<String>} 内容
+ */
+function readEntry(entry) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        entry.stream()
+            .on('data', chunk => chunks.push(Buffer.from(chunk)))
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+            .resume();
+    });
+}
+
+/**
+ * 按路径索引条目
+ * @param {Array} entries - 条目列表
+ * @returns {Object} 路径 -> 条目
+ */
+function byPath(entries) {
+    return Object.fromEntries(entries.map(entry => [entry.path, entry]));
+}
+
+/**
+ * 生成包含普通文件、可执行文件、目录和符号链接的ZIP
+ * @returns {Promise<Buffer>} ZIP内容
+ */
+function createZip() {
+    const zip = new JSZip();
+    zip.file('proj/readme.txt', 'hello');
+    zip.file('proj/run.sh', '#!/bin/sh\n', { unixPermissions: 0o100755 });
+    zip.file('proj/link', '../../etc/passwd', { unixPermissions: 0o120777 });
+    zip.folder('proj/empty');
+    
+    return zip.generateAsync({ type: 'nodebuffer', platform: 'UNIX' });
+}
+
+/**
+ * 用7z-wasm在内存文件系统中生成7z压缩包
+ * @param {Object} files - 路径 -> 内容
+ * @returns {Promise<Buffer>} 7z内容
+ */
+async function createSevenZip(files) {
+    const sevenZip = await SevenZip({ print: () => {}, printErr: () => {} });
+    
+    Object.entries(files).forEach(([filePath, content]) => {
+        sevenZip.FS.mkdirTree(path.posix.dirname(`/input/${filePath}`));
+        sevenZip.FS.writeFile(`/input/${filePath}`, content);
+    });
+    sevenZip.FS.chdir('/input');
+    sevenZip.callMain(['a', '-bsp0', '-bso0', '/archive.7z', ...Object.keys(files)]);
+    
+    return Buffer.from(sevenZip.FS.readFile('/archive.7z'));
+}
+
+test('按文件头识别格式，不依赖扩展名', async () => {
+    const tar = createTar([{ path: 'a.txt', content: 'a' }]);
+    
+    assert.equal(detectFormat(await createZip()), 'zip');
+    assert.equal(detectFormat(tar), 'tar');
+    assert.equal(detectFormat(zlib.gzipSync(tar)), 'gzip');
+    assert.equal(detectFormat(Buffer.from('plain text')), null);
+    await assert.rejects(openArchive(Buffer.from('plain text')), { code: 'UNSUPPORTED_ARCHIVE' });
+});
+
+test('ZIP条目区分文件、目录和符号链接，保留权限位', async () => {
+    const buffer = await createZip();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-test-'));
+    const zipPath = path.join(directory, 'a.zip');
+    fs.writeFileSync(zipPath, buffer);
+    
+    try {
+        const inMemory = byPath((await openArchive(buffer, LIMITS)).entries);
+        const fromFile = await openArchiveFile(zipPath, LIMITS, { tempDir: directory });
+        
+        try {
+            for (const entries of [inMemory, byPath(fromFile.entries)]) {
+                assert.equal(entries['proj/readme.txt'].type, 'file');
+                assert.equal(entries['proj/run.sh'].mode, 0o755);
+                assert.equal(entries['proj/link'].type, 'symlink');
+                assert.equal(entries['proj/empty/'].type, 'directory');
+                assert.equal(await readEntry(entries['proj/readme.txt']), 'hello');
+            }
+        } finally {
+            await fromFile.close();
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('tar条目包含类型、权限和内容', async () => {
+    const { format, entries } = await openArchive(createTar([
+        { path: 'proj/', type: 'directory', mode: 0o755 },
+        { path: 'proj/bin/tool', content: 'tool', mode: 0o755 },
+        { path: 'proj/link', type: 'symlink', linkName: '/etc/passwd' }
+    ]), LIMITS);
+    const indexed = byPath(entries);
+    
+    assert.equal(format, 'tar');
+    assert.equal(indexed['proj/'].type, 'directory');
+    assert.equal(indexed['proj/bin/tool'].mode, 0o755);
+    assert.equal(indexed['proj/bin/tool'].size, 4);
+    assert.equal(indexed['proj/link'].type, 'symlink');
+    assert.equal(await readEntry(indexed['proj/bin/tool']), 'tool');
+});
+
+test('tar.gz按整个数据流的压缩比估算条目的压缩大小', async () => {
+    const tar = createTar([
+        { path: 'a.txt', content: crypto.randomBytes(20000).toString('hex') },
+        { path: 'b.txt', content: 'b'.repeat(1000) }
+    ]);
+    const gzipped = zlib.gzipSync(tar);
+    const { format, entries } = await openArchive(gzipped, LIMITS);
+    const ratio = gzipped.length / tar.length;
+    
+    assert.equal(format, 'tar.gz');
+    assert.deepEqual(entries.map(entry => entry.compressedSize), [Math.round(40000 * ratio), Math.round(1000 * ratio)]);
+});
+
+test('压缩比超过限制的tar.gz在解压时被拒绝（内存和流式）', async () => {
+    const bomb = zlib.gzipSync(createTar([{ path: 'zeros.bin', content: Buffer.alloc(4 * 1024 * 1024) }]));
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-test-'));
+    const archivePath = path.join(directory, 'bomb.tgz');
+    fs.writeFileSync(archivePath, bomb);
+    
+    try {
+        const expected = { code: 'ARCHIVE_LIMIT_EXCEEDED', limit: 'maxCompressionRatio' };
+        await assert.rejects(openArchive(bomb, LIMITS), expected);
+        await assert.rejects(openArchiveFile(archivePath, LIMITS, { tempDir: directory }), expected);
+        
+        // 失败时删除解压出的临时tar文件
+        assert.deepEqual(fs.readdirSync(directory), ['bomb.tgz']);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('gzip压缩的内容不是tar包时拒绝', async () => {
+    await assert.rejects(openArchive(zlib.gzipSync('just text'), LIMITS), { code: 'UNSUPPORTED_ARCHIVE' });
+});
+
+test('ZIP和tar的文件条目超过maxEntries时在读取条目列表时终止（内存和流式）', async () => {
+    const zip = new JSZip();
+    zip.folder('proj/docs');
+    [1, 2, 3].forEach(index => zip.file(`proj/${index}.txt`, String(index)));
+    const archives = {
+        'a.zip': await zip.generateAsync({ type: 'nodebuffer' }),
+        'a.tar': createTar([1, 2, 3].map(index => ({ path: `${index}.txt`, content: String(index) })))
+    };
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-test-'));
+    
+    try {
+        for (const [fileName, buffer] of Object.entries(archives)) {
+            const archivePath = path.join(directory, fileName);
+            fs.writeFileSync(archivePath, buffer);
+            
+            // 目录不计入条目数量
+            const { entries } = await openArchive(buffer, { ...LIMITS, maxEntries: 3 });
+            assert.equal(entries.filter(entry => entry.type !== 'directory').length, 3);
+            
+            const expected = { limit: 'maxEntries', details: { limit: 'maxEntries', actual: 3, max: 2 } };
+            await assert.rejects(openArchive(buffer, { ...LIMITS, maxEntries: 2 }), expected);
+            await assert.rejects(openArchiveFile(archivePath, { ...LIMITS, maxEntries: 2 }, { tempDir: directory }), expected);
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('7z和RAR解压时按实际写出的字节数检查限制', async () => {
+    const sevenZip = await createSevenZip({ 'p/a.txt': 'seven a\n', 'p/b.js': 'b=1\n' });
+    const exitCode = process.exitCode;
+    
+    for (const buffer of [sevenZip, RAR_ARCHIVE]) {
+        const { entries } = await openArchive(buffer, LIMITS);
+        assert.equal(entries.filter(entry => entry.type === 'file').length, 2);
+        
+        // 声明的大小不检查压缩比，只有解压时按实际字节数检查
+        await assert.rejects(
+            openArchive(buffer, { ...LIMITS, maxCompressionRatio: 0.01, ratioCheckThreshold: 0 }),
+            { code: 'ARCHIVE_LIMIT_EXCEEDED', limit: 'maxCompressionRatio' }
+        );
+    }
+    
+    // 7z-wasm解压失败时不改变进程的退出码
+    assert.equal(process.exitCode, exitCode);
+});
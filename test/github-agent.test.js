@@ -0,0 +1,265 @@
+/**
+ * GitHub上传流程测试
+ * 
+ * 对内存中的GitHub模拟运行仓库创建和文件上传，检查产生的提交和文件树。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GitHubAgent = require('../src/github-agent');
+const { createSilentLogger, createFile, createFakeGitHub } = require('./helpers');
+
+/**
+ * 创建使用模拟GitHub的代理
+ * @param {Object} github - createFakeGitHub返回的模拟
+ * @returns {GitHubAgent} 代理
+ */
+function createAgent(github) {
+    const agent = new GitHubAgent({
+        githubToken: 'test-token',
+        owner: 'tester',
+        retryDelay: 1,
+        maxRetries: 1,
+        logger: createSilentLogger()
+    });
+    agent.makeGitHubApiCall = github.call;
+    return agent;
+}
+
+test('原子提交模式下所有文件和README作为一个提交推送，保留可执行权限', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    const files = [
+        createFile('src/index.js', 'console.log(1);\n'),
+        createFile('bin/run.sh', '#!/bin/sh\n', { mode: 0o100755 }),
+        createFile('docs/guide.md', '# Guide\n')
+    ];
+    
+    const result = await agent.createRepositoryAndUploadFiles('demo', files, { commitMode: 'atomic' });
+    
+    assert.equal(result.success, true);
+    assert.equal(result.uploadResults.successCount, 3);
+    assert.ok(result.uploadResults.commit.sha);
+    
+    // 初始提交之后只有一个提交，且没有使用Contents API逐个上传
+    const commits = github.calls.filter(call => call.method === 'POST' && call.endpoint.endsWith('/git/commits'));
+    assert.equal(commits.length, 1);
+    assert.equal(github.calls.some(call => call.endpoint.includes('/contents/')), false);
+    
+    const tree = github.readBranch('demo');
+    assert.deepEqual([...tree.keys()].sort(), ['README.md', 'bin/run.sh', 'docs/guide.md', 'src/index.js']);
+    assert.equal(tree.get('bin/run.sh').mode, '100755');
+    assert.equal(tree.get('src/index.js').mode, '100644');
+    assert.equal(tree.get('src/index.js').content, 'console.log(1);\n');
+    assert.notEqual(tree.get('README.md').content, '# demo\n');
+});
+
+test('原子提交模式下任一blob创建失败时不产生提交，所有文件记为失败', async () => {
+    const broken = Buffer.from('broken').toString('base64');
+    const github = createFakeGitHub({
+        reject: (method, endpoint, data) => endpoint.endsWith('/git/blobs') && data.content === broken ? 500 : null
+    });
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'README.md': '# demo\n' });
+    const before = github.readBranch('demo');
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [
+        createFile('a.txt', 'a'),
+        createFile('b.txt', 'broken'),
+        createFile('c.txt', 'c')
+    ], { commitMode: 'atomic' });
+    
+    assert.equal(results.successCount, 0);
+    assert.equal(results.failedCount, 3);
+    assert.equal(results.commit, undefined);
+    assert.equal(github.calls.some(call => call.endpoint.endsWith('/git/commits') || call.endpoint.includes('/git/refs')), false);
+    assert.deepEqual(github.readBranch('demo'), before);
+});
+
+test('原子提交基于分支当前的树，保留仓库中已有的文件', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'README.md': '# demo\n', 'keep.txt': 'keep' });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [createFile('new.txt', 'new')], {
+        commitMode: 'atomic',
+        commitMessage: 'Import archive'
+    });
+    
+    assert.equal(results.successCount, 1);
+    assert.deepEqual([...github.readBranch('demo').keys()].sort(), ['README.md', 'keep.txt', 'new.txt']);
+    
+    const commit = github.calls.find(call => call.method === 'POST' && call.endpoint.endsWith('/git/commits'));
+    assert.equal(commit.data.message, 'Import archive');
+    assert.equal(commit.data.parents.length, 1);
+});
+
+test('同步模式删除仓库中已不在压缩包里的文件，保留受保护的路径', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', {
+        'README.md': '# demo\n',
+        'LICENSE': 'MIT',
+        '.github/workflows/ci.yml': 'on: push',
+        'src/a.js': 'old',
+        'old.txt': 'old'
+    });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [
+        createFile('src/a.js', 'new'),
+        createFile('new.txt', 'new')
+    ], { sync: true });
+    
+    assert.equal(results.successCount, 2);
+    assert.equal(results.deletedCount, 1);
+    assert.deepEqual(
+        [...github.readBranch('demo').keys()].sort(),
+        ['.github/workflows/ci.yml', 'LICENSE', 'README.md', 'new.txt', 'src/a.js']
+    );
+    assert.equal(github.readBranch('demo').get('src/a.js').content, 'new');
+});
+
+test('原子提交模式下同步删除与上传在同一个提交中完成', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'README.md': '# demo\n', 'old.txt': 'old' });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [createFile('new.txt', 'new')], {
+        sync: true,
+        commitMode: 'atomic'
+    });
+    
+    assert.equal(results.successCount, 1);
+    assert.equal(results.deletedCount, 1);
+    assert.deepEqual([...github.readBranch('demo').keys()].sort(), ['README.md', 'new.txt']);
+    assert.equal(github.calls.filter(call => call.endpoint.endsWith('/git/commits') && call.method === 'POST').length, 1);
+    assert.equal(github.calls.some(call => call.method === 'DELETE'), false);
+});
+
+test('逐个提交模式下有文件上传失败时跳过同步删除', async () => {
+    const github = createFakeGitHub({
+        reject: (method, endpoint) => method === 'PUT' && endpoint.endsWith('/contents/b.txt') ? 500 : null
+    });
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'README.md': '# demo\n', 'old.txt': 'old' });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [
+        createFile('a.txt', 'a'),
+        createFile('b.txt', 'b')
+    ], { sync: true });
+    
+    assert.equal(results.successCount, 1);
+    assert.equal(results.failedCount, 1);
+    assert.equal(results.deletedCount, 0);
+    assert.ok(github.readBranch('demo').has('old.txt'));
+    assert.equal(github.calls.some(call => call.method === 'DELETE'), false);
+});
+
+test('跳过内容与仓库中相同的文件，已知远程sha时不再逐个查询', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'same.txt': 'same', 'changed.txt': 'old' });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [
+        createFile('same.txt', 'same'),
+        createFile('changed.txt', 'new'),
+        createFile('added.txt', 'added')
+    ]);
+    
+    assert.equal(results.skippedCount, 1);
+    assert.equal(results.successCount, 2);
+    assert.equal(results.details.find(detail => detail.path === 'same.txt').status, 'skipped');
+    
+    const puts = github.calls.filter(call => call.method === 'PUT').map(call => call.endpoint.split('/contents/')[1]);
+    assert.deepEqual(puts.sort(), ['added.txt', 'changed.txt']);
+    assert.equal(github.calls.some(call => call.method === 'GET' && call.endpoint.includes('/contents/')), false);
+    assert.equal(github.readBranch('demo').get('changed.txt').content, 'new');
+});
+
+test('原子提交模式下没有变更时不产生提交，内容相同的README也不再提交', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'README.md': '# demo\n', 'same.txt': 'same' });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [createFile('same.txt', 'same')], {
+        commitMode: 'atomic',
+        extraFiles: [createFile('README.md', '# demo\n')]
+    });
+    
+    assert.equal(results.skippedCount, 1);
+    assert.equal(results.successCount, 0);
+    assert.equal(results.commit, undefined);
+    assert.equal(github.calls.some(call => call.method === 'POST'), false);
+});
+
+test('skipUnchanged为false时上传所有文件', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'same.txt': 'same' });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [createFile('same.txt', 'same')], {
+        skipUnchanged: false
+    });
+    
+    assert.equal(results.skippedCount, 0);
+    assert.equal(results.successCount, 1);
+});
+
+test('分支名中的特殊字符在文件树和引用地址中编码', async () => {
+    const branch = 'release/v1#2?';
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'same.txt': 'same' }, branch);
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [
+        createFile('same.txt', 'same'),
+        createFile('new.txt', 'new')
+    ], { branch: branch, commitMode: 'atomic' });
+    
+    assert.equal(results.skippedCount, 1);
+    assert.equal(results.successCount, 1);
+    assert.deepEqual([...github.readBranch('demo', branch).keys()].sort(), ['new.txt', 'same.txt']);
+    
+    const endpoints = github.calls.map(call => call.endpoint);
+    assert.ok(endpoints.includes('/repos/tester/demo/git/trees/release/v1%232%3F?recursive=1'));
+    assert.ok(endpoints.includes('/repos/tester/demo/git/ref/heads/release/v1%232%3F'));
+    assert.ok(endpoints.includes('/repos/tester/demo/git/refs/heads/release/v1%232%3F'));
+});
+
+test('检测到敏感信息且要求私有仓库时，不推送到现有的公开仓库', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', { 'README.md': '# demo\n' });
+    
+    await assert.rejects(
+        agent.resolveTargetRepository('demo', { targetMode: 'create-or-update', requirePrivate: true }),
+        error => error.code === 'PUBLIC_REPOSITORY'
+    );
+    
+    const resolved = await agent.resolveTargetRepository('demo', { targetMode: 'create-or-update' });
+    assert.equal(resolved.created, false);
+});
+
+test('同步模式不删除仓库中匹配忽略规则的文件', async () => {
+    const github = createFakeGitHub();
+    const agent = createAgent(github);
+    github.createRepository('demo', {
+        '.env': 'TOKEN=x',
+        'dist/app.js': 'built',
+        'old.txt': 'old',
+        'a.txt': 'a'
+    });
+    
+    const results = await agent.uploadFilesToRepository('tester', 'demo', [
+        createFile('.gitignore', 'dist/\n'),
+        createFile('a.txt', 'a'),
+        createFile('dist/app.js', 'rebuilt')
+    ], { sync: true, ignorePatterns: ['.env'] });
+    
+    assert.equal(results.deletedCount, 1);
+    assert.deepEqual([...github.readBranch('demo').keys()].sort(), ['.env', '.gitignore', 'a.txt', 'dist/app.js']);
+    assert.equal(github.readBranch('demo').get('dist/app.js').content, 'built');
+});
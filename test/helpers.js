@@ -0,0 +1,336 @@
+/**
+ * 测试辅助工具
+ * 
+ * 内存中的GitHub仓库模拟、本地HTTP桩服务、生成测试文件对象和tar包，
+ * 以及不输出日志的日志记录器。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const { Logger } = require('../src/logger');
+
+/**
+ * 不输出任何内容的日志记录器
+ * @returns {Logger} 日志记录器
+ */
+function createSilentLogger() {
+    return new Logger({ silent: true });
+}
+
+/**
+ * 计算git blob SHA
+ * @param {Buffer} content - 文件内容
+ * @returns {String} blob SHA
+ */
+function blobSha(content) {
+    return crypto.createHash('sha1').update(`blob ${content.length}\0`).update(content).digest('hex');
+}
+
+/**
+ * 生成上传用的文件对象
+ * @param {String} filePath - 文件路径
+ * @param {String} content - 文件内容
+ * @param {Object} extra - 其他字段（mode等）
+ * @returns {Object} 文件对象
+ */
+function createFile(filePath, content, extra = {}) {
+    const buffer = Buffer.from(content);
+    
+    return {
+        path: filePath,
+        name: filePath.split('/').pop(),
+        content: buffer.toString('base64'),
+        size: buffer.length,
+        directory: filePath.includes('/') ? filePath.substring(0, filePath.lastIndexOf('/')) : '',
+        ...extra
+    };
+}
+
+/**
+ * 内存中的GitHub模拟，替换GitHubAgent.makeGitHubApiCall使用
+ * 支持仓库创建、Contents API、Git Data API（blob、树、提交、引用）和拉取请求
+ * @param {Object} options - 可选配置
+ * @param {Function} options.reject - (method, endpoint, data) 返回状态码时该请求失败
+ * @returns {Object} { call, calls, createRepository, readBranch }，calls记录收到的请求
+ */
+function createFakeGitHub(options = {}) {
+    const repos = new Map();
+    const calls = [];
+    let sequence = 0;
+    
+    const fail = (status, message) => Object.assign(new Error(message), { status });
+    const nextSha = () => crypto.createHash('sha1').update(String(++sequence)).digest('hex');
+    
+    // 写入树并返回SHA
+    const saveTree = (repo, entries) => {
+        const sha = nextSha();
+        repo.trees.set(sha, entries);
+        return sha;
+    };
+    
+    // 在分支上创建提交（Contents API使用）
+    const commitOnBranch = (repo, branch, entries, message) => {
+        const parent = repo.branches.get(branch);
+        const sha = nextSha();
+        repo.commits.set(sha, { tree: saveTree(repo, entries), parents: parent ? [parent] : [], message });
+        repo.branches.set(branch, sha);
+        return sha;
+    };
+    
+    // 读取分支的文件（路径到{ sha, mode, content }的映射）
+    const readBranch = (repoName, branch = 'main') => {
+        const repo = repos.get(repoName);
+        const head = repo && repo.branches.get(branch);
+        return head ? new Map(repo.trees.get(repo.commits.get(head).tree)) : new Map();
+    };
+    
+    // 创建仓库，files不为空时在branch上创建初始提交
+    const createRepository = (name, files = {}, branch = 'main') => {
+        const repo = { name, branches: new Map(), commits: new Map(), trees: new Map(), blobs: new Map(), pulls: [] };
+        repos.set(name, repo);
+        
+        const entries = new Map(Object.entries(files).map(([filePath, content]) => {
+            const buffer = Buffer.from(content);
+            return [filePath, { sha: blobSha(buffer), mode: '100644', content: buffer.toString() }];
+        }));
+        if (entries.size > 0) {
+            commitOnBranch(repo, branch, entries, 'Initial commit');
+        }
+        
+        return repo;
+    };
+    
+    const repoJson = repo => ({
+        name: repo.name,
+        full_name: `tester/${repo.name}`,
+        html_url: `https://github.com/tester/${repo.name}`,
+        default_branch: 'main'
+    });
+    
+    const handlers = [
+        ['POST', /^\/user\/repos$/, (match, data) => {
+            if (repos.has(data.name)) {
+                throw fail(422, 'name already exists on this account');
+            }
+            return repoJson(createRepository(data.name, data.auto_init ? { 'README.md': `# ${data.name}\n` } : {}));
+        }],
+        ['GET', /^\/repos\/[^/]+\/([^/]+)$/, (match, data, repo) => repoJson(repo)],
+        ['POST', /^\/repos\/[^/]+\/[^/]+\/git\/blobs$/, (match, data, repo) => {
+            const buffer = Buffer.from(data.content, data.encoding === 'base64' ? 'base64' : 'utf8');
+            const sha = blobSha(buffer);
+            repo.blobs.set(sha, buffer.toString());
+            return { sha };
+        }],
+        ['GET', /^\/repos\/[^/]+\/[^/]+\/git\/ref\/heads\/(.+)$/, (match, data, repo) => {
+            if (repo.branches.size === 0) {
+                throw fail(409, 'Git Repository is empty.');
+            }
+            if (!repo.branches.has(match[1])) {
+                throw fail(404, 'Not Found');
+            }
+            return { ref: `refs/heads/${match[1]}`, object: { sha: repo.branches.get(match[1]) } };
+        }],
+        ['GET', /^\/repos\/[^/]+\/[^/]+\/git\/commits\/(\w+)$/, (match, data, repo) => {
+            const commit = repo.commits.get(match[1]);
+            return { sha: match[1], tree: { sha: commit.tree }, parents: commit.parents.map(sha => ({ sha })) };
+        }],
+        ['POST', /^\/repos\/[^/]+\/[^/]+\/git\/trees$/, (match, data, repo) => {
+            const entries = new Map(data.base_tree ? repo.trees.get(data.base_tree) : []);
+            data.tree.forEach(entry => {
+                if (entry.sha === null) {
+                    entries.delete(entry.path);
+                } else {
+                    entries.set(entry.path, { sha: entry.sha, mode: entry.mode, content: repo.blobs.get(entry.sha) });
+                }
+            });
+            return { sha: saveTree(repo, entries) };
+        }],
+        ['POST', /^\/repos\/[^/]+\/[^/]+\/git\/commits$/, (match, data, repo) => {
+            const sha = nextSha();
+            repo.commits.set(sha, { tree: data.tree, parents: data.parents, message: data.message });
+            return { sha, html_url: `https://github.com/tester/${repo.name}/commit/${sha}` };
+        }],
+        ['PATCH', /^\/repos\/[^/]+\/[^/]+\/git\/refs\/heads\/(.+)$/, (match, data, repo) => {
+            repo.branches.set(match[1], data.sha);
+            return { object: { sha: data.sha } };
+        }],
+        ['POST', /^\/repos\/[^/]+\/[^/]+\/git\/refs$/, (match, data, repo) => {
+            const branch = data.ref.replace('refs/heads/', '');
+            if (repo.branches.has(branch)) {
+                throw fail(422, 'Reference already exists');
+            }
+            repo.branches.set(branch, data.sha);
+            return { ref: data.ref, object: { sha: data.sha } };
+        }],
+        ['GET', /^\/repos\/[^/]+\/[^/]+\/git\/trees\/(.+)$/, (match, data, repo) => {
+            if (!repo.branches.has(match[1])) {
+                throw fail(repo.branches.size === 0 ? 409 : 404, 'Not Found');
+            }
+            const entries = [...readBranch(repo.name, match[1])].map(([filePath, entry]) => ({
+                path: filePath,
+                mode: entry.mode,
+                type: 'blob',
+                sha: entry.sha,
+                size: Buffer.byteLength(entry.content)
+            }));
+            return { tree: entries, truncated: false };
+        }],
+        ['GET', /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/, (match, data, repo, query) => {
+            const entry = readBranch(repo.name, query.get('ref') || 'main').get(match[1]);
+            if (!entry) {
+                throw fail(404, 'Not Found');
+            }
+            return { path: match[1], sha: entry.sha };
+        }],
+        ['PUT', /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/, (match, data, repo) => {
+            const branch = data.branch || 'main';
+            const entries = readBranch(repo.name, branch);
+            const existing = entries.get(match[1]);
+            if (existing && data.sha !== existing.sha) {
+                throw fail(409, 'sha does not match');
+            }
+            const buffer = Buffer.from(data.content, 'base64');
+            entries.set(match[1], { sha: blobSha(buffer), mode: '100644', content: buffer.toString() });
+            return { content: { path: match[1], sha: blobSha(buffer) }, commit: { sha: commitOnBranch(repo, branch, entries, data.message) } };
+        }],
+        ['POST', /^\/repos\/[^/]+\/[^/]+\/pulls$/, (match, data, repo) => {
+            const number = repo.pulls.push({ ...data });
+            return { number, html_url: `https://github.com/tester/${repo.name}/pull/${number}` };
+        }],
+        ['DELETE', /^\/repos\/[^/]+\/[^/]+\/contents\/(.+)$/, (match, data, repo) => {
+            const branch = data.branch || 'main';
+            const entries = readBranch(repo.name, branch);
+            if (!entries.has(match[1]) || entries.get(match[1]).sha !== data.sha) {
+                throw fail(409, 'sha does not match');
+            }
+            entries.delete(match[1]);
+            return { commit: { sha: commitOnBranch(repo, branch, entries, data.message) } };
+        }]
+    ];
+    
+    // 处理一个API调用（与makeGitHubApiCall的参数相同）
+    const call = async (method, endpoint, data = null) => {
+        calls.push({ method, endpoint, data });
+        
+        const status = options.reject && options.reject(method, endpoint, data);
+        if (status) {
+            throw fail(status, `模拟的请求失败: ${method} ${endpoint}`);
+        }
+        
+        const [pathname, search] = endpoint.split('?');
+        const decoded = pathname.split('/').map(decodeURIComponent).join('/');
+        const repo = decoded.startsWith('/repos/') ? repos.get(decoded.split('/')[3]) : null;
+        
+        for (const [handlerMethod, pattern, handler] of handlers) {
+            const match = handlerMethod === method && decoded.match(pattern);
+            if (match) {
+                if (decoded.startsWith('/repos/') && !repo) {
+                    throw fail(404, 'Not Found');
+                }
+                return handler(match, data, repo, new URLSearchParams(search));
+            }
+        }
+        
+        throw fail(404, `未模拟的接口: ${method} ${decoded}`);
+    };
+    
+    return { call, calls, createRepository, readBranch };
+}
+
+/**
+ * 生成ustar格式的tar头部块
+ * @param {Object} entry - 条目（path、type、mode、size、linkName）
+ * @returns {Buffer} 512字节的头部块
+ */
+function createTarHeader(entry) {
+    const block = Buffer.alloc(512);
+    const typeFlags = { file: '0', symlink: '2', directory: '5' };
+    const writeOctal = (value, offset, length) =>
+        block.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'latin1');
+    
+    block.write(entry.path, 0, 100, 'utf8');
+    writeOctal(entry.mode || 0o644, 100, 8);
+    writeOctal(0, 108, 8);
+    writeOctal(0, 116, 8);
+    writeOctal(entry.size || 0, 124, 12);
+    writeOctal(Math.floor(Date.now() / 1000), 136, 12);
+    block.write(typeFlags[entry.type || 'file'], 156, 1, 'latin1');
+    block.write(entry.linkName || '', 157, 100, 'utf8');
+    block.write('ustar\u000000', 257, 8, 'latin1');
+    
+    // 校验和按校验和字段为空格计算
+    block.fill(0x20, 148, 156);
+    const checksum = block.reduce((sum, byte) => sum + byte, 0);
+    block.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'latin1');
+    
+    return block;
+}
+
+/**
+ * 生成tar包
+ * @param {Array} entries - 条目列表（path、content、type、mode、linkName）
+ * @returns {Buffer} tar包内容
+ */
+function createTar(entries) {
+    const blocks = [];
+    
+    entries.forEach(entry => {
+        const content = Buffer.from(entry.content || '');
+        blocks.push(createTarHeader({ ...entry, size: content.length }));
+        blocks.push(content, Buffer.alloc((512 - content.length % 512) % 512));
+    });
+    
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+/**
+ * 启动本地HTTP桩服务（随机端口）
+ * @param {Function} handler - 请求处理函数 (req, res, body)，body为完整的请求体
+ * @returns {Promise<Object>} { url, requests, close }，requests记录收到的请求
+ */
+async function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handler(req, res, body);
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * 以JSON格式响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {Number} status - 状态码
+ * @param {Object} data - 响应数据
+ * @param {String} contentType - 媒体类型
+ */
+function sendJson(res, status, data, contentType = 'application/json') {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(JSON.stringify(data));
+}
+
+module.exports = {
+    createSilentLogger,
+    blobSha,
+    createFile,
+    createFakeGitHub,
+    createTar,
+    startStubServer,
+    sendJson
+};
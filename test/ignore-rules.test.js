@@ -0,0 +1,76 @@
+/**
+ * 忽略规则测试
+ * 
+ * 内置规则、否定规则、仅目录规则和嵌套.gitignore的优先级。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { IgnoreMatcher } = require('../src/ignore-rules');
+
+/**
+ * 生成.gitignore文件对象
+ * @param {String} filePath - 文件路径
+ * @param {String} text - 规则内容
+ * @returns {Object} 文件对象
+ */
+function gitignore(filePath, text) {
+    return {
+        path: filePath,
+        name: '.gitignore',
+        content: Buffer.from(text).toString('base64')
+    };
+}
+
+test('内置默认规则忽略依赖目录和系统文件', () => {
+    const matcher = new IgnoreMatcher();
+    
+    assert.equal(matcher.match('node_modules/lodash/index.js').source, 'default');
+    assert.ok(matcher.match('app/__pycache__/x.cpython-311.pyc'));
+    assert.ok(matcher.match('__MACOSX/._a.txt'));
+    assert.equal(matcher.match('src/index.js'), null);
+    assert.equal(new IgnoreMatcher({ useDefaults: false }).match('node_modules/a.js'), null);
+});
+
+test('否定规则重新包含文件，但不能包含已忽略目录下的文件', () => {
+    const matcher = new IgnoreMatcher({ useDefaults: false })
+        .loadGitignoreFiles([gitignore('.gitignore', '*.log\n!keep.log\nbuild/\n!build/keep.txt\n')]);
+    
+    assert.ok(matcher.match('debug.log'));
+    assert.equal(matcher.match('keep.log'), null);
+    assert.ok(matcher.match('build/keep.txt'));
+});
+
+test('仅目录规则不匹配同名文件', () => {
+    const matcher = new IgnoreMatcher({ patterns: ['cache/'] });
+    
+    assert.ok(matcher.match('cache/a.bin'));
+    assert.equal(matcher.match('cache'), null);
+});
+
+test('嵌套.gitignore只作用于所在目录，深层规则优先', () => {
+    const matcher = new IgnoreMatcher({ useDefaults: false }).loadGitignoreFiles([
+        gitignore('pkg/.gitignore', '!important.tmp\n/local.txt\n'),
+        gitignore('.gitignore', '*.tmp\n')
+    ]);
+    
+    assert.ok(matcher.match('a.tmp'));
+    assert.equal(matcher.match('pkg/important.tmp'), null);
+    assert.ok(matcher.match('other/important.tmp'));
+    
+    const rule = matcher.match('pkg/local.txt');
+    assert.equal(rule.source, 'pkg/.gitignore');
+    assert.equal(rule.line, 2);
+    assert.equal(matcher.match('local.txt'), null);
+});
+
+test('用户规则的优先级高于.gitignore', () => {
+    const matcher = new IgnoreMatcher({ useDefaults: false, patterns: ['docs/**/*.pdf', '!*.md'] })
+        .loadGitignoreFiles([gitignore('.gitignore', '*.md\n')]);
+    
+    assert.equal(matcher.match('README.md'), null);
+    assert.equal(matcher.match('docs/a/b/spec.pdf').source, 'user');
+});
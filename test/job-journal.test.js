@@ -0,0 +1,101 @@
+/**
+ * 任务日志和断点续传测试
+ * 
+ * 第一次运行部分文件上传失败后，从任务日志续传剩余的文件。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { WorkflowController, MemoryJournalStore } = require('../src/index');
+const { createSilentLogger, createFakeGitHub } = require('./helpers');
+
+/**
+ * 创建使用模拟GitHub和内存任务日志的控制器
+ * @param {Object} github - createFakeGitHub返回的模拟
+ * @param {MemoryJournalStore} journalStore - 任务日志存储
+ * @param {Object} config - 其他配置
+ * @returns {WorkflowController} 控制器
+ */
+function createController(github, journalStore, config = {}) {
+    const controller = new WorkflowController({
+        githubToken: 'test-token',
+        githubOwner: 'tester',
+        targetMode: 'existing',
+        maxRetries: 1,
+        rateLimitDelay: 1,
+        journalStore: journalStore,
+        logger: createSilentLogger(),
+        ...config
+    });
+    controller.gitProvider.makeGitHubApiCall = github.call;
+    return controller;
+}
+
+/**
+ * 生成ZIP输入
+ * @param {Object} files - 路径到内容的映射
+ * @returns {Promise<Object>} { data, fileName }
+ */
+async function createZipInput(files) {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([filePath, content]) => zip.file(filePath, content));
+    return { data: await zip.generateAsync({ type: 'nodebuffer' }), fileName: 'demo.zip' };
+}
+
+test('续传时只上传未完成的文件，沿用日志中的分支和拉取请求', async () => {
+    let rejectB = true;
+    const github = createFakeGitHub({
+        reject: (method, endpoint) => rejectB && method === 'PUT' && endpoint.endsWith('/contents/b.txt') ? 500 : null
+    });
+    github.createRepository('demo', { 'README.md': '# demo\n' });
+    const journalStore = new MemoryJournalStore();
+    const zipInput = await createZipInput({ 'a.txt': 'a', 'b.txt': 'b' });
+    
+    const first = await createController(github, journalStore, { pullRequest: true }).processWorkflow(zipInput);
+    
+    assert.equal(first.summary.failedFiles, 1);
+    assert.ok(first.summary.pullRequestUrl);
+    
+    const job = await journalStore.load(first.jobId);
+    assert.equal(job.status, 'failed');
+    assert.notEqual(job.branch, 'main');
+    
+    // 续传时的配置不再启用审阅模式，仍推送到日志记录的分支
+    rejectB = false;
+    github.calls.length = 0;
+    const resumed = await createController(github, journalStore, { pullRequest: false }).resumeWorkflow(first.jobId, zipInput);
+    
+    assert.equal(resumed.success, true);
+    assert.equal(resumed.summary.uploadedFiles, 1);
+    assert.equal(resumed.summary.skippedFiles, 1);
+    assert.equal(resumed.summary.pullRequestUrl, first.summary.pullRequestUrl);
+    
+    const puts = github.calls.filter(call => call.method === 'PUT');
+    assert.deepEqual(puts.map(call => call.endpoint.split('/contents/')[1]), ['b.txt']);
+    assert.equal(puts[0].data.branch, job.branch);
+    assert.equal(github.calls.some(call => call.endpoint.endsWith('/pulls') || call.endpoint.endsWith('/git/refs')), false);
+    
+    assert.deepEqual([...github.readBranch('demo', job.branch).keys()].sort(), ['README.md', 'a.txt', 'b.txt']);
+    assert.deepEqual([...github.readBranch('demo').keys()], ['README.md']);
+    assert.equal((await journalStore.load(first.jobId)).status, 'completed');
+});
+
+test('ZIP内容与任务记录不一致时拒绝续传', async () => {
+    const github = createFakeGitHub({
+        reject: (method, endpoint) => method === 'PUT' && endpoint.endsWith('/contents/b.txt') ? 500 : null
+    });
+    github.createRepository('demo', { 'README.md': '# demo\n' });
+    const journalStore = new MemoryJournalStore();
+    const controller = createController(github, journalStore);
+    
+    const first = await controller.processWorkflow(await createZipInput({ 'a.txt': 'a', 'b.txt': 'b' }));
+    const resumed = await controller.resumeWorkflow(first.jobId, await createZipInput({ 'a.txt': 'a', 'b.txt': 'changed' }));
+    
+    assert.equal(resumed.success, false);
+    assert.match(resumed.error, /不一致/);
+    assert.equal((await journalStore.load(first.jobId)).attempts, 1);
+});
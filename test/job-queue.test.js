@@ -0,0 +1,133 @@
+/**
+ * 任务队列测试
+ * 
+ * processWorkflow用手动结束的模拟替换，检查并发数、同一仓库的互斥、优先级和取消。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WorkflowController, JobQueue } = require('../src/index');
+const { createSilentLogger } = require('./helpers');
+
+/**
+ * 创建队列，processWorkflow在调用finish之前一直执行中
+ * @param {TestContext} t - 测试上下文
+ * @param {Object} options - JobQueue配置
+ * @returns {Object} { queue, started }，started按开始顺序记录fileName和finish
+ */
+function createQueue(t, options = {}) {
+    const controller = new WorkflowController({
+        githubToken: 'test-token',
+        githubOwner: 'tester',
+        logger: createSilentLogger()
+    });
+    const started = [];
+    t.mock.method(controller, 'processWorkflow', input => new Promise(resolve => {
+        started.push({
+            fileName: input.fileName,
+            finish: () => resolve({ success: true, summary: { uploadedFiles: 1, failedFiles: 0 } })
+        });
+    }));
+    
+    return { queue: new JobQueue(controller, options), started };
+}
+
+/**
+ * 生成压缩包输入
+ * @param {String} fileName - 文件名
+ * @returns {Object} { data, fileName }
+ */
+function archive(fileName) {
+    return { data: Buffer.from(fileName).toString('base64'), fileName };
+}
+
+/**
+ * 等待条件成立（任务在持久化之后才开始执行）
+ * @param {Function} predicate - 条件
+ * @returns {Promise<void>}
+ */
+async function waitFor(predicate) {
+    for (let i = 0; i < 100 && !predicate(); i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(predicate(), '等待超时');
+}
+
+test('同时执行的任务数不超过concurrency，目标仓库相同的任务依次执行', async (t) => {
+    const { queue, started } = createQueue(t, { concurrency: 2 });
+    
+    const first = await queue.add(archive('alpha.zip'));
+    const second = await queue.add(archive('alpha.zip'));
+    const third = await queue.add(archive('beta.zip'));
+    await waitFor(() => started.length === 2);
+    
+    // 第二个任务与第一个写入同一个仓库，由后提交的beta占用空闲的位置
+    assert.equal(first.repository, 'tester/alpha');
+    assert.deepEqual(started.map(job => job.fileName), ['alpha.zip', 'beta.zip']);
+    assert.equal(queue.get(second.jobId).status, 'queued');
+    
+    started[1].finish();
+    await queue.wait(third.jobId);
+    assert.equal(queue.get(second.jobId).status, 'queued');
+    
+    started[0].finish();
+    await waitFor(() => started.length === 3);
+    assert.equal(queue.get(second.jobId).status, 'running');
+    
+    started[2].finish();
+    const finished = await queue.wait(second.jobId);
+    
+    assert.equal(finished.status, 'completed');
+    assert.deepEqual(finished.summary, { uploadedFiles: 1, failedFiles: 0 });
+    assert.equal(queue.get(first.jobId).status, 'completed');
+    
+    // 已结束的任务不再保留输入数据
+    assert.ok([...queue.jobs.values()].every(job => job.input === null));
+});
+
+test('优先级高的任务先执行，取消的排队任务不再执行', async (t) => {
+    const { queue, started } = createQueue(t);
+    
+    await queue.add(archive('first.zip'));
+    await waitFor(() => started.length === 1);
+    
+    const low = await queue.add(archive('low.zip'));
+    const high = await queue.add(archive('high.zip'), {}, { priority: 5 });
+    const dropped = await queue.add(archive('dropped.zip'), {}, { priority: 9 });
+    
+    assert.deepEqual(queue.list().map(job => job.fileName), ['dropped.zip', 'high.zip', 'low.zip', 'first.zip']);
+    
+    const cancelled = await queue.cancel(dropped.jobId);
+    assert.equal(cancelled.status, 'cancelled');
+    await assert.rejects(queue.cancel(dropped.jobId), { code: 'JOB_FINISHED' });
+    
+    started[0].finish();
+    await waitFor(() => started.length === 2);
+    started[1].finish();
+    await waitFor(() => started.length === 3);
+    started[2].finish();
+    await queue.wait(low.jobId);
+    
+    assert.deepEqual(started.map(job => job.fileName), ['first.zip', 'high.zip', 'low.zip']);
+    assert.equal(queue.get(high.jobId).status, 'completed');
+});
+
+test('取消执行中的任务时中止工作流', async (t) => {
+    const { queue } = createQueue(t);
+    queue.controller.processWorkflow.mock.mockImplementation((input, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('已取消')));
+    }));
+    
+    const job = await queue.add(archive('demo.zip'));
+    await waitFor(() => queue.controller.processWorkflow.mock.callCount() === 1);
+    assert.equal(queue.get(job.jobId).status, 'running');
+    
+    await queue.cancel(job.jobId);
+    const finished = await queue.wait(job.jobId);
+    
+    assert.equal(finished.status, 'cancelled');
+    assert.equal(finished.cancelRequested, true);
+});
@@ -0,0 +1,193 @@
+/**
+ * Git LFS上传测试
+ * 
+ * 对本地模拟的LFS服务运行批处理、上传和校验流程。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LfsClient, calculateLfsOid, createLfsPointer, escapeAttributePath } = require('../src/lfs-client');
+const { createContentStream } = require('../src/content-store');
+const GitLabProvider = require('../src/providers/gitlab-provider');
+const { createSilentLogger, startStubServer, sendJson } = require('./helpers');
+
+const LFS_MEDIA_TYPE = 'application/vnd.git-lfs+json';
+
+/**
+ * 模拟LFS服务：批处理API对rejectOids中的对象返回错误，对existingOids中的对象
+ * 不返回upload操作，其余对象返回上传和校验地址；上传的内容保存在objects中
+ * @param {Object} options - existingOids、rejectOids
+ * @returns {Promise<Object>} 桩服务（额外包含objects、verified）
+ */
+async function startLfsServer(options = {}) {
+    const existingOids = new Set(options.existingOids || []);
+    const rejectOids = new Set(options.rejectOids || []);
+    const objects = new Map();
+    const verified = [];
+    
+    const stub = await startStubServer((req, res, body) => {
+        if (req.url.endsWith('/objects/batch')) {
+            const request = JSON.parse(body);
+            sendJson(res, 200, {
+                transfer: 'basic',
+                objects: request.objects.map(({ oid, size }) => {
+                    if (rejectOids.has(oid)) {
+                        return { oid, size, error: { code: 422, message: 'object too large' } };
+                    }
+                    if (existingOids.has(oid)) {
+                        return { oid, size };
+                    }
+                    return {
+                        oid,
+                        size,
+                        actions: {
+                            upload: { href: `${stub.url}/storage/${oid}`, header: { 'X-Upload-Token': `upload-${oid}` } },
+                            verify: { href: `${stub.url}/verify`, header: { 'X-Verify-Token': 'verify' } }
+                        }
+                    };
+                })
+            }, LFS_MEDIA_TYPE);
+        } else if (req.url.startsWith('/storage/')) {
+            objects.set(req.url.split('/').pop(), body);
+            res.writeHead(200);
+            res.end();
+        } else if (req.url === '/verify') {
+            verified.push(JSON.parse(body));
+            sendJson(res, 200, {}, LFS_MEDIA_TYPE);
+        } else {
+            sendJson(res, 404, { message: 'Not Found' });
+        }
+    });
+    
+    return Object.assign(stub, { objects, verified });
+}
+
+test('批处理请求按100个对象分批，使用Basic认证和LFS媒体类型', async () => {
+    const server = await startLfsServer();
+    
+    try {
+        const client = new LfsClient({ endpoint: `${server.url}/grp/proj.git/info/lfs/`, token: 'secret', username: 'oauth2' });
+        const objects = Array.from({ length: 150 }, (_, i) => ({ oid: calculateLfsOid(Buffer.from(String(i))), size: 1 }));
+        const response = await client.requestUpload(objects);
+        
+        assert.equal(response.length, 150);
+        assert.deepEqual(server.requests.map(request => JSON.parse(request.body).objects.length), [100, 50]);
+        
+        const [first] = server.requests;
+        assert.equal(first.url, '/grp/proj.git/info/lfs/objects/batch');
+        assert.equal(first.headers.authorization, `Basic ${Buffer.from('oauth2:secret').toString('base64')}`);
+        assert.equal(first.headers.accept, LFS_MEDIA_TYPE);
+        assert.equal(JSON.parse(first.body).operation, 'upload');
+    } finally {
+        await server.close();
+    }
+});
+
+test('上传对象时从暂存文件流式发送，并调用校验接口', async () => {
+    const server = await startLfsServer();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lfs-test-'));
+    
+    try {
+        const content = crypto.randomBytes(256 * 1024);
+        const contentFile = path.join(directory, 'object.bin');
+        fs.writeFileSync(contentFile, content);
+        
+        const object = { oid: calculateLfsOid(content), size: content.length };
+        const client = new LfsClient({ endpoint: server.url, token: 'secret' });
+        const [response] = await client.requestUpload([object]);
+        await client.uploadObject(object, createContentStream({ contentFile }), response.actions);
+        
+        const upload = server.requests.find(request => request.method === 'PUT');
+        assert.equal(upload.headers['content-length'], String(content.length));
+        assert.equal(upload.headers['x-upload-token'], `upload-${object.oid}`);
+        assert.ok(server.objects.get(object.oid).equals(content));
+        assert.deepEqual(server.verified, [object]);
+    } finally {
+        await server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('上传失败时抛出带状态码的错误', async () => {
+    const server = await startStubServer((req, res) => sendJson(res, 413, { message: 'too large' }));
+    
+    try {
+        const client = new LfsClient({ endpoint: server.url, token: 'secret' });
+        await assert.rejects(
+            client.uploadObject({ oid: 'a', size: 1 }, Buffer.from('a'), { upload: { href: `${server.url}/storage/a` } }),
+            { status: 413 }
+        );
+    } finally {
+        await server.close();
+    }
+});
+
+test('平台上传LFS对象：相同内容只上传一次，已有对象跳过，被拒绝的对象记为失败', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lfs-test-'));
+    const design = crypto.randomBytes(64 * 1024);
+    const dataset = crypto.randomBytes(32 * 1024);
+    const existing = Buffer.from('already uploaded');
+    const rejected = Buffer.from('rejected by server');
+    const server = await startLfsServer({
+        existingOids: [calculateLfsOid(existing)],
+        rejectOids: [calculateLfsOid(rejected)]
+    });
+    
+    try {
+        const provider = new GitLabProvider({
+            token: 'secret',
+            baseUrl: server.url,
+            logger: createSilentLogger(),
+            rateLimitDelay: 1,
+            retryDelay: 1
+        });
+        
+        // 流式模式下的文件只有暂存路径和解压时计算的sha256
+        const spooledPath = path.join(directory, 'dataset.bin');
+        fs.writeFileSync(spooledPath, dataset);
+        const sourceFiles = [
+            { path: 'art/design.psd', content: design.toString('base64') },
+            { path: 'art/copy.psd', content: design.toString('base64') },
+            { path: 'data/dataset.bin', contentFile: spooledPath, size: dataset.length, sha256: calculateLfsOid(dataset) },
+            { path: 'data/existing.bin', content: existing.toString('base64') },
+            { path: 'data/rejected.bin', content: rejected.toString('base64') }
+        ];
+        const files = sourceFiles.map(file => provider.createLfsPointerFile({ ...file, name: path.basename(file.path) }));
+        const results = { failedCount: 0, details: [] };
+        
+        const outcome = await provider.uploadLfsObjects('grp', 'proj', files.concat({ path: 'README.md', content: '' }), results);
+        
+        assert.equal(server.requests[0].url, '/grp/proj.git/info/lfs/objects/batch');
+        assert.deepEqual([...server.objects.keys()].sort(), [calculateLfsOid(design), calculateLfsOid(dataset)].sort());
+        assert.ok(server.objects.get(calculateLfsOid(dataset)).equals(dataset));
+        assert.equal(server.requests.filter(request => request.method === 'PUT').length, 2);
+        assert.equal(server.verified.length, 2);
+        
+        assert.equal(outcome.failedCount, 1);
+        assert.deepEqual(outcome.files.map(file => file.path), [
+            'art/design.psd', 'art/copy.psd', 'data/dataset.bin', 'data/existing.bin', 'README.md'
+        ]);
+        assert.equal(results.details[0].path, 'data/rejected.bin');
+        assert.match(results.details[0].error, /object too large/);
+        
+        // 提交到仓库的是指针文件
+        assert.equal(
+            Buffer.from(files[2].content, 'base64').toString('utf8'),
+            createLfsPointer(calculateLfsOid(dataset), dataset.length)
+        );
+    } finally {
+        await server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('.gitattributes中的路径规则转义特殊字符和空格', () => {
+    assert.equal(escapeAttributePath('art/my design[1].psd'), '/art/my[[:space:]]design\\[1\\].psd');
+});
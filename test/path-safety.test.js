@@ -0,0 +1,44 @@
+/**
+ * 压缩包路径校验测试
+ * 
+ * 目录穿越、绝对路径、控制字符和.git目录的拒绝规则，以及仓库路径编码。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeArchivePath, encodeRepoPath } = require('../src/path-safety');
+
+test('规范化分隔符并去掉空段和.段', () => {
+    assert.deepEqual(sanitizeArchivePath('src\\lib//./a.js'), { safe: true, path: 'src/lib/a.js' });
+    assert.deepEqual(sanitizeArchivePath('dir/'), { safe: true, path: 'dir' });
+});
+
+test('拒绝目录穿越', () => {
+    for (const rawPath of ['../etc/passwd', 'a/../../b', 'a\\..\\b']) {
+        const result = sanitizeArchivePath(rawPath);
+        assert.equal(result.safe, false, rawPath);
+        assert.match(result.reason, /\.\./);
+    }
+});
+
+test('拒绝绝对路径和盘符', () => {
+    for (const rawPath of ['/etc/passwd', '//server/share/x', 'C:/Windows/x', 'c:\\x']) {
+        assert.equal(sanitizeArchivePath(rawPath).safe, false, rawPath);
+    }
+});
+
+test('拒绝控制字符、空路径和.git目录', () => {
+    assert.equal(sanitizeArchivePath('a\u0000b').safe, false);
+    assert.equal(sanitizeArchivePath('').safe, false);
+    assert.equal(sanitizeArchivePath('./').safe, false);
+    assert.equal(sanitizeArchivePath('.git/config').safe, false);
+    assert.equal(sanitizeArchivePath('sub/.GIT/hooks/pre-commit').safe, false);
+    assert.equal(sanitizeArchivePath('.github/workflows/ci.yml').safe, true);
+});
+
+test('逐段编码仓库路径并保留分隔符', () => {
+    assert.equal(encodeRepoPath('docs/a b/#1?.md'), 'docs/a%20b/%231%3F.md');
+});
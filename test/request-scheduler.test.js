@@ -0,0 +1,110 @@
+/**
+ * 请求调度器测试
+ * 
+ * 并发和间隔限制，以及按Retry-After、速率限制响应头暂停请求。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RequestScheduler = require('../src/request-scheduler');
+const { createSilentLogger } = require('./helpers');
+
+/**
+ * 创建调度器
+ * @param {Object} options - 配置
+ * @returns {RequestScheduler} 调度器
+ */
+function createScheduler(options = {}) {
+    return new RequestScheduler({ logger: createSilentLogger(), ...options });
+}
+
+/**
+ * 等待指定时间
+ * @param {Number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('同时执行的请求数不超过并发上限', async () => {
+    const scheduler = createScheduler({ concurrency: 2 });
+    let active = 0;
+    let maxActive = 0;
+    
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => scheduler.schedule(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await delay(10);
+        active--;
+        return value * 2;
+    })));
+    
+    assert.deepEqual(results, [2, 4, 6, 8, 10]);
+    assert.equal(maxActive, 2);
+});
+
+test('相邻请求之间保持最小间隔', async () => {
+    const scheduler = createScheduler({ minInterval: 30 });
+    const starts = [];
+    
+    await Promise.all([1, 2, 3].map(() => scheduler.schedule(async () => starts.push(Date.now()))));
+    
+    assert.ok(starts[1] - starts[0] >= 25, `间隔 ${starts[1] - starts[0]}ms`);
+    assert.ok(starts[2] - starts[1] >= 25, `间隔 ${starts[2] - starts[1]}ms`);
+});
+
+test('Retry-After为秒数时按秒数暂停', () => {
+    const scheduler = createScheduler();
+    const before = Date.now();
+    
+    assert.equal(scheduler.observe(429, { 'retry-after': '3' }), true);
+    assert.ok(scheduler.pausedUntil >= before + 3000 && scheduler.pausedUntil <= Date.now() + 3000);
+});
+
+test('Retry-After为HTTP日期时暂停到该时间', () => {
+    const scheduler = createScheduler();
+    const retryAt = new Date(Math.floor(Date.now() / 1000) * 1000 + 5000);
+    
+    assert.equal(scheduler.observe(503, new Headers({ 'Retry-After': retryAt.toUTCString() })), false);
+    assert.equal(scheduler.pausedUntil, retryAt.getTime());
+});
+
+test('无法解析的Retry-After按默认时间暂停', () => {
+    const scheduler = createScheduler();
+    const before = Date.now();
+    
+    scheduler.observe(429, { 'retry-after': 'soon' });
+    assert.ok(scheduler.pausedUntil >= before + 60 * 1000);
+});
+
+test('额度用完时暂停到重置时间，次级速率限制按默认时间暂停', () => {
+    const reset = Math.floor(Date.now() / 1000) + 120;
+    const primary = createScheduler();
+    
+    // 额度用完但请求成功：不算被拒绝，仍需等待重置
+    assert.equal(primary.observe(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }), false);
+    assert.equal(primary.pausedUntil, reset * 1000 + 1000);
+    assert.equal(primary.getStatus().remaining, 0);
+    
+    const secondary = createScheduler();
+    assert.equal(secondary.observe(403, {}, 'You have exceeded a secondary rate limit'), true);
+    assert.ok(secondary.pausedUntil > Date.now() + 50 * 1000);
+    
+    const normal = createScheduler();
+    assert.equal(normal.observe(200, { 'retry-after': '30', 'x-ratelimit-remaining': '4999' }), false);
+    assert.equal(normal.pausedUntil, 0);
+});
+
+test('暂停期间排队的请求在恢复后才执行', async () => {
+    const scheduler = createScheduler();
+    const start = Date.now();
+    
+    scheduler.pauseUntil(start + 100, '测试暂停');
+    const startedAt = await scheduler.schedule(async () => Date.now());
+    
+    assert.ok(startedAt - start >= 95, `等待 ${startedAt - start}ms`);
+});
@@ -0,0 +1,185 @@
+/**
+ * HTTP服务模式测试
+ * 
+ * 对随机端口上的WorkflowServer发送请求，检查认证、路由、任务提交和上传文件清理。
+ * 工作流本身（processWorkflow、testConnections）用模拟替换。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { WorkflowController, WorkflowServer } = require('../src/index');
+const { createSilentLogger } = require('./helpers');
+
+const TOKEN = 'service-token';
+
+/**
+ * 启动使用临时上传目录的服务，测试结束时关闭
+ * @param {TestContext} t - 测试上下文
+ * @param {Object} options - WorkflowServer的其他配置
+ * @returns {Promise<Object>} { controller, uploadDir, url, send }
+ */
+async function startServer(t, options = {}) {
+    const controller = new WorkflowController({
+        githubToken: 'test-token',
+        githubOwner: 'tester',
+        logger: createSilentLogger()
+    });
+    const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-test-'));
+    const server = new WorkflowServer(controller, { uploadDir, ...options });
+    const { port } = await server.listen(0);
+    const url = `http://127.0.0.1:${port}`;
+    
+    t.after(async () => {
+        await server.close();
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+    });
+    
+    // 发送请求，authorized为true时带上服务令牌
+    const send = async (method, pathname, { body, authorized = true } = {}) => {
+        const response = await fetch(`${url}${pathname}`, {
+            method: method,
+            headers: {
+                ...(authorized ? { 'Authorization': `Bearer ${TOKEN}` } : {}),
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, data: await response.json() };
+    };
+    
+    return { controller, uploadDir, url, send };
+}
+
+test('配置令牌后接口需要认证，未知的接口和方法返回404和405', async (t) => {
+    const { controller, send } = await startServer(t, { token: TOKEN });
+    t.mock.method(controller, 'testConnections', async () => ({ overall: true, github: { success: true } }));
+    
+    assert.equal((await send('GET', '/jobs/job-1', { authorized: false })).status, 401);
+    assert.equal((await send('POST', '/jobs', { authorized: false })).data.code, 'UNAUTHORIZED');
+    assert.equal((await send('GET', '/health', { authorized: false })).status, 401);
+    assert.equal(controller.testConnections.mock.callCount(), 0);
+    
+    const health = await send('GET', '/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.data.overall, true);
+    
+    controller.testConnections.mock.mockImplementation(async () => ({ overall: false }));
+    assert.equal((await send('GET', '/health')).status, 503);
+    
+    const notFound = await send('GET', '/unknown');
+    assert.equal(notFound.status, 404);
+    assert.equal(notFound.data.code, 'NOT_FOUND');
+    
+    const wrongMethod = await send('PUT', '/jobs');
+    assert.equal(wrongMethod.status, 405);
+    assert.equal(wrongMethod.headers.get('allow'), 'GET, POST');
+});
+
+test('/metrics需要认证，输出Prometheus文本和队列中的任务数', async (t) => {
+    const { url, send } = await startServer(t, { token: TOKEN });
+    
+    assert.equal((await send('GET', '/metrics', { authorized: false })).status, 401);
+    
+    const response = await fetch(`${url}/metrics`, { headers: { 'Authorization': `Bearer ${TOKEN}` } });
+    const text = await response.text();
+    
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.match(text, /# TYPE workflow_runs_total counter/);
+    assert.match(text, /workflow_queue_jobs\{status="queued"\} 0/);
+});
+
+test('JSON提交的任务进入队列执行，可以查询和列出任务', async (t) => {
+    const { controller, send } = await startServer(t);
+    t.mock.method(controller, 'processWorkflow', async () => ({
+        success: true,
+        summary: { uploadedFiles: 1, failedFiles: 0 }
+    }));
+    const data = Buffer.from('archive').toString('base64');
+    
+    const submitted = await send('POST', '/jobs', {
+        body: { fileName: 'demo.zip', data: data, options: { private: true, githubToken: 'other' } }
+    });
+    
+    assert.equal(submitted.status, 202);
+    assert.equal(submitted.data.statusUrl, `/jobs/${submitted.data.jobId}`);
+    
+    let status;
+    for (let i = 0; i < 50; i++) {
+        status = await send('GET', submitted.data.statusUrl);
+        if (status.data.status !== 'queued' && status.data.status !== 'running') {
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    
+    assert.equal(status.data.status, 'completed');
+    assert.deepEqual(status.data.summary, { uploadedFiles: 1, failedFiles: 0 });
+    
+    // 只传递SERVICE_OPTIONS中的处理选项，任务ID与服务返回的一致
+    const [input, { signal, ...options }] = controller.processWorkflow.mock.calls[0].arguments;
+    assert.deepEqual(input, { data: data, fileName: 'demo.zip' });
+    assert.deepEqual(options, { private: true, jobId: submitted.data.jobId });
+    assert.ok(signal instanceof AbortSignal);
+    
+    const listed = await send('GET', '/jobs');
+    assert.deepEqual(listed.data.jobs.map(job => job.jobId), [submitted.data.jobId]);
+    
+    const cancelled = await send('DELETE', submitted.data.statusUrl);
+    assert.equal(cancelled.status, 409);
+    assert.equal(cancelled.data.code, 'JOB_FINISHED');
+    
+    assert.equal((await send('GET', '/jobs/unknown-job')).status, 404);
+    assert.equal((await send('POST', '/jobs', { body: { fileName: 'demo.exe', data: data } })).status, 400);
+});
+
+test('表单解析失败时删除已写入的上传文件', async (t) => {
+    const { controller, uploadDir, url } = await startServer(t);
+    t.mock.method(controller, 'processWorkflow', async () => ({ success: true }));
+    
+    // 文件部分完整，但表单缺少结束分隔符
+    const body = [
+        '--boundary',
+        'Content-Disposition: form-data; name="file"; filename="demo.zip"',
+        'Content-Type: application/zip',
+        '',
+        'archive',
+        '--boundary',
+        ''
+    ].join('\r\n');
+    
+    const response = await new Promise((resolve, reject) => {
+        const req = http.request(`${url}/jobs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'multipart/form-data; boundary=boundary' }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, data: JSON.parse(Buffer.concat(chunks)) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+    
+    assert.equal(response.status, 400);
+    assert.equal(response.data.code, 'INVALID_REQUEST');
+    assert.deepEqual(fs.readdirSync(uploadDir), []);
+    assert.equal(controller.processWorkflow.mock.callCount(), 0);
+});
+
+test('未配置令牌时拒绝监听非本机地址', async () => {
+    const controller = new WorkflowController({
+        githubToken: 'test-token',
+        githubOwner: 'tester',
+        logger: createSilentLogger()
+    });
+    
+    await assert.rejects(new WorkflowServer(controller).listen(0, '0.0.0.0'), { code: 'TOKEN_REQUIRED' });
+});
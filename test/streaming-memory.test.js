@@ -0,0 +1,186 @@
+/**
+ * 流式处理内存测试
+ * 
+ * 流式解压一个较大的tar包并通过GitLab Commits API原子提交，
+ * 断言整个过程中存活内存的峰值增长低于上限（与压缩包大小无关）。
+ * 
+ * @author n8n-automation
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const vm = require('vm');
+const ZipProcessor = require('../src/unzip-code');
+const { ContentStore } = require('../src/content-store');
+const MemoryMonitor = require('../src/memory-monitor');
+const GitLabProvider = require('../src/providers/gitlab-provider');
+const { createSilentLogger, createTar } = require('./helpers');
+
+const FILE_COUNT = 48;
+const FILE_SIZE = 1024 * 1024;
+
+/**
+ * 每批读取的文件数
+ */
+const BATCH_SIZE = 4;
+
+/**
+ * 存活内存峰值增长上限：文件内容整体加载时，原始内容、base64和JSON请求体
+ * 合计约为压缩包大小的3倍（约150MB）；流式处理时同一时刻只持有一个批次的
+ * 这三份内容（约为批次大小的5倍，即20MB左右），与压缩包大小无关
+ */
+const MEMORY_CEILING = 40 * 1024 * 1024;
+
+/**
+ * 定时在垃圾回收后采样存活内存（堆和Buffer）
+ * RSS包含尚未回收的垃圾和分配器缓存，不能区分"同时持有全部内容"和"逐批处理"
+ * @param {Number} interval - 采样间隔（毫秒）
+ * @returns {Object} stop()返回峰值增长（字节）
+ */
+function startLiveMemorySampler(interval) {
+    v8.setFlagsFromString('--expose-gc');
+    const gc = vm.runInNewContext('gc');
+    const measure = () => {
+        gc();
+        const usage = process.memoryUsage();
+        return usage.heapUsed + usage.external;
+    };
+    
+    const baseline = measure();
+    let peak = baseline;
+    const timer = setInterval(() => {
+        peak = Math.max(peak, measure());
+    }, interval);
+    
+    return {
+        stop() {
+            clearInterval(timer);
+            return Math.max(peak, measure()) - baseline;
+        }
+    };
+}
+
+/**
+ * 逐个文件写入tar包，生成过程中不在内存中保留全部内容
+ * @param {String} tarPath - tar包路径
+ * @returns {Promise<void>}
+ */
+async function writeLargeTar(tarPath) {
+    const handle = await fs.promises.open(tarPath, 'w');
+    
+    try {
+        for (let i = 0; i < FILE_COUNT; i++) {
+            // 头部和结尾块之间的内容即该文件的tar数据
+            const entry = createTar([{ path: `large/data-${i}.bin`, content: crypto.randomBytes(FILE_SIZE) }]);
+            await handle.write(entry.subarray(0, entry.length - 1024));
+        }
+        await handle.write(Buffer.alloc(1024));
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 只统计请求体字节数的提交接口，不保存内容
+ * @returns {Promise<Object>} { url, received, close }
+ */
+async function startCountingServer() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const request = { url: req.url, bytes: 0, head: '', tail: '' };
+        req.on('data', chunk => {
+            if (request.head.length < 64) {
+                request.head += chunk.toString('utf8', 0, 64);
+            }
+            request.tail = (request.tail + chunk.toString('utf8', Math.max(0, chunk.length - 8))).slice(-8);
+            request.bytes += chunk.length;
+        });
+        req.on('end', () => {
+            received.push(request);
+            res.writeHead(201, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ id: 'a'.repeat(40), web_url: 'http://gitlab.local/commit' }));
+        });
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        received,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+test('流式解压和原子提交的内存峰值增长不随压缩包大小增长', { timeout: 120000 }, async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-test-'));
+    const tarPath = path.join(directory, 'large.tar');
+    const server = await startCountingServer();
+    const logger = createSilentLogger();
+    
+    try {
+        await writeLargeTar(tarPath);
+        
+        const contentStore = await ContentStore.create(directory);
+        const processor = new ZipProcessor({ logger });
+        const provider = new GitLabProvider({
+            token: 'secret',
+            baseUrl: server.url,
+            logger: logger,
+            rateLimitDelay: 1,
+            batchSize: BATCH_SIZE
+        });
+        
+        const monitor = new MemoryMonitor({ interval: 10 }).start();
+        const sampler = startLiveMemorySampler(5);
+        
+        const result = await processor.processArchiveFile(tarPath, 'large.tar', { contentStore });
+        const commit = await provider.commitFiles('grp', 'large', {
+            branch: 'main',
+            message: 'import',
+            files: result.extractedFiles,
+            remoteShas: new Map()
+        });
+        
+        const liveGrowth = sampler.stop();
+        const memory = monitor.stop();
+        
+        assert.equal(result.fileCount, FILE_COUNT);
+        assert.ok(result.extractedFiles.every(file => file.content === undefined && file.contentFile));
+        assert.equal(commit.sha, 'a'.repeat(40));
+        
+        // 请求体是完整的JSON：长度与逐个序列化的动作一致（按长度计算，不生成内容）
+        const base64Length = Math.ceil(FILE_SIZE / 3) * 4;
+        const expectedBytes = Buffer.byteLength(JSON.stringify({
+            branch: 'main',
+            commit_message: 'import',
+            actions: result.extractedFiles.map(file => ({
+                action: 'create',
+                file_path: file.path,
+                content: '',
+                encoding: 'base64'
+            }))
+        })) + FILE_COUNT * base64Length;
+        const [request] = server.received;
+        assert.equal(request.url, '/api/v4/projects/grp%2Flarge/repository/commits');
+        assert.equal(request.bytes, expectedBytes);
+        assert.ok(request.head.startsWith('{"branch":"main","commit_message":"import","actions":[{'));
+        assert.ok(request.tail.endsWith('"}]}'));
+        
+        const toMB = bytes => (bytes / 1024 / 1024).toFixed(1);
+        assert.ok(
+            liveGrowth < MEMORY_CEILING,
+            `存活内存峰值增长 ${toMB(liveGrowth)} MB（RSS增长 ${toMB(memory.growth)} MB），` +
+            `压缩包 ${FILE_COUNT} MB，上限 ${toMB(MEMORY_CEILING)} MB`
+        );
+    } finally {
+        await server.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});